@@ -0,0 +1,123 @@
+// book-notes-app/scripts/mock-git-host.js
+// In-memory stand-in for the GitHub REST endpoints publishService uses, for
+// trying the publish flow without touching a real repo:
+//
+//   node scripts/mock-git-host.js [port]
+//
+// Then set the API URL in the publish settings to http://localhost:8788.
+// Any owner/repo works; every request is logged.
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const port = Number(process.argv[2]) || 8788;
+const baseUrl = `http://localhost:${port}`;
+
+const sha = (text) => createHash('sha1').update(text).digest('hex');
+
+// One repo per owner/name, created on first use with an empty main branch
+const repos = new Map();
+
+const getRepo = (owner, name) => {
+  const key = `${owner}/${name}`;
+  if (!repos.has(key)) {
+    const root = sha(`${key}:root`);
+    repos.set(key, {
+      branches: new Map([['main', { sha: root, files: new Map() }]]),
+      pulls: []
+    });
+  }
+  return repos.get(key);
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = async (req) => {
+  let text = '';
+  for await (const chunk of req) text += chunk;
+  return text ? JSON.parse(text) : {};
+};
+
+const routes = [
+  ['GET', /^\/repos\/([^/]+)\/([^/]+)\/git\/ref\/heads\/(.+)$/, (repo, [branchName]) => {
+    const branch = repo.branches.get(decodeURIComponent(branchName));
+    return branch ? [200, { object: { sha: branch.sha } }] : [404, { message: 'Not Found' }];
+  }],
+
+  ['POST', /^\/repos\/([^/]+)\/([^/]+)\/git\/refs$/, (repo, _, body) => {
+    const name = body.ref.replace(/^refs\/heads\//, '');
+    if (repo.branches.has(name)) return [422, { message: 'Reference already exists' }];
+
+    const source = [...repo.branches.values()].find(branch => branch.sha === body.sha);
+    if (!source) return [422, { message: 'Object does not exist' }];
+
+    repo.branches.set(name, { sha: body.sha, files: new Map(source.files) });
+    return [201, { ref: body.ref, object: { sha: body.sha } }];
+  }],
+
+  ['GET', /^\/repos\/([^/]+)\/([^/]+)\/contents\/(.+)$/, (repo, [path], _, query) => {
+    const branch = repo.branches.get(query.get('ref') || 'main');
+    const file = branch?.files.get(decodeURIComponent(path));
+    return file ? [200, { path: decodeURIComponent(path), sha: file.sha, content: file.content }] : [404, { message: 'Not Found' }];
+  }],
+
+  ['PUT', /^\/repos\/([^/]+)\/([^/]+)\/contents\/(.+)$/, (repo, [path], body, _, owner, name) => {
+    const filePath = decodeURIComponent(path);
+    const branch = repo.branches.get(body.branch || 'main');
+    if (!branch) return [404, { message: 'Branch not found' }];
+
+    const existing = branch.files.get(filePath);
+    if (existing && body.sha !== existing.sha) {
+      return [422, { message: `"sha" wasn't supplied or does not match ${filePath}` }];
+    }
+
+    const fileSha = sha(body.content);
+    branch.files.set(filePath, { sha: fileSha, content: body.content });
+    branch.sha = sha(`${branch.sha}:${fileSha}:${body.message}`);
+
+    console.log(`\n--- ${filePath} on ${body.branch} ---\n${Buffer.from(body.content, 'base64').toString('utf8')}`);
+    return [existing ? 200 : 201, {
+      content: { path: filePath, sha: fileSha },
+      commit: { sha: branch.sha, message: body.message, html_url: `${baseUrl}/${owner}/${name}/commit/${branch.sha}` }
+    }];
+  }],
+
+  ['POST', /^\/repos\/([^/]+)\/([^/]+)\/pulls$/, (repo, _, body, __, owner, name) => {
+    if (!repo.branches.has(body.head)) return [422, { message: `head ${body.head} does not exist` }];
+
+    const number = repo.pulls.length + 1;
+    repo.pulls.push({ number, ...body });
+    return [201, { number, title: body.title, html_url: `${baseUrl}/${owner}/${name}/pull/${number}` }];
+  }]
+];
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, baseUrl);
+  console.log(req.method, url.pathname + url.search);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  for (const [method, pattern, handler] of routes) {
+    const match = req.method === method && url.pathname.match(pattern);
+    if (!match) continue;
+
+    const [, owner, name, ...params] = match;
+    try {
+      const [status, body] = handler(getRepo(owner, name), params, await readBody(req), url.searchParams, owner, name);
+      return send(res, status, body);
+    } catch (error) {
+      return send(res, 400, { message: error.message });
+    }
+  }
+
+  send(res, 404, { message: 'Not Found' });
+}).listen(port, () => {
+  console.log(`Mock git host listening on ${baseUrl}`);
+});
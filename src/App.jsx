@@ -1,31 +1,40 @@
 // book-notes-app/src/App.jsx
-import { useState } from 'react';
-import BookForm from './components/BookForm';
-import MarkdownPreview from './components/MarkdownPreview';
+import { NavLink, Route, Routes } from 'react-router-dom';
+import BookEditor from './components/BookEditor';
+import LibraryList from './components/LibraryList';
+import LibraryDetail from './components/LibraryDetail';
+import TemplateEditor from './components/TemplateEditor';
+import BulkImport from './components/BulkImport';
 import SpeedmasterTheme from './components/SpeedmasterTheme';
 
+const navLinkClass = ({ isActive }) =>
+  `text-sm font-medium ${isActive ? 'text-speedmaster-accent' : 'text-gray-600 hover:text-speedmaster-dark'}`;
+
 function App() {
-  const [markdownContent, setMarkdownContent] = useState('');
-  
   return (
     <SpeedmasterTheme>
       <div className="min-h-screen p-4 md:p-8">
-        <header className="mb-8">
+        <header className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
           <h1 className="text-4xl md:text-5xl font-bold text-speedmaster-dark">Book Notes Generator</h1>
+          <nav className="flex gap-6">
+            <NavLink to="/" end className={navLinkClass}>New Book</NavLink>
+            <NavLink to="/library" className={navLinkClass}>Library</NavLink>
+            <NavLink to="/import" className={navLinkClass}>Bulk Import</NavLink>
+            <NavLink to="/templates" className={navLinkClass}>Templates</NavLink>
+          </nav>
         </header>
         
-        <div className="max-w-5xl mx-auto flex flex-col md:flex-row gap-8">
-          <div className="md:w-1/2">
-            <BookForm setMarkdownContent={setMarkdownContent} />
-          </div>
-          
-          <div className="md:w-1/2">
-            <MarkdownPreview markdownContent={markdownContent} />
-          </div>
-        </div>
+        <Routes>
+          <Route path="/" element={<BookEditor />} />
+          <Route path="/library" element={<LibraryList />} />
+          <Route path="/library/:id" element={<LibraryDetail />} />
+          <Route path="/library/:id/edit" element={<BookEditor />} />
+          <Route path="/import" element={<BulkImport />} />
+          <Route path="/templates" element={<TemplateEditor />} />
+        </Routes>
       </div>
     </SpeedmasterTheme>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,223 @@
+// book-notes-app/src/components/BookEditor.jsx
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import BookForm, { PREDEFINED_PLACES } from './BookForm';
+import MarkdownPreview from './MarkdownPreview';
+import MarkdownImport from './MarkdownImport';
+import LoadingSpinner from './LoadingSpinner';
+import { getBook, listPostSlugs, saveBook, updateBookMarkdown } from '../services/libraryService';
+import { parseMarkdown } from '../utils/parseMarkdown';
+import { mergeRegenerated } from '../utils/markdownDiff';
+import { checkSlug, frontMatterSlug, replaceFrontMatterSlug } from '../utils/slugPolicy';
+
+// Manual edits are saved once typing pauses
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Generates a new post, or re-edits a library entry when the route has an id
+const BookEditor = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [markdownContent, setMarkdownContent] = useState('');
+  // Markdown as last generated, before manual edits
+  const [generatedMarkdown, setGeneratedMarkdown] = useState('');
+  const [bookData, setBookData] = useState(null);
+  const [entry, setEntry] = useState(null);
+  const [isLoading, setIsLoading] = useState(Boolean(id));
+  const [error, setError] = useState(null);
+  const [formKey, setFormKey] = useState(0);
+  // Form data and metadata BookForm starts from: a library entry or an imported post
+  const [formSeed, setFormSeed] = useState(null);
+  // Set when another library post already uses this post's slug
+  const [slugConflict, setSlugConflict] = useState(null);
+  // Generation is async, so merge against the markdown as it is when it finishes
+  const latestMarkdown = useRef({ markdownContent, generatedMarkdown });
+  latestMarkdown.current = { markdownContent, generatedMarkdown };
+
+  useEffect(() => {
+    if (!id) {
+      // "New book" after editing an entry starts over with a clean form
+      if (entry?.id) {
+        setEntry(null);
+        setFormSeed(null);
+        setMarkdownContent('');
+        setGeneratedMarkdown('');
+        setBookData(null);
+        setError(null);
+        setFormKey(key => key + 1);
+      }
+      return;
+    }
+
+    // Already holding this entry, e.g. right after the first save
+    if (entry?.id === id) return;
+
+    setIsLoading(true);
+    getBook(id)
+      .then(saved => {
+        if (!saved) {
+          setError('That book is not in your library.');
+          return;
+        }
+        setEntry(saved);
+        setFormSeed(saved);
+        setMarkdownContent(saved.markdown);
+        setGeneratedMarkdown(saved.generatedMarkdown || saved.markdown);
+        setBookData(saved.bookData || null);
+      })
+      .catch(loadError => setError(`Failed to load book: ${loadError.message}`))
+      .finally(() => setIsLoading(false));
+  }, [id, entry?.id]);
+
+  useEffect(() => {
+    if (!entry || markdownContent === entry.markdown) return;
+
+    const timer = setTimeout(() => {
+      updateBookMarkdown(entry.id, markdownContent)
+        .then(setEntry)
+        .catch(saveError => {
+          console.error('[BookEditor] Failed to save edits:', saveError);
+          setError(`Failed to save your edits: ${saveError.message}`);
+        });
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [markdownContent, entry]);
+
+  const slug = frontMatterSlug(markdownContent);
+
+  useEffect(() => {
+    if (!slug) {
+      setSlugConflict(null);
+      return;
+    }
+
+    let isCurrent = true;
+    listPostSlugs({ excludeId: entry?.id })
+      .then(existingSlugs => {
+        if (!isCurrent) return;
+        const { isTaken, suggestion } = checkSlug(slug, existingSlugs);
+        setSlugConflict(isTaken ? { slug, suggestion } : null);
+      })
+      .catch(slugError => console.error('[BookEditor] Failed to check slug:', slugError));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [slug, entry?.id]);
+
+  const handleUseSuggestedSlug = () => {
+    setMarkdownContent(replaceFrontMatterSlug(markdownContent, slugConflict.suggestion));
+    // Export targets build their paths from the book data
+    setBookData(prev => (prev ? { ...prev, slug: slugConflict.suggestion } : prev));
+  };
+
+  const handleGenerated = async ({ formData, metadata, markdown, bookData: generatedBookData }) => {
+    // Keep sections edited by hand since the last generation
+    const { markdownContent: current, generatedMarkdown: previous } = latestMarkdown.current;
+    const merged = mergeRegenerated(previous, current, markdown);
+
+    setMarkdownContent(merged);
+    setGeneratedMarkdown(markdown);
+    setBookData(generatedBookData);
+
+    try {
+      const saved = await saveBook({
+        id: entry?.id,
+        formData,
+        metadata,
+        markdown: merged,
+        generatedMarkdown: markdown,
+        bookData: generatedBookData
+      });
+      setEntry(saved);
+
+      // Later generations update this entry instead of adding another
+      if (!id) {
+        navigate(`/library/${saved.id}/edit`, { replace: true });
+      }
+    } catch (saveError) {
+      console.error('[BookEditor] Failed to save to library:', saveError);
+      setError(`Generated, but failed to save to library: ${saveError.message}`);
+    }
+  };
+
+  // Throws on markdown it can't read; MarkdownImport shows the message
+  const handleImport = (markdown) => {
+    const imported = parseMarkdown(markdown, { predefinedPlaces: PREDEFINED_PLACES });
+    // An imported post is a new book: leave the entry being edited so autosave
+    // doesn't write the import over it, and the next generation saves a new entry
+    if (entry) {
+      setEntry(null);
+      setError(null);
+      navigate('/');
+    }
+    setFormSeed(imported);
+    setMarkdownContent(markdown);
+    setGeneratedMarkdown(markdown);
+    setBookData(null);
+    setFormKey(key => key + 1);
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner message="Loading book..." />;
+  }
+
+  if (id && !entry) {
+    return (
+      <div className="text-center text-gray-600">
+        <p>{error}</p>
+        <Link to="/library" className="text-speedmaster-accent hover:underline">Back to library</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      {entry && (
+        <div className="mb-4 text-sm text-gray-600">
+          Saved to your library · <Link to={`/library/${entry.id}`} className="text-speedmaster-accent hover:underline">View</Link>
+        </div>
+      )}
+      {error && (
+        <div className="mb-4 text-red-500 text-sm">{error}</div>
+      )}
+      {slugConflict && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-300 rounded-md text-sm text-yellow-800 flex flex-wrap items-center gap-2">
+          <span>
+            Another post in your library already uses <code>{slugConflict.slug}</code>.
+          </span>
+          <button
+            type="button"
+            onClick={handleUseSuggestedSlug}
+            className="px-3 py-1 bg-yellow-200 rounded-md hover:bg-yellow-300"
+          >
+            Use {slugConflict.suggestion}
+          </button>
+        </div>
+      )}
+
+      <MarkdownImport onImport={handleImport} />
+
+      <div className="flex flex-col md:flex-row gap-8">
+        <div className="md:w-1/2">
+          <BookForm
+            key={formKey}
+            initialEntry={formSeed}
+            onGenerated={handleGenerated}
+          />
+        </div>
+        
+        <div className="md:w-1/2">
+          <MarkdownPreview
+            markdownContent={markdownContent}
+            generatedMarkdown={generatedMarkdown}
+            bookData={bookData}
+            onChange={setMarkdownContent}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookEditor;
@@ -0,0 +1,62 @@
+// book-notes-app/src/components/BookEditor.test.jsx
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+import { getBook, updateBookMarkdown } from '../services/libraryService';
+import { generateMarkdown } from '../utils/generateMarkdown';
+import BookEditor from './BookEditor';
+
+vi.mock('../services/libraryService', () => ({
+  getBook: vi.fn(),
+  listPostSlugs: vi.fn(async () => []),
+  saveBook: vi.fn(),
+  updateBookMarkdown: vi.fn()
+}));
+
+const postFor = (title, author) => generateMarkdown({ title, author, dateFinished: '2025-03-08', format: 'Kindle', bookEmojis: '📚' });
+
+const ENTRY = {
+  id: 'entry-1',
+  formData: { title: 'Redshirts', dateStarted: '', dateFinished: '2025-03-08', placesRead: { predefined: [], custom: '' }, format: 'Kindle' },
+  metadata: { title: 'Redshirts', author: 'John Scalzi' },
+  markdown: postFor('Redshirts', 'John Scalzi'),
+  bookData: null
+};
+
+const CurrentPath = () => <div data-testid="path">{useLocation().pathname}</div>;
+
+describe('BookEditor imports', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    getBook.mockReset().mockResolvedValue(ENTRY);
+    updateBookMarkdown.mockReset().mockImplementation(async (id, markdown) => ({ ...ENTRY, id, markdown }));
+  });
+  afterEach(cleanup);
+
+  it('starts a new post instead of overwriting the entry being edited', async () => {
+    render(
+      <MemoryRouter initialEntries={['/library/entry-1/edit']}>
+        <Routes>
+          <Route path="/" element={<BookEditor />} />
+          <Route path="/library/:id/edit" element={<BookEditor />} />
+        </Routes>
+        <CurrentPath />
+      </MemoryRouter>
+    );
+    expect(await screen.findByText(/Saved to your library/)).toBeTruthy();
+
+    const imported = postFor('The Dark Forest', 'Cixin Liu');
+    fireEvent.click(screen.getByText(/Import markdown/));
+    fireEvent.change(screen.getByPlaceholderText(/Paste an existing post/), { target: { value: imported } });
+    fireEvent.click(screen.getByRole('button', { name: 'Import' }));
+
+    await waitFor(() => expect(screen.getByTestId('path').textContent).toBe('/'));
+    expect(screen.queryByText(/Saved to your library/)).toBeNull();
+    expect(screen.getByDisplayValue('The Dark Forest')).toBeTruthy();
+
+    // Past the autosave delay
+    await act(() => new Promise(resolve => setTimeout(resolve, 1200)));
+    expect(updateBookMarkdown).not.toHaveBeenCalled();
+  });
+});
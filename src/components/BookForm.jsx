@@ -1,16 +1,33 @@
 // book-notes-app/src/components/BookForm.jsx
-import { useState } from 'react';
-import { generateMarkdown, generateMarkdownWithMetadata } from '../utils/generateMarkdown';
-import { findBookAndMetadata, fetchBookMetadata, findBookUrl } from '../services/bookService';
+import { useEffect, useRef, useState } from 'react';
+import { generateMarkdown, enrichBookData } from '../utils/generateMarkdown';
+import { getRandomBookEmojis, lookupBook } from '../services/bookService';
+import { BookServiceError } from '../services/bookServiceError';
+import { parseBookIdentifier } from '../utils/bookIdentifier';
+import { getActiveTemplate } from '../services/templateService';
+import { getTodayDate } from '../utils/dateUtils';
 import LoadingSpinner from './LoadingSpinner';
+import CandidatePicker from './CandidatePicker';
+import ClippingsImport from './ClippingsImport';
+import LookupNotice from './LookupNotice';
 
-const PREDEFINED_PLACES = ['Lisbon', 'Sintra'];
+export const PREDEFINED_PLACES = ['Lisbon', 'Sintra'];
 
-const BookForm = ({ setMarkdownContent }) => {
-  const [formData, setFormData] = useState({
+// Shown as soon as the lookup extracts them, while the rest of the lookup runs
+const LOOKUP_PREVIEW_FIELDS = [
+  ['author', 'Author'],
+  ['yearPublished', 'Published'],
+  ['pageLength', 'Length'],
+  ['listeningLength', 'Length'],
+  ['publisher', 'Publisher'],
+  ['asin', 'ASIN']
+];
+
+const BookForm = ({ initialEntry = null, onGenerated }) => {
+  const [formData, setFormData] = useState(initialEntry?.formData || {
     title: '',
     dateStarted: '',
-    dateFinished: new Date().toISOString().split('T')[0],
+    dateFinished: getTodayDate(),
     placesRead: {
       predefined: [],
       custom: ''
@@ -22,11 +39,23 @@ const BookForm = ({ setMarkdownContent }) => {
   });
 
   const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  // A BookServiceError from the last lookup, or a warning about its result
+  const [notice, setNotice] = useState(null);
+  // Params of the last lookup, so a remedy can run it again
+  const [lastLookup, setLastLookup] = useState(null);
   const [loadingMessage, setLoadingMessage] = useState('');
-  const [metadataFetched, setMetadataFetched] = useState(false);
-  const [fetchedMetadata, setFetchedMetadata] = useState(null);
+  const [metadataFetched, setMetadataFetched] = useState(Boolean(initialEntry?.metadata));
+  const [fetchedMetadata, setFetchedMetadata] = useState(initialEntry?.metadata || null);
   const [isNotesExpanded, setIsNotesExpanded] = useState(false);
+  const [candidates, setCandidates] = useState(null);
+  const titleInputRef = useRef(null);
+  // Aborts the lookup in flight: the Cancel button, a new lookup, or leaving the page
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  // Product URL, ASIN or ISBN pasted into the "Book" field, if any
+  const bookIdentifier = parseBookIdentifier(formData.title);
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -63,83 +92,181 @@ const BookForm = ({ setMarkdownContent }) => {
     if (name === 'title') {
       setMetadataFetched(false);
       setFetchedMetadata(null);
+      setCandidates(null);
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // Each selected highlight becomes its own line, and so its own bullet
+  const handleAddClippings = (lines) => {
+    setFormData(prev => ({
+      ...prev,
+      notes: [prev.notes.trimEnd(), ...lines].filter(Boolean).join('\n')
+    }));
+  };
+
+  // Combine predefined and custom places into the shape generateMarkdown expects
+  const buildMarkdownFormData = () => {
+    const placesRead = [
+      ...formData.placesRead.predefined,
+      ...(formData.placesRead.custom ? [formData.placesRead.custom] : [])
+    ].join(', ');
+
+    return {
+      ...formData,
+      placesRead
+    };
+  };
+
+  // Starts a cancellable request, cancelling any still running
+  const startRequest = () => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = new AbortController();
+    return abortControllerRef.current.signal;
+  };
+
+  const handleCancel = () => {
+    console.log('Cancelling lookup');
+    abortControllerRef.current?.abort();
+  };
+
+  const generateFromMetadata = async (metadata, signal) => {
+    console.log('Using metadata:', metadata);
+    setLoadingMessage('Generating markdown template...');
+
+    // Combine form data with metadata, explicitly using the metadata title/author
+    const bookData = await enrichBookData(buildMarkdownFormData(), metadata, { signal });
+    const template = getActiveTemplate();
+    const markdown = generateMarkdown(bookData, template.body, { slugPattern: template.slugPattern });
+    onGenerated({ formData, metadata, markdown, bookData });
+  };
+
+  // The "fill in manually" remedy: a template with only what's in the form
+  const generateBasicTemplate = () => {
+    setNotice(null);
+    const bookData = { ...buildMarkdownFormData(), bookEmojis: getRandomBookEmojis() };
+    const template = getActiveTemplate();
+    const basicMarkdown = generateMarkdown(bookData, template.body, { slugPattern: template.slugPattern });
+    onGenerated({ formData, metadata: null, markdown: basicMarkdown, bookData });
+  };
+
+  // Each streamed step updates the progress message; book details show up as soon as they're extracted
+  const handleLookupEvent = (event, data) => {
+    if (data.message) setLoadingMessage(data.message);
+
+    if (event === 'fields') {
+      setFetchedMetadata(data.metadata);
+      setMetadataFetched(true);
+    } else if (event === 'emojis' && data.emojis) {
+      setFetchedMetadata(prev => ({ ...prev, bookEmojis: data.emojis }));
+    }
+  };
+
+  const lookupAndGenerate = async (params, message) => {
+    setCandidates(null);
     setIsLoading(true);
-    setError(null);
+    setNotice(null);
+    setLastLookup({ params, message });
+    const signal = startRequest();
 
     try {
-      let metadata = fetchedMetadata;
-
-      // Only fetch metadata if we haven't already or if it's changed
-      if (!metadataFetched) {
-        try {
-          setLoadingMessage('Searching for book on Amazon...');
-          const amazonUrl = await findBookUrl(
-            formData.title,
-            '', 
-            formData.format || ''
-          );
-          console.log('Found Amazon URL:', amazonUrl);
-
-          setLoadingMessage('Fetching book metadata from Amazon...');
-          metadata = await fetchBookMetadata(amazonUrl);
-          setFetchedMetadata(metadata);
-          setMetadataFetched(true);
-        } catch (searchError) {
-          console.error('Error in search or metadata fetch:', searchError);
-          setError(`Book search/metadata error: ${searchError.message}`);
-          throw searchError;
-        }
-      }
+      setLoadingMessage(message);
+      let emojiErrorCode = null;
+      const { metadata: result, candidates: results } = await lookupBook(params, (event, data) => {
+        if (event === 'emojis' && data.code) emojiErrorCode = data.code;
+        handleLookupEvent(event, data);
+      }, { signal });
 
-      console.log('Using metadata:', metadata);
-      setLoadingMessage('Generating markdown template...');
+      // Several matches: let the user pick one, which runs the lookup again with its URL
+      if (!result) {
+        console.log('Found candidates:', results);
+        setCandidates(results);
+        return;
+      }
 
-      // Combine predefined and custom places
-      const placesRead = [
-        ...formData.placesRead.predefined,
-        ...(formData.placesRead.custom ? [formData.placesRead.custom] : [])
-      ].join(', ');
+      // Without AI emojis, pick random ones now rather than asking the emoji worker again
+      const metadata = emojiErrorCode ? { ...result, bookEmojis: getRandomBookEmojis() } : result;
 
-      // Create a modified form data with combined places
-      const modifiedFormData = {
-        ...formData,
-        placesRead
-      };
+      setFetchedMetadata(metadata);
+      setMetadataFetched(true);
+      await generateFromMetadata(metadata, signal);
 
-      // Generate markdown with metadata, explicitly passing metadata title/author
-      const markdown = await generateMarkdownWithMetadata(modifiedFormData, metadata);
-      setMarkdownContent(markdown);
+      const [warning] = metadata.warnings || [];
+      if (warning) {
+        setNotice(new BookServiceError(warning.code, warning.message, { fields: warning.fields }));
+      } else if (emojiErrorCode) {
+        setNotice(new BookServiceError(emojiErrorCode, ''));
+      }
     } catch (error) {
+      // Cancelled: drop whatever arrived so the next submit starts a fresh lookup
+      if (error.code === 'CANCELLED') {
+        setMetadataFetched(false);
+        setFetchedMetadata(null);
+        return;
+      }
       console.error('Error fetching book metadata:', error);
+      setNotice(error);
+    } finally {
+      setIsLoading(false);
+      setLoadingMessage('');
+    }
+  };
 
-      // More detailed error message
-      const errorMessage = `Failed to fetch book metadata: ${error.message}. Generating basic template instead.`;
-      setError(errorMessage);
+  const handleSelectCandidate = (candidate) => {
+    console.log('Selected candidate:', candidate);
+    return lookupAndGenerate({ url: candidate.url }, 'Fetching book metadata from Amazon...');
+  };
 
-      // Combine predefined and custom places
-      const placesRead = [
-        ...formData.placesRead.predefined,
-        ...(formData.placesRead.custom ? [formData.placesRead.custom] : [])
-      ].join(', ');
+  const handleSubmit = async (e) => {
+    e.preventDefault();
 
-      // Create a modified form data with combined places
-      const modifiedFormData = {
-        ...formData,
-        placesRead
-      };
+    // Metadata is already in hand, just regenerate with the current form values
+    if (metadataFetched) {
+      setIsLoading(true);
+      setNotice(null);
+      try {
+        await generateFromMetadata(fetchedMetadata, startRequest());
+      } catch (error) {
+        if (error.code !== 'CANCELLED') {
+          console.error('Error generating markdown:', error);
+          setNotice(error);
+        }
+      } finally {
+        setIsLoading(false);
+        setLoadingMessage('');
+      }
+      return;
+    }
 
-      // Fallback to basic template
-      const basicMarkdown = generateMarkdown(modifiedFormData);
-      setMarkdownContent(basicMarkdown);
-    } finally {
-      setIsLoading(false);
-      setLoadingMessage('');
+    // A pasted product URL, ASIN or ISBN-10 goes straight to the product page
+    if (bookIdentifier?.amazonUrl) {
+      console.log('Using pasted identifier:', bookIdentifier);
+      await lookupAndGenerate({ url: bookIdentifier.amazonUrl }, 'Fetching book metadata from Amazon...');
+      return;
+    }
+
+    // ISBNs without an ISBN-10 form have no Amazon page to go to, so look them up by ISBN
+    if (bookIdentifier?.type === 'isbn') {
+      console.log('Looking up ISBN:', bookIdentifier.value);
+      await lookupAndGenerate({ isbn: bookIdentifier.value }, 'Looking up ISBN...');
+      return;
     }
+
+    // A single hit is looked up straight away; several stop at the candidate picker
+    await lookupAndGenerate({ query: formData.title, format: formData.format || '' }, 'Searching for book on Amazon...');
+  };
+
+  // Remedies offered by the lookup notice; ones that don't apply to the last lookup are left out
+  const remedies = {
+    retry: lastLookup ? () => lookupAndGenerate(lastLookup.params, lastLookup.message) : null,
+    // Only Amazon results can be scraped, so widen the search by dropping the format rather than the store
+    anyFormat: lastLookup?.params.query && lastLookup.params.format
+      ? () => lookupAndGenerate({ ...lastLookup.params, format: '' }, 'Searching for any edition...')
+      : null,
+    pasteUrl: () => {
+      setNotice(null);
+      titleInputRef.current?.select();
+    },
+    manual: generateBasicTemplate
   };
 
   // Helper to show what title/author will be used
@@ -163,18 +290,36 @@ const BookForm = ({ setMarkdownContent }) => {
           <input
             type="text"
             name="title"
+            ref={titleInputRef}
             value={formData.title}
             onChange={handleChange}
             required
             className="w-full px-3 py-2 border border-gray-300 rounded-md"
-            placeholder="e.g. The Great Gatsby F Scott Fitzgerald"
+            placeholder="e.g. The Great Gatsby F Scott Fitzgerald, or an Amazon URL, ASIN or ISBN"
           />
+          {bookIdentifier && !metadataFetched && (
+            <div className="mt-1 text-sm text-gray-600">
+              Detected {bookIdentifier.type === 'isbn' ? 'ISBN' : 'ASIN'} {bookIdentifier.value}, skipping search
+            </div>
+          )}
           {metadataFetched && (
             <div className="mt-1 text-sm text-green-600">
               <span className="font-medium">Title from Amazon:</span> {displayTitle}
               {displayAuthor && <span> by {displayAuthor}</span>}
             </div>
           )}
+          {isLoading && fetchedMetadata && (
+            <dl className="mt-1 grid grid-cols-[auto_1fr] gap-x-3 text-xs text-gray-600">
+              {LOOKUP_PREVIEW_FIELDS
+                .filter(([field]) => fetchedMetadata[field] && fetchedMetadata[field] !== 'Not found')
+                .map(([field, label]) => (
+                  <div key={field} className="contents">
+                    <dt className="font-medium">{label}</dt>
+                    <dd className="truncate">{fetchedMetadata[field]}</dd>
+                  </div>
+                ))}
+            </dl>
+          )}
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -307,16 +452,38 @@ const BookForm = ({ setMarkdownContent }) => {
                   placeholder="Your thoughts and notes about the book (no spoilers)"
                 />
               </div>
+
+              <ClippingsImport
+                currentTitle={fetchedMetadata?.title && fetchedMetadata.title !== 'Not found' ? fetchedMetadata.title : formData.title}
+                onAdd={handleAddClippings}
+              />
             </div>
           )}
         </div>
 
-        {error && (
-          <div className="text-red-500 text-sm">{error}</div>
+        {notice && !isLoading && (
+          <LookupNotice error={notice} onRemedy={remedies} onDismiss={() => setNotice(null)} />
+        )}
+
+        {candidates && !isLoading && (
+          <CandidatePicker
+            candidates={candidates}
+            onSelect={handleSelectCandidate}
+            onCancel={() => setCandidates(null)}
+          />
         )}
 
         {isLoading ? (
-          <LoadingSpinner message={loadingMessage} />
+          <div className="text-center">
+            <LoadingSpinner message={loadingMessage} />
+            <button
+              type="button"
+              onClick={handleCancel}
+              className="text-sm text-gray-500 hover:text-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
         ) : (
           <div className="pt-4">
             <button
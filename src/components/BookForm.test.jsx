@@ -0,0 +1,110 @@
+// book-notes-app/src/components/BookForm.test.jsx
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { lookupBook } from '../services/bookService';
+import { BookServiceError } from '../services/bookServiceError';
+import BookForm from './BookForm';
+
+vi.mock('../services/bookService', () => ({
+  lookupBook: vi.fn(),
+  fetchBookEmojis: vi.fn(async () => null),
+  getRandomBookEmojis: () => ['📚', '📖', '🔖']
+}));
+
+const METADATA = {
+  asin: 'B0064W66X8',
+  title: 'Redshirts',
+  author: 'John Scalzi',
+  contributors: [{ name: 'John Scalzi', roles: ['author'] }],
+  yearPublished: '2012',
+  pageLength: '321 pages',
+  publicationDate: 'June 5, 2012',
+  publisher: 'Tor Books',
+  language: 'English',
+  isbn10: 'Not found',
+  isbn13: 'Not found',
+  coverUrl: 'Not found',
+  listeningLength: 'Not found',
+  narrator: 'Not found',
+  audibleReleaseDate: 'Not found',
+  description: 'Away missions are bad news.',
+  bookEmojis: ['🚀', '👕', '💀']
+};
+
+const CANDIDATES = [
+  { url: 'https://www.amazon.com/dp/B0064W66X8', title: 'Redshirts (Kindle)', storeType: 'amazon', strategy: 'google', asin: 'B0064W66X8', score: 1 },
+  { url: 'https://www.amazon.com/dp/0765316994', title: 'Redshirts (Hardcover)', storeType: 'amazon', strategy: 'google', asin: '0765316994', score: 0.9 }
+];
+
+const searchFor = (title) => {
+  fireEvent.change(screen.getByPlaceholderText(/Great Gatsby/), { target: { name: 'title', value: title } });
+  fireEvent.submit(screen.getByPlaceholderText(/Great Gatsby/).closest('form'));
+};
+
+describe('BookForm lookups', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    lookupBook.mockReset();
+  });
+  afterEach(cleanup);
+
+  it('generates a post straight away for a single match', async () => {
+    lookupBook.mockResolvedValue({ metadata: METADATA, candidates: [CANDIDATES[0]] });
+    const onGenerated = vi.fn();
+    render(<BookForm onGenerated={onGenerated} />);
+
+    searchFor('Redshirts Scalzi');
+
+    await waitFor(() => expect(onGenerated).toHaveBeenCalledTimes(1));
+    const [{ metadata, markdown }] = onGenerated.mock.calls[0];
+    expect(metadata).toEqual(METADATA);
+    expect(markdown).toContain('Redshirts');
+    expect(markdown).toContain('John Scalzi');
+    expect(screen.queryByRole('alert')).toBeNull();
+    expect(lookupBook).toHaveBeenCalledWith({ query: 'Redshirts Scalzi', format: 'Kindle' }, expect.any(Function), expect.anything());
+  });
+
+  it('shows the candidate picker when the search finds several editions', async () => {
+    lookupBook.mockResolvedValue({ metadata: null, candidates: CANDIDATES });
+    const onGenerated = vi.fn();
+    render(<BookForm onGenerated={onGenerated} />);
+
+    searchFor('Redshirts');
+
+    expect(await screen.findByText('Which edition is it?')).toBeTruthy();
+    expect(screen.getByText('Redshirts (Hardcover)')).toBeTruthy();
+    expect(onGenerated).not.toHaveBeenCalled();
+    expect(screen.queryByRole('alert')).toBeNull();
+  });
+
+  it('uses random emojis when the emoji step failed', async () => {
+    lookupBook.mockImplementation(async (params, onEvent) => {
+      onEvent('emojis', { code: 'AI_UNAVAILABLE', message: 'Picking emojis...' });
+      return { metadata: { ...METADATA, bookEmojis: undefined }, candidates: [] };
+    });
+    const onGenerated = vi.fn();
+    render(<BookForm onGenerated={onGenerated} />);
+
+    searchFor('Redshirts Scalzi');
+
+    await waitFor(() => expect(onGenerated).toHaveBeenCalledTimes(1));
+    expect(onGenerated.mock.calls[0][0].metadata.bookEmojis).toEqual(['📚', '📖', '🔖']);
+    expect(await screen.findByText('Emojis picked at random')).toBeTruthy();
+  });
+
+  it('searches again without the format when nothing matched', async () => {
+    lookupBook
+      .mockRejectedValueOnce(new BookServiceError('NO_RESULTS', 'No book links found'))
+      .mockResolvedValueOnce({ metadata: METADATA, candidates: [CANDIDATES[0]] });
+    const onGenerated = vi.fn();
+    render(<BookForm onGenerated={onGenerated} />);
+
+    searchFor('Redshirts Scalzi');
+    fireEvent.click(await screen.findByRole('button', { name: 'Search without the format' }));
+
+    await waitFor(() => expect(onGenerated).toHaveBeenCalledTimes(1));
+    expect(lookupBook).toHaveBeenLastCalledWith({ query: 'Redshirts Scalzi', format: '' }, expect.any(Function), expect.anything());
+    expect(screen.queryByRole('button', { name: /all stores/ })).toBeNull();
+  });
+});
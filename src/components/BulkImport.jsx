@@ -0,0 +1,188 @@
+// book-notes-app/src/components/BulkImport.jsx
+import { useState } from 'react';
+import { parseReadingLog, READING_LOG_SOURCES } from '../utils/readingLogImport';
+import { generatePostForRow, runWithConcurrency, uniqueFileNames } from '../services/bulkImportService';
+import { createZip } from '../utils/zip';
+import { downloadBlob } from '../utils/download';
+import { formatDisplayDate, getTodayDate } from '../utils/dateUtils';
+import { PREDEFINED_PLACES } from './BookForm';
+
+// Each lookup drives a headless browser in the workers, so keep this low
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4];
+
+const STATUS_STYLES = {
+  queued: 'text-gray-500',
+  searching: 'text-blue-600',
+  generating: 'text-blue-600',
+  done: 'text-green-600',
+  warning: 'text-yellow-600',
+  review: 'text-yellow-600',
+  failed: 'text-red-500'
+};
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  searching: 'Looking up metadata...',
+  generating: 'Generating...',
+  done: 'Done',
+  warning: 'Done (no metadata)',
+  review: 'Done (check the match)',
+  failed: 'Failed'
+};
+
+const BulkImport = () => {
+  const [source, setSource] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [skipped, setSkipped] = useState(0);
+  const [statuses, setStatuses] = useState({});
+  const [concurrency, setConcurrency] = useState(2);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateStatus = (id, update) => {
+    setStatuses(prev => ({ ...prev, [id]: { ...prev[id], ...update } }));
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setError(null);
+    try {
+      const parsed = parseReadingLog(await file.text(), { predefinedPlaces: PREDEFINED_PLACES });
+      setSource(parsed.source);
+      setRows(parsed.rows);
+      setSkipped(parsed.skipped);
+      setStatuses(Object.fromEntries(parsed.rows.map(row => [row.id, { status: 'queued' }])));
+    } catch (parseError) {
+      console.error('[BulkImport] Failed to read export:', parseError);
+      setError(parseError.message);
+      setRows([]);
+      setSource(null);
+    }
+  };
+
+  const handleGenerate = async () => {
+    setIsRunning(true);
+    setError(null);
+
+    // Re-running only retries books that don't have a post yet
+    const pending = rows.filter(row => !statuses[row.id]?.markdown);
+
+    await runWithConcurrency(pending, concurrency, async (row) => {
+      try {
+        const post = await generatePostForRow(row, stage => updateStatus(row.id, { status: stage, message: '' }));
+        updateStatus(row.id, {
+          status: post.warning ? 'warning' : post.review ? 'review' : 'done',
+          message: post.warning || post.review || '',
+          markdown: post.markdown,
+          filename: post.filename
+        });
+      } catch (generateError) {
+        console.error('[BulkImport] Failed to generate post for:', row.title, generateError);
+        updateStatus(row.id, { status: 'failed', message: generateError.message });
+      }
+    });
+
+    setIsRunning(false);
+  };
+
+  const generatedFiles = rows
+    .map(row => statuses[row.id])
+    .filter(status => status?.markdown)
+    .map(status => ({ name: status.filename, content: status.markdown }));
+
+  const handleDownload = () => {
+    downloadBlob(createZip(uniqueFileNames(generatedFiles)), `book-notes-${getTodayDate()}.zip`);
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-bold text-speedmaster-dark mb-2">Bulk import</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Upload a Goodreads or StoryGraph library export. A post is generated for every book on your read shelf using the active template. Books without an ISBN are found by search, so check any marked "check the match" before publishing.
+      </p>
+
+      <div className="flex flex-col md:flex-row md:items-center gap-4 mb-6">
+        <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={isRunning} className="text-sm flex-grow" />
+        <label className="text-sm text-gray-700 flex items-center gap-2">
+          At a time
+          <select
+            value={concurrency}
+            onChange={(e) => setConcurrency(Number(e.target.value))}
+            disabled={isRunning}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {CONCURRENCY_OPTIONS.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={handleGenerate}
+          disabled={isRunning || rows.length === 0}
+          className="py-2 px-4 bg-speedmaster-accent text-white font-medium rounded-md hover:bg-blue-600 disabled:opacity-50"
+        >
+          {isRunning ? 'Generating...' : 'Generate posts'}
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          disabled={isRunning || generatedFiles.length === 0}
+          className="py-2 px-4 bg-gray-700 text-white font-medium rounded-md hover:bg-gray-600 disabled:opacity-50"
+        >
+          Download zip ({generatedFiles.length})
+        </button>
+      </div>
+
+      {error && (
+        <div className="text-red-500 text-sm mb-4">{error}</div>
+      )}
+
+      {source && (
+        <p className="text-sm text-gray-500 mb-2">
+          {READING_LOG_SOURCES[source]} export: {rows.length} read {rows.length === 1 ? 'book' : 'books'}
+          {skipped > 0 && `, ${skipped} on other shelves skipped`}
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-2">Book</th>
+              <th className="py-2 pr-2">Format</th>
+              <th className="py-2 pr-2">Finished</th>
+              <th className="py-2">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rows.map(row => {
+              const status = statuses[row.id] || { status: 'queued' };
+              return (
+                <tr key={row.id}>
+                  <td className="py-2 pr-2">
+                    <div className="font-medium text-speedmaster-dark">{row.title}</div>
+                    <div className="text-gray-500">
+                      {row.author || 'Unknown author'}{row.isbn && ` · ISBN ${row.isbn}`}
+                    </div>
+                  </td>
+                  <td className="py-2 pr-2 text-gray-700">{row.formData.format}</td>
+                  <td className="py-2 pr-2 text-gray-700 whitespace-nowrap">{formatDisplayDate(row.formData.dateFinished)}</td>
+                  <td className="py-2">
+                    <div className={STATUS_STYLES[status.status]}>{STATUS_LABELS[status.status]}</div>
+                    {status.filename && <div className="text-xs font-mono text-gray-400">{status.filename}</div>}
+                    {status.message && <div className="text-xs text-gray-500">{status.message}</div>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default BulkImport;
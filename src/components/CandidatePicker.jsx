@@ -0,0 +1,64 @@
+// book-notes-app/src/components/CandidatePicker.jsx
+import React from 'react';
+
+const STORE_LABELS = {
+  amazon: 'Amazon',
+  barnesnoble: 'Barnes & Noble',
+  google: 'Google Books',
+  goodreads: 'Goodreads',
+  bookshop: 'Bookshop'
+};
+
+// The search the candidate came from
+const STRATEGY_LABELS = {
+  google: 'Google',
+  amazon: 'Amazon search',
+  duckduckgo: 'DuckDuckGo'
+};
+
+const CandidatePicker = ({ candidates, onSelect, onCancel }) => {
+  return (
+    <div className="border border-gray-300 rounded-md p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-medium text-gray-700">Which edition is it?</h3>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-sm text-gray-500 hover:text-gray-700"
+        >
+          Cancel
+        </button>
+      </div>
+
+      <ul className="space-y-2">
+        {candidates.map(candidate => {
+          // The metadata scraper only understands Amazon product pages
+          const selectable = candidate.storeType === 'amazon';
+
+          return (
+            <li key={candidate.url}>
+              <button
+                type="button"
+                onClick={() => onSelect(candidate)}
+                disabled={!selectable}
+                className="w-full text-left px-3 py-2 border border-gray-200 rounded-md hover:border-speedmaster-accent disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <div className="text-sm font-medium text-speedmaster-dark">
+                  {candidate.title || candidate.url}
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {STORE_LABELS[candidate.storeType] || candidate.storeType}
+                  {candidate.asin && <span> · ASIN {candidate.asin}</span>}
+                  {candidate.strategy && <span> · via {STRATEGY_LABELS[candidate.strategy] || candidate.strategy}</span>}
+                  <span> · {Math.round(candidate.score * 100)}% match</span>
+                </div>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default CandidatePicker;
@@ -0,0 +1,118 @@
+// book-notes-app/src/components/ClippingsImport.jsx
+import { useState } from 'react';
+import { parseClippings, findClippingsBook, formatCitation, formatClippingNote } from '../utils/kindleClippings';
+
+const ClippingsImport = ({ currentTitle, onAdd }) => {
+  const [books, setBooks] = useState(null);
+  const [bookIndex, setBookIndex] = useState(-1);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState(null);
+
+  const selectBook = (index, parsedBooks = books) => {
+    setBookIndex(index);
+    // Highlights start selected; your own notes are opt-in
+    const entries = parsedBooks[index]?.entries || [];
+    setSelected(entries.filter(entry => entry.type === 'highlight').map(entry => entry.index));
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setError(null);
+    const parsed = parseClippings(await file.text());
+    if (parsed.length === 0) {
+      setError('No highlights found. Upload the My Clippings.txt file from your Kindle\'s documents folder.');
+      setBooks(null);
+      return;
+    }
+
+    setBooks(parsed);
+    selectBook(parsed.indexOf(findClippingsBook(parsed, currentTitle)), parsed);
+  };
+
+  const toggleEntry = (index) => {
+    setSelected(prev => (prev.includes(index) ? prev.filter(item => item !== index) : [...prev, index]));
+  };
+
+  const handleAdd = () => {
+    const entries = books[bookIndex].entries.filter(entry => selected.includes(entry.index));
+    onAdd(entries.map(formatClippingNote));
+    setBooks(null);
+  };
+
+  const book = books?.[bookIndex];
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">
+        Kindle Highlights
+      </label>
+      <input type="file" accept=".txt,text/plain" onChange={handleFile} className="text-sm" />
+
+      {error && (
+        <div className="text-red-500 text-sm">{error}</div>
+      )}
+
+      {books && (
+        <div className="border border-gray-300 rounded-md p-3 space-y-3">
+          <select
+            value={bookIndex}
+            onChange={(e) => selectBook(Number(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            {bookIndex === -1 && <option value={-1}>No match for this title, pick a book</option>}
+            {books.map((clippingsBook, index) => (
+              <option key={index} value={index}>
+                {clippingsBook.title}{clippingsBook.author && ` (${clippingsBook.author})`} · {clippingsBook.entries.length}
+              </option>
+            ))}
+          </select>
+
+          {book && (
+            <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+              {book.entries.map(entry => (
+                <li key={entry.index} className="py-2">
+                  <label className="flex items-start gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(entry.index)}
+                      onChange={() => toggleEntry(entry.index)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className={entry.type === 'note' ? 'text-gray-900' : 'text-gray-700 italic'}>{entry.text}</span>
+                      <span className="block text-xs text-gray-500">
+                        {entry.type === 'note' ? 'Note' : 'Highlight'}{formatCitation(entry) && ` · ${formatCitation(entry)}`}
+                      </span>
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setBooks(null)}
+              className="py-1 px-3 text-sm text-gray-600 hover:text-gray-900"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleAdd}
+              disabled={selected.length === 0}
+              className="py-1 px-4 bg-speedmaster-accent text-white text-sm font-medium rounded-md hover:bg-blue-600 disabled:opacity-50"
+            >
+              Add {selected.length} to notes
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClippingsImport;
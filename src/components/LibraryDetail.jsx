@@ -0,0 +1,100 @@
+// book-notes-app/src/components/LibraryDetail.jsx
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import LoadingSpinner from './LoadingSpinner';
+import MarkdownPreview from './MarkdownPreview';
+import { deleteBook, getBook } from '../services/libraryService';
+import { formatDisplayDate } from '../utils/dateUtils';
+
+const LibraryDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [book, setBook] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setIsLoading(true);
+    getBook(id)
+      .then(setBook)
+      .catch(loadError => setError(`Failed to load book: ${loadError.message}`))
+      .finally(() => setIsLoading(false));
+  }, [id]);
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Remove "${book.title}" from your library?`)) return;
+
+    try {
+      await deleteBook(id);
+      navigate('/library');
+    } catch (deleteError) {
+      setError(`Failed to delete book: ${deleteError.message}`);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner message="Loading book..." />;
+  }
+
+  if (!book) {
+    return (
+      <div className="text-center text-gray-600">
+        <p>{error || 'That book is not in your library.'}</p>
+        <Link to="/library" className="text-speedmaster-accent hover:underline">Back to library</Link>
+      </div>
+    );
+  }
+
+  const details = [
+    ['Author', book.author],
+    ['Format', book.format],
+    ['Date Started', formatDisplayDate(book.formData.dateStarted)],
+    ['Date Finished', formatDisplayDate(book.dateFinished)],
+    ['ASIN', book.metadata?.asin !== 'Not found' ? book.metadata?.asin : ''],
+    ['Last Updated', formatDisplayDate(book.updatedAt)]
+  ].filter(([, value]) => value);
+
+  return (
+    <div className="max-w-5xl mx-auto flex flex-col md:flex-row gap-8">
+      <div className="md:w-1/2 bg-white p-6 rounded-lg shadow-md">
+        <Link to="/library" className="text-sm text-speedmaster-accent hover:underline">← Library</Link>
+        <h2 className="text-xl font-bold mt-2 mb-6 text-speedmaster-dark">{book.title}</h2>
+
+        <dl className="space-y-2 text-sm">
+          {details.map(([label, value]) => (
+            <div key={label} className="flex">
+              <dt className="w-32 font-medium text-gray-700">{label}</dt>
+              <dd className="text-gray-600">{value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        {error && (
+          <div className="text-red-500 text-sm mt-4">{error}</div>
+        )}
+
+        <div className="flex gap-4 pt-6">
+          <Link
+            to={`/library/${book.id}/edit`}
+            className="flex-grow text-center py-2 px-4 bg-speedmaster-accent text-white font-medium rounded-md hover:bg-blue-600 transition-colors"
+          >
+            Edit
+          </Link>
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="py-2 px-4 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+
+      <div className="md:w-1/2">
+        <MarkdownPreview markdownContent={book.markdown} generatedMarkdown={book.generatedMarkdown} bookData={book.bookData} />
+      </div>
+    </div>
+  );
+};
+
+export default LibraryDetail;
@@ -0,0 +1,105 @@
+// book-notes-app/src/components/LibraryList.jsx
+import { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import LoadingSpinner from './LoadingSpinner';
+import { listBooks } from '../services/libraryService';
+import { formatDisplayDate } from '../utils/dateUtils';
+
+const SORT_OPTIONS = {
+  dateFinished: {
+    label: 'Finish date',
+    // Most recent first; entries without a date go last
+    compare: (a, b) => (b.dateFinished || '').localeCompare(a.dateFinished || '')
+  },
+  author: {
+    label: 'Author',
+    compare: (a, b) => (a.author || '').localeCompare(b.author || '') || a.title.localeCompare(b.title)
+  },
+  format: {
+    label: 'Format',
+    compare: (a, b) => (a.format || '').localeCompare(b.format || '') || (b.dateFinished || '').localeCompare(a.dateFinished || '')
+  }
+};
+
+const LibraryList = () => {
+  const [books, setBooks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [sortBy, setSortBy] = useState('dateFinished');
+
+  useEffect(() => {
+    listBooks()
+      .then(setBooks)
+      .catch(loadError => setError(`Failed to load library: ${loadError.message}`))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const visibleBooks = useMemo(() => {
+    const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return books
+      .filter(book => {
+        const haystack = `${book.title} ${book.author} ${book.format}`.toLowerCase();
+        return terms.every(term => haystack.includes(term));
+      })
+      .sort(SORT_OPTIONS[sortBy].compare);
+  }, [books, search, sortBy]);
+
+  if (isLoading) {
+    return <LoadingSpinner message="Loading library..." />;
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto bg-white p-6 rounded-lg shadow-md">
+      <div className="flex flex-col md:flex-row gap-4 mb-6">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="flex-grow px-3 py-2 border border-gray-300 rounded-md"
+          placeholder="Search by title, author or format"
+        />
+        <select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        >
+          {Object.entries(SORT_OPTIONS).map(([value, option]) => (
+            <option key={value} value={value}>Sort by {option.label.toLowerCase()}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="text-red-500 text-sm mb-4">{error}</div>
+      )}
+
+      {visibleBooks.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">
+          {books.length === 0 ? 'No books yet. Generate a post to add one.' : 'No books match your search.'}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {visibleBooks.map(book => (
+            <li key={book.id}>
+              <Link to={`/library/${book.id}`} className="flex justify-between items-center py-3 hover:bg-gray-50 px-2 rounded-md">
+                <div>
+                  <div className="font-medium text-speedmaster-dark">{book.title}</div>
+                  <div className="text-sm text-gray-500">
+                    {book.author || 'Unknown author'} · {book.format}
+                  </div>
+                </div>
+                <div className="text-sm text-gray-500 whitespace-nowrap ml-4">
+                  {formatDisplayDate(book.dateFinished)}
+                </div>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LibraryList;
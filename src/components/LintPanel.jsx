@@ -0,0 +1,66 @@
+// book-notes-app/src/components/LintPanel.jsx
+import { useState } from 'react';
+
+const SEVERITY_STYLES = {
+  error: 'text-red-400',
+  warning: 'text-yellow-400'
+};
+
+/**
+ * Lists lint problems in a post, collapsed to a one-line summary by default
+ * @param {Object} props
+ * @param {Array<Object>} props.problems - Problems from lintPost
+ * @param {(line: number) => void} [props.onSelectLine] - Jumps to a problem's line in the editor
+ */
+const LintPanel = ({ problems, onSelectLine = null }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (problems.length === 0) {
+    return <div className="mb-3 text-xs text-green-400">✓ No problems found</div>;
+  }
+
+  const errors = problems.filter(problem => problem.severity === 'error').length;
+  const warnings = problems.length - errors;
+  const summary = [
+    errors && `${errors} error${errors === 1 ? '' : 's'}`,
+    warnings && `${warnings} warning${warnings === 1 ? '' : 's'}`
+  ].filter(Boolean).join(', ');
+
+  return (
+    <div className="mb-3 text-xs">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className={errors ? SEVERITY_STYLES.error : SEVERITY_STYLES.warning}
+      >
+        {summary} {isExpanded ? '▼' : '▶'}
+      </button>
+
+      {isExpanded && (
+        <ul className="mt-2 space-y-1">
+          {problems.map((problem, index) => (
+            <li key={index} className="flex gap-2">
+              <span className={`uppercase font-medium ${SEVERITY_STYLES[problem.severity]}`}>{problem.severity}</span>
+              {problem.line && onSelectLine ? (
+                <button
+                  type="button"
+                  onClick={() => onSelectLine(problem.line)}
+                  className="text-left text-gray-300 hover:text-gray-100"
+                >
+                  <span className="font-mono text-gray-500">L{problem.line}</span> {problem.message}
+                </button>
+              ) : (
+                <span className="text-gray-300">
+                  {problem.line && <span className="font-mono text-gray-500">L{problem.line} </span>}
+                  {problem.message}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LintPanel;
@@ -0,0 +1,117 @@
+// book-notes-app/src/components/LookupNotice.jsx
+
+const TONE_STYLES = {
+  error: 'bg-red-50 border-red-300 text-red-800',
+  warning: 'bg-yellow-50 border-yellow-300 text-yellow-800',
+  info: 'bg-blue-50 border-blue-300 text-blue-800'
+};
+
+const REMEDY_LABELS = {
+  retry: 'Try again',
+  anyFormat: 'Search without the format',
+  pasteUrl: 'Paste a product URL',
+  manual: 'Fill in manually'
+};
+
+// What went wrong and what the user can do about it, by error code
+const NOTICES = {
+  NO_RESULTS: {
+    tone: 'error',
+    title: 'No match found',
+    hint: "The search didn't turn up this book. Try searching without the format, or paste the book's Amazon URL, ASIN or ISBN.",
+    remedies: ['anyFormat', 'pasteUrl', 'manual']
+  },
+  BOT_CHALLENGE: {
+    tone: 'error',
+    title: 'Blocked by a captcha',
+    hint: 'Google or Amazon asked the lookup to prove it isn\'t a bot. This usually clears up after a minute; a pasted product URL skips the search.',
+    remedies: ['retry', 'pasteUrl', 'manual']
+  },
+  NAVIGATION_TIMEOUT: {
+    tone: 'error',
+    title: 'The store page took too long',
+    hint: 'The headless browser gave up waiting for the page to load.',
+    remedies: ['retry', 'manual']
+  },
+  PARSE_PARTIAL: {
+    tone: 'warning',
+    title: 'Some details are missing',
+    hint: 'Fill them in in the preview, or paste the product URL of another edition.',
+    remedies: ['pasteUrl']
+  },
+  AI_UNAVAILABLE: {
+    tone: 'info',
+    title: 'Emojis picked at random',
+    hint: "Workers AI didn't respond, so the post uses random book emojis. You can change them in the preview.",
+    remedies: []
+  },
+  AUTH_FAILED: {
+    tone: 'error',
+    title: 'Not authorized',
+    hint: 'The workers rejected the request. Check VITE_CF_ACCESS_CLIENT_ID and VITE_CF_ACCESS_CLIENT_SECRET, and that this origin is in the workers\' ALLOWED_ORIGINS.',
+    remedies: ['manual']
+  },
+  TIMEOUT: {
+    tone: 'error',
+    title: 'The lookup took too long',
+    hint: "The lookup didn't answer in time, even after retrying.",
+    remedies: ['retry', 'manual']
+  },
+  NETWORK_ERROR: {
+    tone: 'error',
+    title: "Couldn't reach the lookup service",
+    hint: 'Check your connection and that Cloudflare Access is configured correctly.',
+    remedies: ['retry', 'manual']
+  }
+};
+
+const DEFAULT_NOTICE = {
+  tone: 'error',
+  title: 'Lookup failed',
+  hint: 'Something went wrong while looking the book up.',
+  remedies: ['retry', 'manual']
+};
+
+/**
+ * Explains a failed or partial lookup and offers the remedies that fit its error code
+ * @param {Object} props
+ * @param {Error} props.error - A BookServiceError, or any error (treated as INTERNAL)
+ * @param {Object<string, Function>} props.onRemedy - Handlers by remedy (retry, anyFormat, pasteUrl, manual); remedies without one are hidden
+ * @param {() => void} props.onDismiss - Hides the notice
+ */
+const LookupNotice = ({ error, onRemedy, onDismiss }) => {
+  const notice = NOTICES[error.code] || DEFAULT_NOTICE;
+  const remedies = notice.remedies.filter(remedy => onRemedy[remedy]);
+
+  return (
+    <div className={`p-3 border rounded-md text-sm ${TONE_STYLES[notice.tone]}`} role={notice.tone === 'error' ? 'alert' : 'status'}>
+      <div className="flex justify-between items-start gap-2">
+        <div className="font-medium">{notice.title}</div>
+        <button type="button" onClick={onDismiss} className="opacity-60 hover:opacity-100" aria-label="Dismiss">
+          ✕
+        </button>
+      </div>
+      <p className="mt-1">{notice.hint}</p>
+      {error.message && (
+        <p className="mt-1 text-xs opacity-75">{error.message}</p>
+      )}
+
+      {remedies.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-2">
+          {remedies.map(remedy => (
+            <button
+              key={remedy}
+              type="button"
+              onClick={onRemedy[remedy]}
+              className="px-3 py-1 bg-white border border-current rounded-md hover:opacity-80"
+            >
+              {REMEDY_LABELS[remedy]}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LookupNotice;
@@ -0,0 +1,66 @@
+// book-notes-app/src/components/MarkdownImport.jsx
+import { useState } from 'react';
+
+const MarkdownImport = ({ onImport }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [markdown, setMarkdown] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setMarkdown(await file.text());
+  };
+
+  const handleImport = () => {
+    setError(null);
+    try {
+      onImport(markdown);
+      setMarkdown('');
+      setIsExpanded(false);
+    } catch (importError) {
+      console.error('[MarkdownImport] Failed to import markdown:', importError);
+      setError(importError.message);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="text-sm font-medium text-gray-700"
+      >
+        Import markdown {isExpanded ? '▼' : '▶'}
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 bg-white p-4 rounded-lg shadow-md space-y-3">
+          <textarea
+            value={markdown}
+            onChange={(e) => setMarkdown(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm"
+            rows="8"
+            placeholder="Paste an existing post, or choose a .md file"
+          />
+          <div className="flex items-center justify-between gap-4">
+            <input type="file" accept=".md,.markdown,text/markdown" onChange={handleFile} className="text-sm" />
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={!markdown.trim()}
+              className="py-1 px-4 bg-speedmaster-accent text-white text-sm font-medium rounded-md hover:bg-blue-600 disabled:opacity-50"
+            >
+              Import
+            </button>
+          </div>
+          {error && (
+            <div className="text-red-500 text-sm">{error}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarkdownImport;
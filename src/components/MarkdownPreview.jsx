@@ -1,15 +1,79 @@
 // book-notes-app/src/components/MarkdownPreview.jsx
-import { useRef, useState } from 'react';
+import { useMemo, useRef, useState } from 'react';
 import copy from 'clipboard-copy';
+import PostPreview from './PostPreview';
+import SavePost from './SavePost';
+import PublishPanel from './PublishPanel';
+import LintPanel from './LintPanel';
+import { EXPORT_TARGETS, postPath, renderExport } from '../utils/exportTargets';
+import { diffLines } from '../utils/markdownDiff';
+import { lintPost } from '../utils/lintPost';
 
-const MarkdownPreview = ({ markdownContent }) => {
+const DIFF_STYLES = {
+  same: 'text-gray-400',
+  added: 'bg-green-900/40 text-green-200',
+  removed: 'bg-red-900/40 text-red-200 line-through'
+};
+
+const DIFF_MARKERS = { same: ' ', added: '+', removed: '-' };
+
+/**
+ * Shows a post as editable markdown, rendered HTML, or a diff against the
+ * last generated version
+ * @param {Object} props
+ * @param {string} props.markdownContent - Post, including manual edits
+ * @param {string} [props.generatedMarkdown] - Post as last generated; enables the Changes tab
+ * @param {Object} [props.bookData] - Book data the post was generated from; enables export targets
+ * @param {(markdown: string) => void} [props.onChange] - Makes the markdown editable
+ */
+const MarkdownPreview = ({ markdownContent, generatedMarkdown = null, bookData = null, onChange = null }) => {
   const textAreaRef = useRef(null);
   const [copied, setCopied] = useState(false);
+  const [targetId, setTargetId] = useState(EXPORT_TARGETS[0].id);
+  const [tab, setTab] = useState('markdown');
+
+  // Other targets need the book data; posts without it (e.g. imported) only show the template output
+  const output = useMemo(() => {
+    if (!markdownContent || !bookData) {
+      return { content: markdownContent, filename: postPath(markdownContent) || 'post.md' };
+    }
+    return renderExport(targetId, bookData, markdownContent);
+  }, [targetId, bookData, markdownContent]);
+
+  const diff = useMemo(
+    () => (tab === 'changes' && generatedMarkdown ? diffLines(generatedMarkdown, markdownContent) : []),
+    [tab, generatedMarkdown, markdownContent]
+  );
+
+  const problems = useMemo(() => (markdownContent ? lintPost(markdownContent) : []), [markdownContent]);
+
+  const hasEdits = Boolean(generatedMarkdown) && generatedMarkdown !== markdownContent;
+  // Export targets are derived from the post, so only the template output is edited directly
+  const isEditable = Boolean(onChange) && output.content === markdownContent;
+
+  const tabs = [
+    { id: 'markdown', label: 'Markdown' },
+    { id: 'preview', label: 'Preview' },
+    ...(generatedMarkdown ? [{ id: 'changes', label: hasEdits ? 'Changes •' : 'Changes' }] : [])
+  ];
+
+  // Selects a problem's line in the markdown so it can be fixed in place
+  const handleSelectLine = (line) => {
+    setTab('markdown');
+    setTargetId(EXPORT_TARGETS[0].id);
+
+    const lines = markdownContent.split('\n');
+    const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+    requestAnimationFrame(() => {
+      textAreaRef.current?.focus();
+      textAreaRef.current?.setSelectionRange(start, start + lines[line - 1].length);
+    });
+  };
 
   const handleCopy = () => {
-    if (!markdownContent) return;
-    
-    copy(markdownContent)
+    if (!output.content) return;
+
+    copy(output.content)
       .then(() => {
         setCopied(true);
         setTimeout(() => setCopied(false), 2000);
@@ -31,8 +95,19 @@ const MarkdownPreview = ({ markdownContent }) => {
 
   return (
     <div className="bg-gray-900 p-6 rounded-lg shadow-md h-full flex flex-col">
-      <div className="flex justify-between items-center mb-4">
-        <h2 className="text-xl font-bold text-gray-200">Markdown</h2>
+      <div className="flex justify-between items-center mb-4 gap-4">
+        <div className="flex gap-1">
+          {tabs.map(({ id, label }) => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => setTab(id)}
+              className={`px-3 py-1 text-sm rounded-md ${tab === id ? 'bg-gray-700 text-gray-100' : 'text-gray-400 hover:text-gray-200'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
         <button
           onClick={handleCopy}
           className="px-4 py-1 bg-gray-700 text-gray-200 text-sm rounded-md hover:bg-gray-600 transition-colors"
@@ -40,19 +115,87 @@ const MarkdownPreview = ({ markdownContent }) => {
           {copied ? 'Copied!' : 'Copy'}
         </button>
       </div>
-      
-      <div className="relative flex-grow">
-        <textarea
-          ref={textAreaRef}
-          readOnly
-          value={markdownContent}
-          onClick={handleCopy}
-          className="w-full h-full min-h-[450px] p-4 bg-gray-800 text-gray-100 font-mono text-sm rounded-md cursor-pointer border border-gray-700 resize-none focus:outline-none focus:border-gray-600"
-          style={{ caretColor: 'transparent' }}
-        />
-      </div>
+
+      <LintPanel problems={problems} onSelectLine={onChange ? handleSelectLine : null} />
+
+      {tab === 'markdown' && (
+        <>
+          <div className="flex items-center gap-4 mb-2">
+            {bookData && (
+              <select
+                value={targetId}
+                onChange={(e) => setTargetId(e.target.value)}
+                className="px-2 py-1 bg-gray-800 text-gray-200 text-sm rounded-md border border-gray-700"
+              >
+                {EXPORT_TARGETS.map(target => (
+                  <option key={target.id} value={target.id}>{target.label}</option>
+                ))}
+              </select>
+            )}
+            <span className="text-xs font-mono text-gray-400 truncate">{output.filename}</span>
+          </div>
+
+          <div className="relative flex-grow">
+            {isEditable ? (
+              <textarea
+                ref={textAreaRef}
+                value={markdownContent}
+                onChange={(e) => onChange(e.target.value)}
+                spellCheck={false}
+                className="w-full h-full min-h-[450px] p-4 bg-gray-800 text-gray-100 font-mono text-sm rounded-md border border-gray-700 resize-none focus:outline-none focus:border-gray-600"
+              />
+            ) : (
+              <textarea
+                ref={textAreaRef}
+                readOnly
+                value={output.content}
+                onClick={handleCopy}
+                className="w-full h-full min-h-[450px] p-4 bg-gray-800 text-gray-100 font-mono text-sm rounded-md cursor-pointer border border-gray-700 resize-none focus:outline-none focus:border-gray-600"
+                style={{ caretColor: 'transparent' }}
+              />
+            )}
+          </div>
+
+          <SavePost content={output.content} path={output.filename} />
+          <PublishPanel content={output.content} path={output.filename} />
+        </>
+      )}
+
+      {tab === 'preview' && (
+        <div className="flex-grow">
+          <PostPreview markdown={markdownContent} />
+        </div>
+      )}
+
+      {tab === 'changes' && (
+        <div className="flex-grow flex flex-col gap-2">
+          <div className="flex justify-between items-center text-xs text-gray-400">
+            <span>
+              {hasEdits
+                ? 'Your edits compared with the last generated version. Sections you edit are kept when you regenerate.'
+                : 'No manual edits since the last generation.'}
+            </span>
+            {hasEdits && onChange && (
+              <button
+                type="button"
+                onClick={() => onChange(generatedMarkdown)}
+                className="px-3 py-1 bg-gray-700 text-gray-200 rounded-md hover:bg-gray-600 whitespace-nowrap"
+              >
+                Discard edits
+              </button>
+            )}
+          </div>
+          <pre className="flex-grow min-h-[450px] p-4 bg-gray-800 font-mono text-sm rounded-md border border-gray-700 overflow-auto">
+            {diff.map((part, index) => (
+              <div key={index} className={DIFF_STYLES[part.type]}>
+                {DIFF_MARKERS[part.type]} {part.line}
+              </div>
+            ))}
+          </pre>
+        </div>
+      )}
     </div>
   );
 };
 
-export default MarkdownPreview;
\ No newline at end of file
+export default MarkdownPreview;
@@ -0,0 +1,33 @@
+// book-notes-app/src/components/PostPreview.jsx
+import { useMemo } from 'react';
+import { parseFrontMatter } from '../utils/parseMarkdown';
+import { renderMarkdown } from '../utils/renderMarkdown';
+
+// Renders a post the way the blog will: front matter as a card, body as HTML
+const PostPreview = ({ markdown }) => {
+  const { frontMatter, html } = useMemo(() => {
+    const match = markdown.match(/^---\n([\s\S]*?)\n---\n?/);
+    return {
+      frontMatter: match ? parseFrontMatter(match[1]) : null,
+      html: renderMarkdown(match ? markdown.slice(match[0].length) : markdown)
+    };
+  }, [markdown]);
+
+  return (
+    <div className="w-full h-full min-h-[450px] p-4 bg-gray-800 text-gray-200 text-sm rounded-md border border-gray-700 overflow-y-auto">
+      {frontMatter && (
+        <dl className="mb-4 p-3 bg-gray-900 rounded-md border border-gray-700 grid grid-cols-[auto,1fr] gap-x-4 gap-y-1">
+          {Object.entries(frontMatter).map(([key, value]) => (
+            <div key={key} className="contents">
+              <dt className="font-mono text-gray-400">{key}</dt>
+              <dd className="text-gray-100 break-words">{Array.isArray(value) ? value.join(', ') : value}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+      <div className="post-preview" dangerouslySetInnerHTML={{ __html: html }} />
+    </div>
+  );
+};
+
+export default PostPreview;
@@ -0,0 +1,125 @@
+// book-notes-app/src/components/PublishPanel.jsx
+import { useState } from 'react';
+import { getPublishSettings, publishPost, savePublishSettings } from '../services/publishService';
+import { parseFrontMatter } from '../utils/parseMarkdown';
+
+const inputClass = 'w-full px-2 py-1 bg-gray-800 text-gray-200 text-sm rounded-md border border-gray-700';
+
+const SETTING_FIELDS = [
+  { name: 'apiUrl', label: 'API URL', placeholder: 'https://api.github.com' },
+  { name: 'owner', label: 'Owner', placeholder: 'your-user' },
+  { name: 'repo', label: 'Repository', placeholder: 'blog' },
+  { name: 'baseBranch', label: 'Base branch', placeholder: 'main' },
+  { name: 'token', label: 'Token', placeholder: 'Fine-grained token with contents and pull request access', type: 'password' }
+];
+
+// Book title for the commit message, without the emoji prefix and byline
+const postTitle = (content, path) => {
+  const frontMatter = content.match(/^---\n([\s\S]*?)\n---/);
+  const title = frontMatter ? parseFrontMatter(frontMatter[1]).title : '';
+  return (title || path).replace(/^[^\p{L}\p{N}]+/u, '').replace(/\s+by\s+.*$/, '');
+};
+
+/**
+ * Commits a post to the blog repo and opens a pull request for it
+ * @param {Object} props
+ * @param {string} props.content - File contents
+ * @param {string} props.path - Path inside the blog repo
+ */
+const PublishPanel = ({ content, path }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [settings, setSettings] = useState(getPublishSettings);
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setSettings(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handlePublish = async () => {
+    setIsPublishing(true);
+    setError(null);
+    setResult(null);
+    savePublishSettings(settings);
+
+    try {
+      setResult(await publishPost({ path, content, title: postTitle(content, path), settings }));
+    } catch (publishError) {
+      setError(publishError.message);
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  return (
+    <div className="mt-3">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="text-sm font-medium text-gray-300"
+      >
+        Publish to Git {isExpanded ? '▼' : '▶'}
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            {SETTING_FIELDS.map(field => (
+              <label key={field.name} className={`text-xs text-gray-400 ${field.name === 'apiUrl' || field.name === 'token' ? 'col-span-2' : ''}`}>
+                {field.label}
+                <input
+                  type={field.type || 'text'}
+                  name={field.name}
+                  value={settings[field.name]}
+                  onChange={handleChange}
+                  placeholder={field.placeholder}
+                  className={inputClass}
+                />
+              </label>
+            ))}
+            <label className="text-xs text-gray-400 col-span-2">
+              Publish as
+              <select name="mode" value={settings.mode} onChange={handleChange} className={inputClass}>
+                <option value="pull-request">Pull request from a new branch</option>
+                <option value="commit">Commit directly to {settings.baseBranch || 'the base branch'}</option>
+              </select>
+            </label>
+          </div>
+
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-xs font-mono text-gray-400 truncate">{path}</span>
+            <button
+              type="button"
+              onClick={handlePublish}
+              disabled={isPublishing || !settings.owner || !settings.repo}
+              className="px-4 py-1 bg-speedmaster-accent text-white text-sm rounded-md hover:bg-blue-600 disabled:opacity-50"
+            >
+              {isPublishing ? 'Publishing...' : 'Publish'}
+            </button>
+          </div>
+
+          {error && (
+            <div className="text-xs text-red-400">{error}</div>
+          )}
+
+          {result && (
+            <div className="text-xs text-green-400 space-y-1">
+              <div>
+                Committed <a href={result.commit.url} target="_blank" rel="noreferrer" className="underline font-mono">{result.commit.sha.slice(0, 7)}</a> to {result.branch}
+              </div>
+              {result.pullRequest && (
+                <div>
+                  Opened <a href={result.pullRequest.url} target="_blank" rel="noreferrer" className="underline">pull request #{result.pullRequest.number}</a>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PublishPanel;
@@ -0,0 +1,98 @@
+// book-notes-app/src/components/SavePost.jsx
+import { useEffect, useState } from 'react';
+import {
+  chooseBlogFolder,
+  ensureWriteAccess,
+  fileExists,
+  getBlogFolder,
+  isFolderAccessSupported,
+  writeFile
+} from '../services/blogFolderService';
+import { downloadAtPath } from '../utils/download';
+
+const buttonClass = 'px-3 py-1 bg-gray-700 text-gray-200 text-sm rounded-md hover:bg-gray-600 transition-colors disabled:opacity-50';
+
+/**
+ * Saves a post at its path: straight into the blog checkout where the browser
+ * allows it, as a download otherwise
+ * @param {Object} props
+ * @param {string} props.content - File contents
+ * @param {string} props.path - Path inside the blog repo
+ */
+const SavePost = ({ content, path }) => {
+  const [folder, setFolder] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const canWriteFolder = isFolderAccessSupported();
+
+  useEffect(() => {
+    getBlogFolder().then(setFolder);
+  }, []);
+
+  const handleChooseFolder = async () => {
+    try {
+      setFolder(await chooseBlogFolder());
+      setStatus(null);
+    } catch (error) {
+      // Closing the picker is not an error
+      if (error.name !== 'AbortError') {
+        console.error('[SavePost] Failed to choose folder:', error);
+        setStatus({ type: 'error', message: `Could not open folder: ${error.message}` });
+      }
+    }
+  };
+
+  const handleSaveToFolder = async () => {
+    setIsSaving(true);
+    setStatus(null);
+
+    try {
+      const target = folder || await chooseBlogFolder();
+      setFolder(target);
+
+      if (!(await ensureWriteAccess(target))) {
+        setStatus({ type: 'error', message: `No permission to write to ${target.name}` });
+        return;
+      }
+
+      if (await fileExists(target, path) && !window.confirm(`${path} already exists in ${target.name}. Overwrite it?`)) {
+        return;
+      }
+
+      await writeFile(target, path, content);
+      setStatus({ type: 'success', message: `Saved to ${target.name}/${path}` });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('[SavePost] Failed to save post:', error);
+        setStatus({ type: 'error', message: `Failed to save: ${error.message}` });
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-1">
+      <div className="flex flex-wrap items-center gap-2">
+        {canWriteFolder && (
+          <button type="button" onClick={handleSaveToFolder} disabled={isSaving} className={buttonClass}>
+            {isSaving ? 'Saving...' : folder ? `Save to ${folder.name}` : 'Save to blog folder...'}
+          </button>
+        )}
+        <button type="button" onClick={() => downloadAtPath(path, content)} className={buttonClass}>
+          Download
+        </button>
+        {canWriteFolder && folder && (
+          <button type="button" onClick={handleChooseFolder} className="text-xs text-gray-400 hover:text-gray-200">
+            Change folder
+          </button>
+        )}
+      </div>
+      {status && (
+        <div className={`text-xs ${status.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>{status.message}</div>
+      )}
+    </div>
+  );
+};
+
+export default SavePost;
@@ -0,0 +1,217 @@
+// book-notes-app/src/components/TemplateEditor.jsx
+import { useMemo, useState } from 'react';
+import MarkdownPreview from './MarkdownPreview';
+import {
+  DEFAULT_TEMPLATE_ID,
+  deleteTemplate,
+  getActiveTemplate,
+  listTemplates,
+  saveTemplate,
+  setActiveTemplate
+} from '../services/templateService';
+import { generateMarkdown } from '../utils/generateMarkdown';
+import { SLUG_PATTERN_TOKENS, validateSlugPattern } from '../utils/slugPolicy';
+
+// Book used to preview templates
+const SAMPLE_BOOK = {
+  title: 'Redshirts',
+  author: 'John Scalzi',
+  contributors: [
+    { name: 'John Scalzi', roles: ['author'] },
+    { name: 'Wil Wheaton', roles: ['narrator'] }
+  ],
+  dateStarted: '2025-03-04',
+  dateFinished: '2025-03-08',
+  placesRead: 'Lisbon, Sintra',
+  format: 'Kindle',
+  yearPublished: '2012',
+  pageLength: '317 pages',
+  asin: 'B0079XPUOW',
+  publisher: 'Tor Books',
+  language: 'English',
+  description: 'Ensign Andrew Dahl has just been assigned to the Universal Union Capital Ship Intrepid.',
+  frontmatterDescription: 'Fun to finally finish it.',
+  whyReadIt: 'It had been on my list for years.',
+  notes: 'Funnier than expected.\nThe codas are the best part.',
+  bookEmojis: '👕🚀'
+};
+
+const PLACEHOLDERS = [
+  'emojis', 'title', 'credit', 'author', 'slug', 'year', 'date', 'dateStartedDisplay', 'dateFinishedDisplay',
+  'placesRead', 'format', 'isAudiobook', 'yearPublished', 'publicationDate', 'publisher', 'pageLength',
+  'listeningLength', 'narrator', 'audibleReleaseDate', 'language', 'asin', 'isbn10', 'isbn13', 'coverUrl',
+  'description', 'frontmatterDescription', 'whyReadIt', 'showContributors', 'frontMatter'
+];
+
+const LISTS = ['notes ({{.}})', 'contributors ({{name}}, {{roles}})', 'extraSections ({{heading}}, {{body}})'];
+
+const TemplateEditor = () => {
+  const [templates, setTemplates] = useState(listTemplates);
+  const [activeId, setActiveId] = useState(() => getActiveTemplate().id);
+  const [selected, setSelected] = useState(() => getActiveTemplate());
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState('');
+
+  const isBuiltIn = selected.id === DEFAULT_TEMPLATE_ID;
+
+  const preview = useMemo(() => {
+    const slugProblem = validateSlugPattern(selected.slugPattern);
+    if (slugProblem) {
+      return { markdown: '', error: `Slug pattern: ${slugProblem}` };
+    }
+
+    try {
+      return { markdown: generateMarkdown(SAMPLE_BOOK, selected.body, { slugPattern: selected.slugPattern }), error: null };
+    } catch (renderError) {
+      return { markdown: '', error: renderError.message };
+    }
+  }, [selected.body, selected.slugPattern]);
+
+  const refresh = (nextSelected) => {
+    setTemplates(listTemplates());
+    setSelected(nextSelected);
+    setError(null);
+  };
+
+  const handleSelect = (e) => {
+    const template = templates.find(candidate => candidate.id === e.target.value);
+    if (template) refresh(template);
+    setStatus('');
+  };
+
+  const handleDuplicate = () => {
+    try {
+      refresh(saveTemplate({ name: `${selected.name} copy`, body: selected.body, slugPattern: selected.slugPattern }));
+      setStatus('Duplicated');
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleSave = () => {
+    try {
+      refresh(saveTemplate(selected));
+      setStatus('Saved');
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the "${selected.name}" template?`)) return;
+
+    deleteTemplate(selected.id);
+    const active = getActiveTemplate();
+    setActiveId(active.id);
+    refresh(active);
+    setStatus('Deleted');
+  };
+
+  const handleUse = () => {
+    setActiveTemplate(selected.id);
+    setActiveId(selected.id);
+    setStatus('New posts will use this template');
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto flex flex-col md:flex-row gap-8">
+      <div className="md:w-1/2 bg-white p-6 rounded-lg shadow-md space-y-4">
+        <h2 className="text-xl font-bold text-speedmaster-dark">Templates</h2>
+
+        <select
+          value={selected.id}
+          onChange={handleSelect}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md"
+        >
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>
+              {template.name}{template.id === activeId ? ' (in use)' : ''}
+            </option>
+          ))}
+        </select>
+
+        <input
+          type="text"
+          value={selected.name}
+          onChange={(e) => setSelected({ ...selected, name: e.target.value })}
+          disabled={isBuiltIn}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md disabled:bg-gray-100"
+          placeholder="Template name"
+        />
+
+        <label className="block text-sm text-gray-700">
+          Slug pattern
+          <input
+            type="text"
+            value={selected.slugPattern}
+            onChange={(e) => setSelected({ ...selected, slugPattern: e.target.value })}
+            disabled={isBuiltIn}
+            className="w-full mt-1 px-3 py-2 border border-gray-300 rounded-md font-mono text-xs disabled:bg-gray-100"
+            placeholder="/posts/{year}/{title}"
+          />
+          <span className="text-xs text-gray-500">
+            Where posts are filed; it also sets the path they&apos;re published and downloaded to. Uses{' '}
+            {SLUG_PATTERN_TOKENS.map(token => `{${token}}`).join(', ')}, and needs {'{title}'}.
+          </span>
+        </label>
+
+        <textarea
+          value={selected.body}
+          onChange={(e) => setSelected({ ...selected, body: e.target.value })}
+          readOnly={isBuiltIn}
+          className="w-full min-h-[400px] px-3 py-2 border border-gray-300 rounded-md font-mono text-xs read-only:bg-gray-100"
+        />
+
+        {isBuiltIn && (
+          <p className="text-sm text-gray-500">The default template is read-only. Duplicate it to make changes.</p>
+        )}
+
+        {(error || preview.error) && (
+          <div className="text-red-500 text-sm">{error || preview.error}</div>
+        )}
+        {status && !error && (
+          <div className="text-green-600 text-sm">{status}</div>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          {!isBuiltIn && (
+            <button type="button" onClick={handleSave} className="py-1 px-4 bg-speedmaster-accent text-white text-sm font-medium rounded-md hover:bg-blue-600">
+              Save
+            </button>
+          )}
+          <button type="button" onClick={handleDuplicate} className="py-1 px-4 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50">
+            Duplicate
+          </button>
+          {selected.id !== activeId && (
+            <button type="button" onClick={handleUse} className="py-1 px-4 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50">
+              Use for new posts
+            </button>
+          )}
+          {!isBuiltIn && (
+            <button type="button" onClick={handleDelete} className="py-1 px-4 border border-gray-300 text-red-600 text-sm rounded-md hover:bg-gray-50">
+              Delete
+            </button>
+          )}
+        </div>
+
+        <details className="text-sm text-gray-600">
+          <summary className="cursor-pointer font-medium text-gray-700">Placeholders</summary>
+          <p className="mt-2">
+            <code>{'{{name}}'}</code> inserts a value, <code>{'{{name|fallback}}'}</code> uses fallback text when it&apos;s empty,{' '}
+            <code>{'{{#name}}...{{/name}}'}</code> is an optional section (repeated for lists) and{' '}
+            <code>{'{{^name}}...{{/name}}'}</code> renders only when the value is empty. In lists,{' '}
+            <code>{'{{@first}}'}</code> and <code>{'{{@last}}'}</code> mark the ends.
+          </p>
+          <p className="mt-2 font-mono text-xs">{PLACEHOLDERS.join(', ')}</p>
+          <p className="mt-2">Lists: <span className="font-mono text-xs">{LISTS.join(', ')}</span></p>
+        </details>
+      </div>
+
+      <div className="md:w-1/2">
+        <MarkdownPreview markdownContent={preview.markdown} />
+      </div>
+    </div>
+  );
+};
+
+export default TemplateEditor;
@@ -0,0 +1,113 @@
+// book-notes-app/src/services/blogFolderService.js
+// Writes posts straight into a local blog checkout with the File System
+// Access API (Chromium browsers). The chosen folder is remembered in
+// IndexedDB; the browser asks again for permission in later sessions.
+
+const DB_NAME = 'book-notes-folders';
+const STORE_NAME = 'handles';
+const FOLDER_KEY = 'blog';
+
+/**
+ * Whether this browser can write into a local folder
+ * @returns {boolean}
+ */
+export const isFolderAccessSupported = () => typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+
+const withHandleStore = (mode, operation) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => {
+    const transaction = request.result.transaction(STORE_NAME, mode);
+    const storeRequest = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(storeRequest.result);
+    transaction.onerror = () => reject(transaction.error);
+  };
+});
+
+/**
+ * Gets the blog folder chosen earlier, if any
+ * @returns {Promise<FileSystemDirectoryHandle|null>} - Folder handle
+ */
+export const getBlogFolder = async () => {
+  if (!isFolderAccessSupported()) return null;
+
+  try {
+    return (await withHandleStore('readonly', store => store.get(FOLDER_KEY))) || null;
+  } catch (error) {
+    console.error('[blogFolderService] Error reading saved folder:', error);
+    return null;
+  }
+};
+
+/**
+ * Asks the user to pick their blog checkout and remembers it
+ * @returns {Promise<FileSystemDirectoryHandle>} - Folder handle
+ */
+export const chooseBlogFolder = async () => {
+  const folder = await window.showDirectoryPicker({ id: 'blog-checkout', mode: 'readwrite' });
+  await withHandleStore('readwrite', store => store.put(folder, FOLDER_KEY));
+  console.log('[blogFolderService] Using blog folder:', folder.name);
+  return folder;
+};
+
+/**
+ * Makes sure we may write to the folder, prompting if needed. Must run
+ * from a user gesture such as a click.
+ * @param {FileSystemDirectoryHandle} folder - Folder handle
+ * @returns {Promise<boolean>} - Whether write access was granted
+ */
+export const ensureWriteAccess = async (folder) => {
+  const options = { mode: 'readwrite' };
+  if ((await folder.queryPermission(options)) === 'granted') return true;
+  return (await folder.requestPermission(options)) === 'granted';
+};
+
+// Relative path segments, ignoring anything that would climb out of the folder
+const pathSegments = (path) => path.split('/').filter(segment => segment && segment !== '.' && segment !== '..');
+
+/**
+ * Checks whether a file already exists at a path inside the folder
+ * @param {FileSystemDirectoryHandle} folder - Folder handle
+ * @param {string} path - Relative path, e.g. content/posts/2025/redshirts/index.md
+ * @returns {Promise<boolean>}
+ */
+export const fileExists = async (folder, path) => {
+  const segments = pathSegments(path);
+  const fileName = segments.pop();
+
+  try {
+    let directory = folder;
+    for (const segment of segments) {
+      directory = await directory.getDirectoryHandle(segment);
+    }
+    await directory.getFileHandle(fileName);
+    return true;
+  } catch (error) {
+    if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') return false;
+    throw error;
+  }
+};
+
+/**
+ * Writes a file at a path inside the folder, creating directories as needed
+ * @param {FileSystemDirectoryHandle} folder - Folder handle
+ * @param {string} path - Relative path
+ * @param {string} content - File contents
+ * @returns {Promise<void>}
+ */
+export const writeFile = async (folder, path, content) => {
+  const segments = pathSegments(path);
+  const fileName = segments.pop();
+
+  let directory = folder;
+  for (const segment of segments) {
+    directory = await directory.getDirectoryHandle(segment, { create: true });
+  }
+
+  const file = await directory.getFileHandle(fileName, { create: true });
+  const writable = await file.createWritable();
+  await writable.write(content);
+  await writable.close();
+  console.log('[blogFolderService] Wrote', path, 'to', folder.name);
+};
@@ -1,7 +1,10 @@
 // book-notes-app/src/services/bookService.js
+import { BookServiceError, errorFromResponse, isTransientError, toBookServiceError } from './bookServiceError';
+
 const BOOK_FINDER_API = 'https://book-finder.samrhea.workers.dev';
 const AMAZON_SCRAPER_API = 'https://amazon-product-scraper.samrhea.workers.dev';
 const EMOJI_GENERATOR_API = 'https://emoji-generator.samrhea.workers.dev';
+const LOOKUP_API = 'https://book-lookup.samrhea.workers.dev';
 
 // Service token credentials from environment variables
 // For Vite, use import.meta.env instead of process.env
@@ -13,39 +16,225 @@ console.log('ENV Variables Check:', {
   secretExists: Boolean(import.meta.env.VITE_CF_ACCESS_CLIENT_SECRET),
 });
 
+// Per-step timeouts: searches and scrapes drive a headless browser, so they get much longer than emojis.
+// The scraper retries blocked pages within a 50 s budget and the search falls back through its
+// strategies within 40 s, so these only fire when a worker is stuck rather than mid-retry.
+const TIMEOUTS = {
+  search: 45000,
+  scrape: 60000,
+  emojis: 15000,
+  // The lookup gateway streams, so after connecting it only times out when a step goes quiet
+  lookupConnect: 15000,
+  lookupStep: 90000
+};
+
+// Transient failures are retried with exponential backoff and jitter
+const RETRY = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 4000
+};
+
+const cancelledError = () => new BookServiceError('CANCELLED', 'Lookup cancelled');
+
+/**
+ * Waits, or rejects as soon as the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(cancelledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(cancelledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Creates a signal that aborts when the caller's signal does or when the timer runs out
+ * @param {AbortSignal} [parentSignal] - The caller's signal, e.g. from a Cancel button
+ * @param {number} timeoutMs - Time allowed before aborting
+ * @returns {{signal: AbortSignal, timedOutAfter: () => number|null, reset: (ms?: number) => void, clear: () => void}} - reset restarts the timer, clear stops it
+ */
+const withTimeout = (parentSignal, timeoutMs) => {
+  const controller = new AbortController();
+  let timedOutAfter = null;
+  let timer = null;
+
+  const reset = (ms = timeoutMs) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOutAfter = ms;
+      controller.abort();
+    }, ms);
+  };
+  const onAbort = () => controller.abort();
+
+  parentSignal?.addEventListener('abort', onAbort, { once: true });
+  if (parentSignal?.aborted) controller.abort();
+  reset();
+
+  return {
+    signal: controller.signal,
+    timedOutAfter: () => timedOutAfter,
+    reset,
+    clear: () => {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onAbort);
+    }
+  };
+};
+
+/**
+ * Turns whatever a request threw into a BookServiceError, telling a cancel
+ * apart from a timeout (both surface from fetch as an AbortError)
+ */
+const requestError = (error, signal, timeout) => {
+  if (signal?.aborted) return cancelledError();
+  if (timeout.timedOutAfter()) {
+    return new BookServiceError('TIMEOUT', `No response after ${Math.round(timeout.timedOutAfter() / 1000)} seconds`);
+  }
+  return toBookServiceError(error);
+};
+
 /**
- * Fetch function for GET requests with Cloudflare Access authentication
+ * Runs a request, retrying transient failures with exponential backoff
+ * @param {() => Promise<any>} attempt - Makes one attempt
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {boolean} [options.retryTimeouts] - Whether timeouts count as transient
+ * @returns {Promise<any>} - Result of the first successful attempt
+ */
+const withRetry = async (attempt, { signal, retries = RETRY.retries, retryTimeouts = true } = {}) => {
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      if (attemptNumber >= retries || signal?.aborted || !isTransientError(error, { retryTimeouts })) throw error;
+
+      const delay = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * 2 ** attemptNumber) * (0.5 + Math.random() / 2);
+      console.warn(`[bookService] ${error.code}: ${error.message}; retrying in ${Math.round(delay)}ms`);
+      await sleep(delay, signal);
+    }
+  }
+};
+
+/**
+ * Makes one request with Cloudflare Access authentication and a timeout
  * @param {string} url - URL to fetch
+ * @param {RequestInit} init - Method, body and any extra headers
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} options.timeoutMs - Time allowed for the response
  * @returns {Promise<any>} - Response data
+ * @throws {BookServiceError} With the worker's error code, TIMEOUT or CANCELLED
  */
-const simpleFetch = async (url) => {
+const authorizedFetch = async (url, init, { signal, timeoutMs }) => {
+  const timeout = withTimeout(signal, timeoutMs);
+
   try {
-    console.log(`[bookService] GET Fetching: ${url}`);
-    
     // Add Cloudflare Access service token authentication
     const response = await fetch(url, {
+      ...init,
       credentials: 'include', // Important for cookie-based auth
       headers: {
+        ...init.headers,
         'CF-Access-Client-Id': CF_ACCESS_CLIENT_ID,
         'CF-Access-Client-Secret': CF_ACCESS_CLIENT_SECRET
-      }
+      },
+      signal: timeout.signal
     });
-    
+
     // Check for HTTP errors
     if (!response.ok) {
-      throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+      throw await errorFromResponse(response);
     }
-    
+
     // Parse JSON
-    const data = await response.json();
-    return data;
+    return await response.json();
+  } catch (error) {
+    throw requestError(error, signal, timeout);
+  } finally {
+    timeout.clear();
+  }
+};
+
+/**
+ * Fetch function for GET requests with Cloudflare Access authentication,
+ * a timeout and retries. Used for the search and scrape workers, which run a
+ * headless browser that keeps going after the client gives up, so timeouts
+ * aren't retried.
+ * @param {string} url - URL to fetch
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Cancels the request and any retries
+ * @param {number} options.timeoutMs - Time allowed per attempt
+ * @returns {Promise<any>} - Response data
+ * @throws {BookServiceError} With the worker's error code
+ */
+const simpleFetch = async (url, { signal, timeoutMs }) => {
+  try {
+    console.log(`[bookService] GET Fetching: ${url}`);
+    return await withRetry(() => authorizedFetch(url, {}, { signal, timeoutMs }), { signal, retryTimeouts: false });
   } catch (error) {
     console.error('[bookService] Fetch error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Builds the BookFinder search query from title, author and format
+ * @param {string} title - Book title
+ * @param {string} author - Optional author name
+ * @param {string} format - Optional format (Kindle, Paperback, etc.)
+ * @returns {string} - Search query
+ */
+const buildSearchQuery = (title, author = '', format = '') => {
+  let query = title;
+  if (author) query += ` ${author}`;
+  if (format) query += ` ${format}`;
+  return query;
+};
+
+/**
+ * Finds ranked store candidates for a book based on title and optional author and format
+ * @param {string} title - Book title
+ * @param {string} author - Optional author name
+ * @param {string} format - Optional format (Kindle, Paperback, etc.)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the search
+ * @returns {Promise<Array<{url: string, title: string, storeType: string, strategy: string, asin: string|null, score: number}>>} - Candidates, best match first, each with the search strategy that found it
+ */
+export const findBookCandidates = async (title, author = '', format = '', { signal } = {}) => {
+  try {
+    const query = buildSearchQuery(title, author, format);
+    
+    const url = `${BOOK_FINDER_API}/search?query=${encodeURIComponent(query)}&store=amazon`;
+    console.log('[bookService] Calling BookFinder API:', url);
+    
+    const data = await simpleFetch(url, { signal, timeoutMs: TIMEOUTS.search });
+    console.log('[bookService] BookFinder API response data:', data);
+    
+    if (data.error) {
+      throw new BookServiceError(data.code, `BookFinder API returned error: ${data.error}`);
+    }
     
-    if (error instanceof TypeError && error.message.includes('Failed to fetch')) {
-      throw new Error('Network error: Make sure Cloudflare Access is configured correctly');
+    if (!Array.isArray(data.candidates) || data.candidates.length === 0) {
+      throw new BookServiceError('NO_RESULTS', 'BookFinder API returned no candidates');
     }
     
+    return data.candidates;
+  } catch (error) {
+    console.error('[bookService] Error finding book candidates:', error);
     throw error;
   }
 };
@@ -55,27 +244,26 @@ const simpleFetch = async (url) => {
  * @param {string} title - Book title
  * @param {string} author - Optional author name
  * @param {string} format - Optional format (Kindle, Paperback, etc.)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the search
  * @returns {Promise<string>} - Amazon URL for the book
  */
-export const findBookUrl = async (title, author = '', format = '') => {
+export const findBookUrl = async (title, author = '', format = '', { signal } = {}) => {
   try {
-    // Construct query with title, author, and format if provided
-    let query = title;
-    if (author) query += ` ${author}`;
-    if (format) query += ` ${format}`;
+    const query = buildSearchQuery(title, author, format);
     
     const url = `${BOOK_FINDER_API}/search?query=${encodeURIComponent(query)}&store=amazon`;
     console.log('[bookService] Calling BookFinder API:', url);
     
-    const data = await simpleFetch(url);
+    const data = await simpleFetch(url, { signal, timeoutMs: TIMEOUTS.search });
     console.log('[bookService] BookFinder API response data:', data);
     
     if (data.error) {
-      throw new Error(`BookFinder API returned error: ${data.error}`);
+      throw new BookServiceError(data.code, `BookFinder API returned error: ${data.error}`);
     }
     
     if (!data.bookLink || !data.bookLink.url) {
-      throw new Error('BookFinder API returned invalid data structure: missing bookLink.url');
+      throw new BookServiceError('NO_RESULTS', 'BookFinder API returned no book link');
     }
     
     return data.bookLink.url;
@@ -88,18 +276,20 @@ export const findBookUrl = async (title, author = '', format = '') => {
 /**
  * Fetches book metadata from an Amazon URL
  * @param {string} amazonUrl - Amazon product URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the scrape
  * @returns {Promise<Object>} - Book metadata
  */
-export const fetchBookMetadata = async (amazonUrl) => {
+export const fetchBookMetadata = async (amazonUrl, { signal } = {}) => {
   try {
     const url = `${AMAZON_SCRAPER_API}/scrape?url=${encodeURIComponent(amazonUrl)}`;
     console.log('[bookService] Calling Amazon Scraper API:', url);
 
-    const data = await simpleFetch(url);
+    const data = await simpleFetch(url, { signal, timeoutMs: TIMEOUTS.scrape });
     console.log('[bookService] Amazon Scraper API response data:', data);
 
     if (data.error) {
-      throw new Error(`Amazon Scraper API returned error: ${data.error}`);
+      throw new BookServiceError(data.code, `Amazon Scraper API returned error: ${data.error}`);
     }
 
     return data;
@@ -109,21 +299,49 @@ export const fetchBookMetadata = async (amazonUrl) => {
   }
 };
 
+/**
+ * Fetches book metadata by ISBN when there is no Amazon product page to scrape
+ * @param {string} isbn - ISBN-10 or ISBN-13
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the lookup
+ * @returns {Promise<Object>} - Book metadata
+ */
+export const fetchBookMetadataByIsbn = async (isbn, { signal } = {}) => {
+  try {
+    const url = `${AMAZON_SCRAPER_API}/scrape?isbn=${encodeURIComponent(isbn)}`;
+    console.log('[bookService] Calling metadata API with ISBN:', url);
+
+    const data = await simpleFetch(url, { signal, timeoutMs: TIMEOUTS.scrape });
+    console.log('[bookService] Metadata API response data:', data);
+
+    if (data.error) {
+      throw new BookServiceError(data.code, `Metadata API returned error: ${data.error}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('[bookService] Error fetching book metadata by ISBN:', error);
+    throw error;
+  }
+};
+
 /**
  * Complete workflow to find a book and fetch its metadata
  * @param {string} title - Book title
  * @param {string} author - Optional author name
  * @param {string} format - Optional format (Kindle, Paperback, etc.)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels whichever step is running
  * @returns {Promise<Object>} - Book metadata
  */
-export const findBookAndMetadata = async (title, author = '', format = '') => {
+export const findBookAndMetadata = async (title, author = '', format = '', { signal } = {}) => {
   try {
     // Step 1: Get Amazon URL for the book
-    const amazonUrl = await findBookUrl(title, author, format);
+    const amazonUrl = await findBookUrl(title, author, format, { signal });
     console.log('[bookService] Found Amazon URL:', amazonUrl);
     
     // Step 2: Use the URL to fetch metadata
-    const metadata = await fetchBookMetadata(amazonUrl);
+    const metadata = await fetchBookMetadata(amazonUrl, { signal });
     console.log('[bookService] Retrieved metadata:', metadata);
     
     return metadata;
@@ -133,14 +351,113 @@ export const findBookAndMetadata = async (title, author = '', format = '') => {
   }
 };
 
+/**
+ * Parses one Server-Sent Events frame
+ * @param {string} frame - Lines between blank lines
+ * @returns {{event: string, data: Object}} Event name and parsed JSON data
+ */
+const parseEventFrame = (frame) => {
+  let event = 'message';
+  const dataLines = [];
+
+  frame.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+  });
+
+  return { event, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : {} };
+};
+
+/**
+ * Looks a book up in one request: the lookup gateway searches, scrapes and
+ * picks emojis server-side, streaming an event per step (searching,
+ * candidates, scraping, fields, emojis) before "done"
+ * @param {Object} params - What to look up
+ * @param {string} [params.query] - Title, optionally with the author
+ * @param {string} [params.format] - Format, used to pick the right edition
+ * @param {string} [params.url] - Amazon product URL; skips the search
+ * @param {string} [params.isbn] - ISBN; skips the search
+ * @param {string} [params.store] - Store to search (amazon by default, or any)
+ * @param {(event: string, data: Object) => void} [onEvent] - Called for every event, with a progress message in data.message
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the lookup
+ * @returns {Promise<{metadata: Object|null, candidates: Array<Object>}>} - Metadata, with bookEmojis when they could be picked; null when the search found several candidates to choose from
+ * @throws {BookServiceError} With the failing step's error code
+ */
+export const lookupBook = async (params, onEvent = () => {}, { signal } = {}) => {
+  let timeout = null;
+
+  try {
+    const search = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+    const url = `${LOOKUP_API}/lookup?${search}`;
+    console.log('[bookService] Calling lookup gateway:', url);
+
+    // Only connecting is retried: once events arrive the lookup has done real work
+    const response = await withRetry(async () => {
+      timeout = withTimeout(signal, TIMEOUTS.lookupConnect);
+      try {
+        const attempt = await fetch(url, {
+          credentials: 'include',
+          headers: {
+            Accept: 'text/event-stream',
+            'CF-Access-Client-Id': CF_ACCESS_CLIENT_ID,
+            'CF-Access-Client-Secret': CF_ACCESS_CLIENT_SECRET
+          },
+          signal: timeout.signal
+        });
+
+        if (!attempt.ok) {
+          throw await errorFromResponse(attempt);
+        }
+        return attempt;
+      } catch (error) {
+        timeout.clear();
+        throw requestError(error, signal, timeout);
+      }
+    }, { signal });
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    for (;;) {
+      timeout.reset(TIMEOUTS.lookupStep);
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value.replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const { event, data } = parseEventFrame(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        console.log(`[bookService] Lookup event: ${event}`, data);
+
+        if (event === 'error') throw new BookServiceError(data.code, data.message);
+        onEvent(event, data);
+        if (event === 'done') return data;
+      }
+    }
+
+    throw new BookServiceError('INTERNAL', 'Lookup ended before it finished');
+  } catch (error) {
+    console.error('[bookService] Error in lookup:', error);
+    throw timeout ? requestError(error, signal, timeout) : toBookServiceError(error);
+  } finally {
+    // Stop the idle timer so a finished lookup isn't aborted later
+    timeout?.clear();
+  }
+};
+
 /**
  * Fetches thematic emojis for a book based on its description
  * @param {string} description - Book description
  * @param {string} title - Book title
  * @param {string} author - Book author
- * @returns {Promise<string>} - Two emojis that represent the book
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string|null>} - Two emojis that represent the book, or null when they couldn't be generated
+ * @throws {BookServiceError} CANCELLED when the signal aborts; other failures return null
  */
-export const fetchBookEmojis = async (description, title, author) => {
+export const fetchBookEmojis = async (description, title, author, { signal } = {}) => {
   try {
     console.log('[bookService] fetchBookEmojis called with:', { 
       title, 
@@ -155,28 +472,15 @@ export const fetchBookEmojis = async (description, title, author) => {
     
     // Call the emoji generator worker with Cloudflare Access authentication
     console.log('[bookService] Calling emoji generator API with POST request');
-    const response = await fetch(`${EMOJI_GENERATOR_API}/generate-emojis`, {
+    const data = await withRetry(() => authorizedFetch(`${EMOJI_GENERATOR_API}/generate-emojis`, {
       method: 'POST',
-      credentials: 'include', // Important for cookie-based auth
-      headers: {
-        'Content-Type': 'application/json',
-        'CF-Access-Client-Id': CF_ACCESS_CLIENT_ID,
-        'CF-Access-Client-Secret': CF_ACCESS_CLIENT_SECRET
-      },
+      headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         description,
         title,
         author
-      }),
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('[bookService] Error from emoji API:', response.status, errorText);
-      return null;
-    }
-    
-    const data = await response.json();
+      })
+    }, { signal, timeoutMs: TIMEOUTS.emojis }), { signal });
     console.log('[bookService] Emoji API response:', data);
     
     if (data && data.emojis) {
@@ -187,6 +491,8 @@ export const fetchBookEmojis = async (description, title, author) => {
       return null;
     }
   } catch (error) {
+    // Emojis are optional, but a cancel has to stop the whole pipeline
+    if (error.code === 'CANCELLED') throw error;
     console.error('[bookService] Error fetching book emojis:', error);
     return null;
   }
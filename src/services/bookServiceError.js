@@ -0,0 +1,98 @@
+// book-notes-app/src/services/bookServiceError.js
+// Typed errors for the lookup workers. The workers answer failures with
+// {error, code, message}; the codes match workers/shared/errors.ts.
+
+export const BOOK_SERVICE_ERROR_CODES = [
+  'NO_RESULTS',
+  'BOT_CHALLENGE',
+  'NAVIGATION_TIMEOUT',
+  'PARSE_PARTIAL',
+  'AI_UNAVAILABLE',
+  'AUTH_FAILED',
+  'BAD_REQUEST',
+  'NOT_FOUND',
+  'INTERNAL',
+  // Client-side only: the request never reached a worker, took too long, or was cancelled
+  'NETWORK_ERROR',
+  'TIMEOUT',
+  'CANCELLED'
+];
+
+// Worth retrying after a short wait; a captcha or a failed AI call won't clear up that quickly
+const TRANSIENT_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'NAVIGATION_TIMEOUT'];
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
+// A browser run that timed out may still be going on the worker; trying again
+// would open another browser session against the same store alongside it
+const TIMEOUT_CODES = ['TIMEOUT', 'NAVIGATION_TIMEOUT'];
+
+export class BookServiceError extends Error {
+  /**
+   * @param {string} code - One of BOOK_SERVICE_ERROR_CODES
+   * @param {string} message - Message from the worker
+   * @param {Object} [details] - Anything else the worker returned (providers, warnings), and the HTTP status
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'BookServiceError';
+    this.code = BOOK_SERVICE_ERROR_CODES.includes(code) ? code : 'INTERNAL';
+    this.details = details;
+  }
+}
+
+/**
+ * Code for a status without a JSON body, e.g. Cloudflare Access rejecting the request
+ * @param {number} status - HTTP status
+ * @returns {string} Error code
+ */
+const codeForStatus = (status) => {
+  if (status === 401 || status === 403) return 'AUTH_FAILED';
+  if (status === 404) return 'NOT_FOUND';
+  if (status === 504) return 'NAVIGATION_TIMEOUT';
+  if (status >= 400 && status < 500) return 'BAD_REQUEST';
+  return 'INTERNAL';
+};
+
+/**
+ * Builds a typed error from a failed worker response
+ * @param {Response} response - Response that wasn't ok
+ * @returns {Promise<BookServiceError>} The error to throw
+ */
+export const errorFromResponse = async (response) => {
+  const data = await response.json().catch(() => null);
+  if (!data) {
+    return new BookServiceError(codeForStatus(response.status), `HTTP error ${response.status}: ${response.statusText}`, { status: response.status });
+  }
+
+  const { code, message, error, ...details } = data;
+  return new BookServiceError(code || codeForStatus(response.status), message || error || `HTTP error ${response.status}`, { ...details, status: response.status });
+};
+
+/**
+ * Whether a failed request may succeed if it's simply tried again
+ * @param {BookServiceError} error - Typed error
+ * @param {Object} [options]
+ * @param {boolean} [options.retryTimeouts] - False for requests that drive a headless browser
+ * @returns {boolean}
+ */
+export const isTransientError = (error, { retryTimeouts = true } = {}) => {
+  if (!retryTimeouts && (TIMEOUT_CODES.includes(error.code) || error.details?.status === 504)) return false;
+
+  return TRANSIENT_CODES.includes(error.code) ||
+    (error.code === 'INTERNAL' && TRANSIENT_STATUSES.includes(error.details?.status));
+};
+
+/**
+ * Wraps anything thrown during a request as a BookServiceError
+ * @param {unknown} error - What was thrown
+ * @returns {BookServiceError} The typed error
+ */
+export const toBookServiceError = (error) => {
+  if (error instanceof BookServiceError) return error;
+
+  // fetch rejects with a TypeError when CORS or Access blocks the request, or the network is down
+  if (error instanceof TypeError && error.message.includes('Failed to fetch')) {
+    return new BookServiceError('NETWORK_ERROR', 'Network error: Make sure Cloudflare Access is configured correctly');
+  }
+
+  return new BookServiceError('INTERNAL', error instanceof Error ? error.message : String(error));
+};
@@ -0,0 +1,25 @@
+// book-notes-app/src/services/bookServiceError.test.js
+import { describe, expect, it } from 'vitest';
+import { BookServiceError, isTransientError } from './bookServiceError';
+
+describe('isTransientError', () => {
+  it('retries network errors, rate limits and gateway errors', () => {
+    expect(isTransientError(new BookServiceError('NETWORK_ERROR', 'Failed to fetch'))).toBe(true);
+    expect(isTransientError(new BookServiceError('INTERNAL', 'Too many requests', { status: 429 }))).toBe(true);
+    expect(isTransientError(new BookServiceError('INTERNAL', 'Bad gateway', { status: 502 }))).toBe(true);
+    expect(isTransientError(new BookServiceError('BOT_CHALLENGE', 'Captcha'))).toBe(false);
+  });
+
+  it('leaves timeouts alone for browser-backed requests', () => {
+    const timeouts = [
+      new BookServiceError('TIMEOUT', 'No response after 45 seconds'),
+      new BookServiceError('NAVIGATION_TIMEOUT', 'Page load timed out'),
+      new BookServiceError('INTERNAL', 'Gateway timeout', { status: 504 })
+    ];
+
+    expect(timeouts.map(error => isTransientError(error))).toEqual([true, true, true]);
+    expect(timeouts.map(error => isTransientError(error, { retryTimeouts: false }))).toEqual([false, false, false]);
+    expect(isTransientError(new BookServiceError('INTERNAL', 'Unavailable', { status: 503 }), { retryTimeouts: false })).toBe(true);
+    expect(isTransientError(new BookServiceError('NETWORK_ERROR', 'Failed to fetch'), { retryTimeouts: false })).toBe(true);
+  });
+});
@@ -0,0 +1,139 @@
+// book-notes-app/src/services/bulkImportService.js
+// Generates posts for many books at once, e.g. a backfilled reading log
+import { fetchBookMetadata, fetchBookMetadataByIsbn, findBookCandidates } from './bookService';
+import { BookServiceError } from './bookServiceError';
+import { getActiveTemplate } from './templateService';
+import { buildTemplateView, enrichBookData, generateMarkdown } from '../utils/generateMarkdown';
+import { parseBookIdentifier } from '../utils/bookIdentifier';
+
+/**
+ * Runs an async task for every item with at most `limit` in flight at once
+ * @param {Array<any>} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {(item: any, index: number) => Promise<any>} task - Task to run per item
+ * @returns {Promise<Array<{status: string, value?: any, reason?: any}>>} - Settled results in item order
+ */
+export const runWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await task(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+};
+
+// A search match scoring below this is probably another book, or a study guide of it
+export const REVIEW_SCORE_THRESHOLD = 0.8;
+
+/**
+ * Why a searched match needs checking before the post is used, if it does
+ * @param {Object} match - Candidate the metadata came from
+ * @param {number} count - Number of candidates the search returned
+ * @returns {string|null} - Review note, or null when the match is clear
+ */
+export const reviewNoteFor = (match, count) => {
+  if (match.score < REVIEW_SCORE_THRESHOLD) {
+    return `Weak match (${Math.round(match.score * 100)}%): "${match.title}"`;
+  }
+  if (count > 1) {
+    return `${count} possible matches; used "${match.title}"`;
+  }
+  return null;
+};
+
+/**
+ * Looks up metadata for an imported row, by ISBN when the export has one
+ * and by title/author search otherwise. A search has no one to pick between
+ * its candidates, so the best Amazon match is used and flagged for review
+ * when it isn't clearly the book.
+ * @param {Object} row - Row from parseReadingLog
+ * @returns {Promise<{metadata: Object, review: string|null}>} - Book metadata and any review note
+ */
+const lookupMetadata = async (row) => {
+  const identifier = row.isbn ? parseBookIdentifier(row.isbn) : null;
+
+  if (identifier?.amazonUrl) {
+    return { metadata: await fetchBookMetadata(identifier.amazonUrl), review: null };
+  }
+  if (identifier) {
+    return { metadata: await fetchBookMetadataByIsbn(identifier.value), review: null };
+  }
+
+  const candidates = await findBookCandidates(row.title, row.author, row.formData.format);
+  // Only Amazon pages can be scraped
+  const match = candidates.find(candidate => candidate.storeType === 'amazon');
+  if (!match) {
+    throw new BookServiceError('NO_RESULTS', 'No Amazon match in the search results');
+  }
+
+  console.log('[bulkImportService] Using', match.url, 'for', row.title, `(score ${match.score}, ${candidates.length} candidates)`);
+  return { metadata: await fetchBookMetadata(match.url), review: reviewNoteFor(match, candidates.length) };
+};
+
+/**
+ * Generates the post for one imported row with the active template. When the
+ * metadata lookup fails the post is still generated from the export alone.
+ * @param {Object} row - Row from parseReadingLog
+ * @param {(stage: string) => void} [onProgress] - Called with 'searching' and 'generating'
+ * @returns {Promise<{markdown: string, filename: string, bookData: Object, metadata: Object|null, warning: string|null, review: string|null}>}
+ *   warning is set when the post was generated without metadata, review when the searched match needs checking
+ */
+export const generatePostForRow = async (row, onProgress) => {
+  const formData = {
+    ...row.formData,
+    author: row.author,
+    placesRead: [...row.formData.placesRead.predefined, row.formData.placesRead.custom].filter(Boolean).join(', ')
+  };
+
+  let metadata = null;
+  let warning = null;
+  let review = null;
+
+  onProgress?.('searching');
+  try {
+    ({ metadata, review } = await lookupMetadata(row));
+  } catch (error) {
+    console.error('[bulkImportService] Metadata lookup failed for:', row.title, error);
+    warning = `No metadata (${error.message}); generated from the export only`;
+  }
+
+  onProgress?.('generating');
+  // enrichBookData fetches the thematic emojis from the description
+  const bookData = await enrichBookData(formData, metadata || {});
+  const { body, slugPattern } = getActiveTemplate();
+  const markdown = generateMarkdown(bookData, body, { slugPattern });
+
+  return {
+    markdown,
+    filename: `${buildTemplateView(bookData, { slugPattern }).titleSlug}.md`,
+    bookData,
+    metadata,
+    warning,
+    review
+  };
+};
+
+/**
+ * Makes file names unique within an archive by numbering repeats
+ * @param {Array<{name: string, content: string}>} files - Files to archive
+ * @returns {Array<{name: string, content: string}>} - Files with unique names
+ */
+export const uniqueFileNames = (files) => {
+  const seen = new Map();
+
+  return files.map(file => {
+    const count = seen.get(file.name) || 0;
+    seen.set(file.name, count + 1);
+    return count === 0 ? file : { ...file, name: file.name.replace(/(\.[^.]+)?$/, `-${count + 1}$1`) };
+  });
+};
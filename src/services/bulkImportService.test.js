@@ -0,0 +1,104 @@
+// book-notes-app/src/services/bulkImportService.test.js
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { fetchBookMetadata, findBookCandidates } from './bookService';
+import { generatePostForRow } from './bulkImportService';
+import { parseReadingLog } from '../utils/readingLogImport';
+import { DEFAULT_TEMPLATE } from '../utils/defaultTemplate';
+
+vi.mock('./bookService', () => ({
+  fetchBookMetadata: vi.fn(),
+  fetchBookMetadataByIsbn: vi.fn(),
+  findBookCandidates: vi.fn(),
+  fetchBookEmojis: vi.fn(async () => '📚'),
+  getRandomBookEmojis: vi.fn(() => '📚')
+}));
+
+vi.mock('./templateService', () => ({
+  getActiveTemplate: () => ({ body: DEFAULT_TEMPLATE })
+}));
+
+const EXPORT = [
+  'Title,Author,ISBN,ISBN13,Exclusive Shelf,Bookshelves,Date Read,Date Added,Binding,My Review',
+  'Redshirts,John Scalzi,,,read,,2025/01/12,2025/01/01,Kindle Edition,',
+  'Old Man\'s War,John Scalzi,="0765348276",="9780765348272",read,,2024/11/02,2024/10/01,Paperback,'
+].join('\n');
+
+const [searchRow, isbnRow] = parseReadingLog(EXPORT).rows;
+
+const METADATA = { title: 'Redshirts', author: 'John Scalzi', description: 'Not found', coverUrl: 'Not found' };
+
+const candidate = (url, title, score, storeType = 'amazon') => ({
+  url,
+  title,
+  storeType,
+  strategy: 'google',
+  asin: null,
+  score
+});
+
+describe('generatePostForRow', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetchBookMetadata.mockResolvedValue(METADATA);
+  });
+
+  it('uses the only, clear match without flagging it', async () => {
+    findBookCandidates.mockResolvedValue([candidate('https://www.amazon.com/dp/B0064W66X8', 'Redshirts: A Novel - Kindle edition by John Scalzi', 1)]);
+
+    const post = await generatePostForRow(searchRow);
+
+    expect(fetchBookMetadata).toHaveBeenCalledWith('https://www.amazon.com/dp/B0064W66X8');
+    expect(post.review).toBeNull();
+    expect(post.warning).toBeNull();
+  });
+
+  it('flags a row whose search found more than one match', async () => {
+    findBookCandidates.mockResolvedValue([
+      candidate('https://www.amazon.com/dp/B0064W66X8', 'Redshirts (Kindle)', 1),
+      candidate('https://www.amazon.com/dp/0765316994', 'Redshirts (Paperback)', 0.9)
+    ]);
+
+    const post = await generatePostForRow(searchRow);
+
+    expect(post.review).toBe('2 possible matches; used "Redshirts (Kindle)"');
+  });
+
+  it('flags a weak top match', async () => {
+    findBookCandidates.mockResolvedValue([candidate('https://www.amazon.com/dp/B0B1234567', 'Study Guide: Redshirts', 0.5)]);
+
+    const post = await generatePostForRow(searchRow);
+
+    expect(post.review).toBe('Weak match (50%): "Study Guide: Redshirts"');
+  });
+
+  it('skips matches from stores it cannot scrape', async () => {
+    findBookCandidates.mockResolvedValue([
+      candidate('https://www.goodreads.com/book/show/13055592-redshirts', 'Redshirts', 1, 'goodreads'),
+      candidate('https://www.amazon.com/dp/0765316994', 'Redshirts by John Scalzi', 0.9)
+    ]);
+
+    await generatePostForRow(searchRow);
+
+    expect(fetchBookMetadata).toHaveBeenCalledWith('https://www.amazon.com/dp/0765316994');
+  });
+
+  it('generates the post from the export alone when nothing is on Amazon', async () => {
+    findBookCandidates.mockResolvedValue([candidate('https://www.goodreads.com/book/show/13055592-redshirts', 'Redshirts', 1, 'goodreads')]);
+
+    const post = await generatePostForRow(searchRow);
+
+    expect(fetchBookMetadata).not.toHaveBeenCalled();
+    expect(post.metadata).toBeNull();
+    expect(post.warning).toMatch(/No Amazon match/);
+    expect(post.markdown).toContain('Redshirts');
+  });
+
+  it('looks rows with an ISBN up directly', async () => {
+    const post = await generatePostForRow(isbnRow);
+
+    // A 978 ISBN-13 has an ISBN-10, which is also the print edition's ASIN
+    expect(findBookCandidates).not.toHaveBeenCalled();
+    expect(fetchBookMetadata).toHaveBeenCalledWith('https://www.amazon.com/dp/0765348276/');
+    expect(post.review).toBeNull();
+  });
+});
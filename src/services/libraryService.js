@@ -0,0 +1,180 @@
+// book-notes-app/src/services/libraryService.js
+// Browser-side reading library persisted in IndexedDB
+import { frontMatterSlug } from '../utils/slugPolicy';
+
+const DB_NAME = 'book-notes';
+const DB_VERSION = 1;
+const STORE_NAME = 'books';
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the library database
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Runs a single request against the books store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {(store: IDBObjectStore) => IDBRequest} operation - Builds the request
+ * @returns {Promise<any>} - Request result
+ */
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Metadata uses 'Not found' for missing values
+const metadataValue = (metadata, field) =>
+  metadata && metadata[field] && metadata[field] !== 'Not found' ? metadata[field] : '';
+
+/**
+ * Lists every book in the library
+ * @returns {Promise<Array<Object>>} - Library entries
+ */
+export const listBooks = async () => {
+  try {
+    return await withStore('readonly', store => store.getAll());
+  } catch (error) {
+    console.error('[libraryService] Error listing books:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lists the slugs of the library's posts, as written in their front matter
+ * @param {Object} [options]
+ * @param {string} [options.excludeId] - Entry to leave out, e.g. the one being edited
+ * @returns {Promise<string[]>} - Slugs
+ */
+export const listPostSlugs = async ({ excludeId } = {}) => {
+  const books = await listBooks();
+
+  return books
+    .filter(book => book.id !== excludeId)
+    .map(book => frontMatterSlug(book.markdown) || book.bookData?.slug || '')
+    .filter(Boolean);
+};
+
+/**
+ * Gets a single book from the library
+ * @param {string} id - Entry id
+ * @returns {Promise<Object|null>} - Library entry, or null if it doesn't exist
+ */
+export const getBook = async (id) => {
+  try {
+    const entry = await withStore('readonly', store => store.get(id));
+    return entry || null;
+  } catch (error) {
+    console.error('[libraryService] Error getting book:', error);
+    throw error;
+  }
+};
+
+/**
+ * Creates or updates a library entry. Title, author, format and finish date
+ * are copied to the top level so the list can search and sort on them.
+ * @param {Object} entry - Entry to save
+ * @param {string} [entry.id] - Existing entry id; a new one is created when omitted
+ * @param {Object} entry.formData - BookForm state
+ * @param {Object|null} entry.metadata - Fetched metadata, if any
+ * @param {string} entry.markdown - Post markdown, including any manual edits
+ * @param {string} [entry.generatedMarkdown] - Markdown as last generated, before manual edits
+ * @param {Object} [entry.bookData] - Book data the markdown was generated from, used for exports
+ * @returns {Promise<Object>} - Saved entry
+ */
+export const saveBook = async ({ id, formData, metadata, markdown, generatedMarkdown = markdown, bookData = null }) => {
+  try {
+    const existing = id ? await getBook(id) : null;
+    const now = new Date().toISOString();
+
+    const entry = {
+      id: id || crypto.randomUUID(),
+      title: metadataValue(metadata, 'title') || formData.title,
+      author: metadataValue(metadata, 'author'),
+      format: formData.format,
+      dateFinished: formData.dateFinished,
+      formData,
+      metadata: metadata || null,
+      markdown,
+      generatedMarkdown,
+      bookData,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    await withStore('readwrite', store => store.put(entry));
+    console.log('[libraryService] Saved book:', entry.id);
+    return entry;
+  } catch (error) {
+    console.error('[libraryService] Error saving book:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replaces an entry's markdown after manual edits, leaving the rest of the
+ * entry as currently stored
+ * @param {string} id - Entry id
+ * @param {string} markdown - Edited markdown
+ * @returns {Promise<Object>} - Saved entry
+ */
+export const updateBookMarkdown = async (id, markdown) => {
+  try {
+    const existing = await getBook(id);
+    if (!existing) {
+      throw new Error(`Book ${id} is not in the library`);
+    }
+
+    const entry = { ...existing, markdown, updatedAt: new Date().toISOString() };
+    await withStore('readwrite', store => store.put(entry));
+    return entry;
+  } catch (error) {
+    console.error('[libraryService] Error updating book markdown:', error);
+    throw error;
+  }
+};
+
+/**
+ * Removes a book from the library
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+export const deleteBook = async (id) => {
+  try {
+    await withStore('readwrite', store => store.delete(id));
+  } catch (error) {
+    console.error('[libraryService] Error deleting book:', error);
+    throw error;
+  }
+};
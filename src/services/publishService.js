@@ -0,0 +1,174 @@
+// book-notes-app/src/services/publishService.js
+// Publishes a post to the blog repo through a GitHub-compatible REST API
+// (GitHub, GitHub Enterprise, Gitea and Forgejo all speak this dialect).
+// Point the API URL at scripts/mock-git-host.js to try it locally.
+
+const SETTINGS_KEY = 'book-notes:publish-settings';
+
+export const DEFAULT_PUBLISH_SETTINGS = {
+  apiUrl: 'https://api.github.com',
+  owner: '',
+  repo: '',
+  baseBranch: 'main',
+  token: '',
+  // 'pull-request' commits to a new branch and opens a PR; 'commit' commits to the base branch
+  mode: 'pull-request'
+};
+
+/**
+ * Reads the publish settings. The token is kept in localStorage, so use a
+ * fine-grained token limited to the blog repo's contents and pull requests.
+ * @returns {Object} - Publish settings
+ */
+export const getPublishSettings = () => {
+  try {
+    return { ...DEFAULT_PUBLISH_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch (error) {
+    console.error('[publishService] Error reading publish settings:', error);
+    return { ...DEFAULT_PUBLISH_SETTINGS };
+  }
+};
+
+/**
+ * Saves the publish settings
+ * @param {Object} settings - Publish settings
+ */
+export const savePublishSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// Base64 of the UTF-8 bytes; btoa alone only handles Latin-1
+const toBase64 = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Creates a client for one repository
+ * @param {Object} settings - Publish settings
+ * @returns {(method: string, path: string, body?: Object, options?: {accept?: number[]}) => Promise<{status: number, data: any}>} - Request
+ *   function; error statuses listed in accept are returned for the caller to handle, any other throws
+ */
+const repoClient = (settings) => {
+  const base = `${settings.apiUrl.replace(/\/+$/, '')}/repos/${encodeURIComponent(settings.owner)}/${encodeURIComponent(settings.repo)}`;
+
+  return async (method, path, body, { accept = [] } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        'Content-Type': 'application/json',
+        ...(settings.token ? { Authorization: `Bearer ${settings.token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = { message: text };
+    }
+
+    if (!response.ok && !accept.includes(response.status)) {
+      // GitHub answers 404 rather than 403 for repos the token can't see or write to
+      if (response.status === 404) {
+        throw new Error(`Repository ${settings.owner}/${settings.repo} not found, or the token lacks access to it (${method} ${path})`);
+      }
+      throw new Error(`${method} ${path} failed (${response.status}): ${data?.message || response.statusText}`);
+    }
+
+    return { status: response.status, data };
+  };
+};
+
+/**
+ * Creates a branch off the base branch, numbering the name if it's taken
+ * @param {Function} request - Repo client
+ * @param {string} baseBranch - Branch to start from
+ * @param {string} branch - Preferred branch name
+ * @returns {Promise<string>} - Created branch name
+ */
+const createBranch = async (request, baseBranch, branch) => {
+  const base = await request('GET', `/git/ref/heads/${encodePath(baseBranch)}`, undefined, { accept: [404] });
+  if (base.status === 404) {
+    throw new Error(`Base branch "${baseBranch}" not found`);
+  }
+
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    const name = attempt === 1 ? branch : `${branch}-${attempt}`;
+    // 422: a branch with that name already exists
+    const created = await request('POST', '/git/refs', { ref: `refs/heads/${name}`, sha: base.data.object.sha }, { accept: [422] });
+
+    if (created.status !== 422) return name;
+    console.log('[publishService] Branch exists, trying another name:', name);
+  }
+
+  throw new Error(`Could not create a branch named ${branch}`);
+};
+
+/**
+ * Commits a post at its path and, in pull request mode, opens a PR for it
+ * @param {Object} options
+ * @param {string} options.path - Path in the repo, e.g. content/posts/2025/redshirts/index.md
+ * @param {string} options.content - File contents
+ * @param {string} options.title - Book title, used in the commit message and PR
+ * @param {Object} [options.settings] - Publish settings; defaults to the saved ones
+ * @returns {Promise<{branch: string, commit: {sha: string, url: string}, pullRequest: {number: number, url: string}|null}>}
+ */
+export const publishPost = async ({ path, content, title, settings = getPublishSettings() }) => {
+  if (!settings.owner || !settings.repo) {
+    throw new Error('Set the repository owner and name before publishing');
+  }
+
+  try {
+    const request = repoClient(settings);
+    const postName = path.split('/').filter(name => name !== 'index.md').pop().replace(/\.md$/, '');
+    const branch = settings.mode === 'commit'
+      ? settings.baseBranch
+      : await createBranch(request, settings.baseBranch, `book-notes/${postName}`);
+
+    // Updating an existing file needs its current blob sha
+    const existing = await request('GET', `/contents/${encodePath(path)}?ref=${encodeURIComponent(branch)}`, undefined, { accept: [404] });
+    const isUpdate = existing.status !== 404;
+    const message = `${isUpdate ? 'Update' : 'Add'} book notes for ${title}`;
+
+    console.log('[publishService] Committing', path, 'to', branch);
+    const committed = await request('PUT', `/contents/${encodePath(path)}`, {
+      message,
+      content: toBase64(content),
+      branch,
+      ...(isUpdate ? { sha: existing.data.sha } : {})
+    }, { accept: [422] });
+    if (committed.status === 422) {
+      throw new Error(`Commit rejected: ${committed.data?.message}`);
+    }
+
+    const commit = { sha: committed.data.commit.sha, url: committed.data.commit.html_url };
+    if (settings.mode === 'commit') {
+      return { branch, commit, pullRequest: null };
+    }
+
+    const pull = await request('POST', '/pulls', {
+      title: message,
+      head: branch,
+      base: settings.baseBranch,
+      body: `Generated with book-notes-app.\n\n\`${path}\``
+    }, { accept: [422] });
+    if (pull.status === 422) {
+      throw new Error(`Pull request rejected: ${pull.data?.message}`);
+    }
+
+    return { branch, commit, pullRequest: { number: pull.data.number, url: pull.data.html_url } };
+  } catch (error) {
+    console.error('[publishService] Error publishing post:', error);
+    throw error;
+  }
+};
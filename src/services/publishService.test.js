@@ -0,0 +1,100 @@
+// book-notes-app/src/services/publishService.test.js
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { publishPost } from './publishService';
+
+const SETTINGS = {
+  apiUrl: 'https://git.example.com/api/v3/',
+  owner: 'sam',
+  repo: 'blog',
+  baseBranch: 'main',
+  token: 'token',
+  mode: 'pull-request'
+};
+
+const POST = { path: 'content/posts/2025/redshirts/index.md', content: 'Tschüss 👋', title: 'Redshirts' };
+
+/**
+ * Answers each "METHOD /path" (query string dropped) with the given status and body
+ */
+const mockHost = (routes) => {
+  const calls = [];
+  vi.stubGlobal('fetch', vi.fn(async (url, options) => {
+    const path = new URL(url).pathname.replace('/api/v3/repos/sam/blog', '');
+    const key = `${options.method} ${path}`;
+    calls.push({ key, body: options.body ? JSON.parse(options.body) : null });
+    const [status, body] = routes[key] || [404, { message: 'Not Found' }];
+    return new Response(body ? JSON.stringify(body) : '', { status });
+  }));
+  return calls;
+};
+
+const HAPPY_ROUTES = {
+  'GET /git/ref/heads/main': [200, { object: { sha: 'base-sha' } }],
+  'POST /git/refs': [201, { ref: 'refs/heads/book-notes/redshirts' }],
+  'PUT /contents/content/posts/2025/redshirts/index.md': [201, { commit: { sha: 'commit-sha', html_url: 'https://git.example.com/commit' } }],
+  'POST /pulls': [201, { number: 7, html_url: 'https://git.example.com/pull/7' }]
+};
+
+describe('publishPost', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('commits a new file to a branch and opens a pull request', async () => {
+    const calls = mockHost(HAPPY_ROUTES);
+
+    const result = await publishPost({ ...POST, settings: SETTINGS });
+
+    expect(result).toEqual({
+      branch: 'book-notes/redshirts',
+      commit: { sha: 'commit-sha', url: 'https://git.example.com/commit' },
+      pullRequest: { number: 7, url: 'https://git.example.com/pull/7' }
+    });
+    const put = calls.find(call => call.key.startsWith('PUT'));
+    expect(put.body.message).toBe('Add book notes for Redshirts');
+    expect(put.body.sha).toBeUndefined();
+    expect(new TextDecoder().decode(Uint8Array.from(atob(put.body.content), char => char.charCodeAt(0)))).toBe(POST.content);
+  });
+
+  it('numbers the branch when the name is taken', async () => {
+    let attempts = 0;
+    mockHost(HAPPY_ROUTES);
+    const hostFetch = fetch;
+    vi.stubGlobal('fetch', async (url, options) => {
+      if (options.method === 'POST' && url.endsWith('/git/refs') && attempts++ === 0) {
+        return new Response(JSON.stringify({ message: 'Reference already exists' }), { status: 422 });
+      }
+      return hostFetch(url, options);
+    });
+
+    const result = await publishPost({ ...POST, settings: SETTINGS });
+    expect(result.branch).toBe('book-notes/redshirts-2');
+  });
+
+  it('reports a missing repo or a token without access instead of treating 404 as an answer', async () => {
+    // Only the reads that may legitimately 404 succeed: the base branch lookup
+    mockHost({ 'GET /git/ref/heads/main': [200, { object: { sha: 'base-sha' } }] });
+
+    await expect(publishPost({ ...POST, settings: SETTINGS }))
+      .rejects.toThrow('Repository sam/blog not found, or the token lacks access to it (POST /git/refs)');
+  });
+
+  it('fails clearly when the commit itself is refused with a 404', async () => {
+    mockHost({ 'GET /git/ref/heads/main': [200, { object: { sha: 'base-sha' } }] });
+
+    await expect(publishPost({ ...POST, settings: { ...SETTINGS, mode: 'commit' } }))
+      .rejects.toThrow('Repository sam/blog not found, or the token lacks access to it (PUT /contents/content/posts/2025/redshirts/index.md)');
+  });
+
+  it('fails clearly when the pull request is refused with a 404', async () => {
+    const { 'POST /pulls': _, ...routes } = HAPPY_ROUTES;
+    mockHost(routes);
+
+    await expect(publishPost({ ...POST, settings: SETTINGS }))
+      .rejects.toThrow('Repository sam/blog not found, or the token lacks access to it (POST /pulls)');
+  });
+
+  it('still reports a missing base branch', async () => {
+    mockHost({});
+
+    await expect(publishPost({ ...POST, settings: SETTINGS })).rejects.toThrow('Base branch "main" not found');
+  });
+});
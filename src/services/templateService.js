@@ -0,0 +1,108 @@
+// book-notes-app/src/services/templateService.js
+// User-editable post templates persisted in localStorage
+import { DEFAULT_TEMPLATE } from '../utils/defaultTemplate';
+import { validateTemplate } from '../utils/templateEngine';
+import { DEFAULT_SLUG_PATTERN, validateSlugPattern } from '../utils/slugPolicy';
+
+const TEMPLATES_KEY = 'book-notes:templates';
+const ACTIVE_TEMPLATE_KEY = 'book-notes:active-template';
+
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+// The built-in layout is always available and can't be edited or deleted
+const BUILT_IN_TEMPLATE = {
+  id: DEFAULT_TEMPLATE_ID,
+  name: 'Default',
+  body: DEFAULT_TEMPLATE,
+  slugPattern: DEFAULT_SLUG_PATTERN,
+  builtIn: true
+};
+
+const readCustomTemplates = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TEMPLATES_KEY) || '[]');
+    // Templates saved before slug patterns existed file posts the default way
+    return Array.isArray(stored) ? stored.map(template => ({ slugPattern: DEFAULT_SLUG_PATTERN, ...template })) : [];
+  } catch (error) {
+    console.error('[templateService] Error reading templates:', error);
+    return [];
+  }
+};
+
+const writeCustomTemplates = (templates) => {
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+};
+
+/**
+ * Lists the built-in template followed by the user's templates
+ * @returns {Array<{id: string, name: string, body: string, slugPattern: string, builtIn?: boolean}>} - Templates
+ */
+export const listTemplates = () => [BUILT_IN_TEMPLATE, ...readCustomTemplates()];
+
+/**
+ * Gets a template by id
+ * @param {string} id - Template id
+ * @returns {Object|null} - Template, or null if it doesn't exist
+ */
+export const getTemplate = (id) => listTemplates().find(template => template.id === id) || null;
+
+/**
+ * Creates or updates a user template
+ * @param {Object} template - Template to save
+ * @param {string} [template.id] - Existing template id; a new one is created when omitted
+ * @param {string} template.name - Display name
+ * @param {string} template.body - Template source
+ * @param {string} [template.slugPattern] - Where posts are filed, e.g. /posts/{year}/{title}
+ * @returns {Object} - Saved template
+ * @throws {Error} When the template has unbalanced sections or an unusable slug pattern
+ */
+export const saveTemplate = ({ id, name, body, slugPattern = DEFAULT_SLUG_PATTERN }) => {
+  if (id === DEFAULT_TEMPLATE_ID) {
+    throw new Error('The default template cannot be changed. Duplicate it instead.');
+  }
+
+  const problem = validateTemplate(body) || validateSlugPattern(slugPattern.trim());
+  if (problem) {
+    throw new Error(`Template has an error: ${problem}`);
+  }
+
+  const templates = readCustomTemplates();
+  const saved = { id: id || crypto.randomUUID(), name: name.trim() || 'Untitled', body, slugPattern: slugPattern.trim() };
+  const index = templates.findIndex(template => template.id === saved.id);
+
+  if (index === -1) {
+    templates.push(saved);
+  } else {
+    templates[index] = saved;
+  }
+
+  writeCustomTemplates(templates);
+  return saved;
+};
+
+/**
+ * Deletes a user template, falling back to the default if it was active
+ * @param {string} id - Template id
+ */
+export const deleteTemplate = (id) => {
+  writeCustomTemplates(readCustomTemplates().filter(template => template.id !== id));
+
+  if (localStorage.getItem(ACTIVE_TEMPLATE_KEY) === id) {
+    localStorage.removeItem(ACTIVE_TEMPLATE_KEY);
+  }
+};
+
+/**
+ * Gets the template new posts are generated with
+ * @returns {Object} - Active template
+ */
+export const getActiveTemplate = () =>
+  getTemplate(localStorage.getItem(ACTIVE_TEMPLATE_KEY)) || BUILT_IN_TEMPLATE;
+
+/**
+ * Sets the template new posts are generated with
+ * @param {string} id - Template id
+ */
+export const setActiveTemplate = (id) => {
+  localStorage.setItem(ACTIVE_TEMPLATE_KEY, id);
+};
@@ -0,0 +1,35 @@
+// @vitest-environment jsdom
+// book-notes-app/src/services/templateService.test.js
+import { beforeEach, describe, expect, it } from 'vitest';
+import { getActiveTemplate, listTemplates, saveTemplate, setActiveTemplate } from './templateService';
+import { generateMarkdown } from '../utils/generateMarkdown';
+import { frontMatterSlug } from '../utils/slugPolicy';
+
+const BOOK = { title: 'Redshirts', author: 'John Scalzi', dateFinished: '2025-03-08', format: 'Kindle', bookEmojis: '👕' };
+
+describe('template slug patterns', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('gives the built-in template the default pattern', () => {
+    expect(getActiveTemplate().slugPattern).toBe('/posts/{year}/{title}');
+  });
+
+  it('saves a pattern with the template and files posts by it', () => {
+    const saved = saveTemplate({ name: 'Books', body: '---\n{{frontMatter}}\n---\n', slugPattern: ' /books/{title} ' });
+    setActiveTemplate(saved.id);
+
+    const { body, slugPattern } = getActiveTemplate();
+    expect(slugPattern).toBe('/books/{title}');
+    expect(frontMatterSlug(generateMarkdown(BOOK, body, { slugPattern }))).toBe('/books/redshirts');
+  });
+
+  it('gives templates saved before patterns existed the default one', () => {
+    localStorage.setItem('book-notes:templates', JSON.stringify([{ id: 'old', name: 'Old', body: '{{title}}' }]));
+    expect(listTemplates()[1].slugPattern).toBe('/posts/{year}/{title}');
+  });
+
+  it('refuses a pattern without the title', () => {
+    expect(() => saveTemplate({ name: 'Bad', body: '{{title}}', slugPattern: '/posts/{year}' }))
+      .toThrow('Template has an error: the slug pattern needs {title}');
+  });
+});
@@ -0,0 +1,6 @@
+// book-notes-app/src/test/globalSetup.js
+// Runs the tests west of UTC, where reading a form date (YYYY-MM-DD) as UTC
+// midnight lands on the previous day, so date bugs show up on every machine
+export const setup = () => {
+  process.env.TZ = 'America/Los_Angeles';
+};
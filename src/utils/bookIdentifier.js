@@ -0,0 +1,97 @@
+// book-notes-app/src/utils/bookIdentifier.js
+
+/**
+ * Checks the ISBN-10 check digit
+ * @param {string} isbn - Ten characters, digits with an optional trailing X
+ * @returns {boolean} Whether the checksum is valid
+ */
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  const sum = isbn.split('').reduce((total, char, index) => {
+    const value = char === 'X' ? 10 : Number(char);
+    return total + value * (10 - index);
+  }, 0);
+
+  return sum % 11 === 0;
+};
+
+/**
+ * Checks the ISBN-13 check digit
+ * @param {string} isbn - Thirteen digits
+ * @returns {boolean} Whether the checksum is valid
+ */
+const isValidIsbn13 = (isbn) => {
+  if (!/^97[89]\d{10}$/.test(isbn)) return false;
+
+  const sum = isbn.split('').reduce((total, char, index) => {
+    return total + Number(char) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+
+  return sum % 10 === 0;
+};
+
+/**
+ * Converts a 978-prefixed ISBN-13 to its ISBN-10 form
+ * @param {string} isbn13 - Valid ISBN-13
+ * @returns {string|null} ISBN-10, or null for 979 prefixes which have none
+ */
+export const isbn13ToIsbn10 = (isbn13) => {
+  if (!isbn13.startsWith('978')) return null;
+
+  const body = isbn13.slice(3, 12);
+  const sum = body.split('').reduce((total, char, index) => total + Number(char) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+
+  return `${body}${check === 10 ? 'X' : check}`;
+};
+
+/**
+ * Builds a canonical Amazon product URL for an ASIN
+ * @param {string} asin - Amazon ASIN (or ISBN-10, which Amazon uses as the ASIN for print books)
+ * @returns {string} Product URL
+ */
+export const amazonProductUrl = (asin) => `https://www.amazon.com/dp/${asin}/`;
+
+/**
+ * Detects an Amazon product URL, bare ASIN or ISBN in free-form input
+ * @param {string} input - Value of the "Book" field
+ * @returns {{type: 'url'|'asin'|'isbn', value: string, amazonUrl: string|null}|null}
+ *   Detected identifier, or null when the input looks like a title to search for.
+ *   amazonUrl is null when there is no product page to go to directly (979 ISBNs).
+ */
+export const parseBookIdentifier = (input) => {
+  const text = (input || '').trim();
+  if (!text) return null;
+
+  // Product URLs: /dp/ASIN or /gp/product/ASIN on any Amazon domain
+  if (/^https?:\/\//i.test(text) && /amazon\./i.test(text)) {
+    const match = text.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})(?:[/?#]|$)/i);
+    if (match) {
+      const asin = match[1].toUpperCase();
+      return { type: 'url', value: asin, amazonUrl: amazonProductUrl(asin) };
+    }
+    return null;
+  }
+
+  // ISBNs are often written with hyphens or spaces between groups
+  const compact = text.replace(/[\s-]/g, '').toUpperCase();
+
+  if (isValidIsbn13(compact)) {
+    const isbn10 = isbn13ToIsbn10(compact);
+    return { type: 'isbn', value: compact, amazonUrl: isbn10 ? amazonProductUrl(isbn10) : null };
+  }
+
+  if (isValidIsbn10(compact)) {
+    return { type: 'isbn', value: compact, amazonUrl: amazonProductUrl(compact) };
+  }
+
+  // Bare ASIN: ten letters and digits with at least one digit, so titles don't match.
+  // Pasted ASINs are sometimes lowercase; Amazon's are uppercase.
+  const asin = text.toUpperCase();
+  if (/^[A-Z0-9]{10}$/.test(asin) && /\d/.test(asin)) {
+    return { type: 'asin', value: asin, amazonUrl: amazonProductUrl(asin) };
+  }
+
+  return null;
+};
@@ -0,0 +1,30 @@
+// book-notes-app/src/utils/bookIdentifier.test.js
+import { describe, expect, it } from 'vitest';
+import { parseBookIdentifier } from './bookIdentifier';
+
+describe('parseBookIdentifier', () => {
+  it('reads the ASIN from an Amazon product URL', () => {
+    expect(parseBookIdentifier('https://www.amazon.co.uk/Redshirts-John-Scalzi/dp/b0064w66x8?ref=sr_1_1')).toEqual({
+      type: 'url',
+      value: 'B0064W66X8',
+      amazonUrl: 'https://www.amazon.com/dp/B0064W66X8/'
+    });
+  });
+
+  it('recognizes a bare ASIN in either case', () => {
+    for (const input of ['B00ABC1234', 'b00abc1234', ' B00abc1234 ']) {
+      expect(parseBookIdentifier(input)).toEqual({ type: 'asin', value: 'B00ABC1234', amazonUrl: 'https://www.amazon.com/dp/B00ABC1234/' });
+    }
+  });
+
+  it('recognizes ISBNs written with hyphens', () => {
+    expect(parseBookIdentifier('978-0-7653-1699-8')).toMatchObject({ type: 'isbn', value: '9780765316998', amazonUrl: 'https://www.amazon.com/dp/0765316994/' });
+    expect(parseBookIdentifier('0-7653-1699-4')).toMatchObject({ type: 'isbn', value: '0765316994' });
+  });
+
+  it('leaves titles to the search', () => {
+    for (const input of ['Redshirts', 'Redshirts John Scalzi', 'Neuromancer', '']) {
+      expect(parseBookIdentifier(input)).toBeNull();
+    }
+  });
+});
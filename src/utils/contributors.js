@@ -0,0 +1,74 @@
+// book-notes-app/src/utils/contributors.js
+
+const ROLE_LABELS = {
+  author: 'Author',
+  translator: 'Translator',
+  editor: 'Editor',
+  narrator: 'Narrator',
+  illustrator: 'Illustrator',
+  contributor: 'Contributor'
+};
+
+/**
+ * Joins names as "A", "A and B" or "A, B and C"
+ * @param {string[]} names - Names to join
+ * @returns {string} Joined names
+ */
+export const formatNameList = (names) => {
+  if (names.length <= 1) return names[0] || '';
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+/**
+ * Returns the names of contributors with a given role, in byline order
+ * @param {Array<{name: string, roles: string[]}>} contributors - Contributors from metadata
+ * @param {string} role - Role to filter by
+ * @returns {string[]} Names
+ */
+export const namesWithRole = (contributors = [], role) =>
+  contributors.filter(contributor => contributor.roles?.includes(role)).map(contributor => contributor.name);
+
+/**
+ * Builds the "by ..." credit for a title line. Edited anthologies with no
+ * author are credited to their editors.
+ * @param {Array<{name: string, roles: string[]}>} contributors - Contributors from metadata
+ * @returns {string} Credit, or an empty string if there are no authors or editors
+ */
+export const formatCredit = (contributors = []) => {
+  const authors = namesWithRole(contributors, 'author');
+  if (authors.length > 0) return formatNameList(authors);
+
+  const editors = namesWithRole(contributors, 'editor');
+  if (editors.length > 0) return `${formatNameList(editors)} (${editors.length > 1 ? 'eds.' : 'ed.'})`;
+
+  return '';
+};
+
+/**
+ * Formats one contributor's roles for display, e.g. "Author, Narrator"
+ * @param {{name: string, roles: string[]}} contributor - Contributor from metadata
+ * @returns {string} Role labels
+ */
+export const formatContributorRoles = (contributor) =>
+  (contributor.roles || []).map(role => ROLE_LABELS[role] || role).join(', ');
+
+/**
+ * Formats every contributor with their roles, e.g. "A (Author), B (Translator)"
+ * @param {Array<{name: string, roles: string[]}>} contributors - Contributors from metadata
+ * @returns {string} Contributor list
+ */
+export const formatContributors = (contributors = []) =>
+  contributors
+    .map(contributor => {
+      const roles = formatContributorRoles(contributor);
+      return roles ? `${contributor.name} (${roles})` : contributor.name;
+    })
+    .join(', ');
+
+/**
+ * Whether the contributor list says more than the Author row already does
+ * @param {Array<{name: string, roles: string[]}>} contributors - Contributors from metadata
+ * @returns {boolean}
+ */
+export const hasNonAuthorContributors = (contributors = []) =>
+  contributors.some(contributor => (contributor.roles || []).some(role => role !== 'author'));
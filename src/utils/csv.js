@@ -0,0 +1,80 @@
+// book-notes-app/src/utils/csv.js
+// Minimal RFC 4180 CSV reading and writing
+
+/**
+ * Quotes a value for a CSV cell when it contains a quote, comma or line break
+ * @param {any} value - Cell value
+ * @returns {string} Cell text
+ */
+export const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Splits CSV text into rows of cells. Quoted cells may contain commas,
+ * doubled quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Exports saved from Excel start with a byte order mark
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines are not records
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+/**
+ * Parses CSV text with a header row into one object per record
+ * @param {string} text - CSV text
+ * @returns {{headers: string[], records: Array<Object<string, string>>}} Header names and records keyed by them
+ */
+export const parseCsv = (text) => {
+  const [headerRow = [], ...rows] = parseCsvRows(text);
+  const headers = headerRow.map(header => header.trim());
+
+  const records = rows.map(cells =>
+    headers.reduce((record, header, index) => ({ ...record, [header]: (cells[index] ?? '').trim() }), {})
+  );
+
+  return { headers, records };
+};
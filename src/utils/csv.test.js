@@ -0,0 +1,53 @@
+// book-notes-app/src/utils/csv.test.js
+import { describe, expect, it } from 'vitest';
+import { csvCell, parseCsv, parseCsvRows } from './csv';
+
+describe('csvCell', () => {
+  it('leaves plain values alone', () => {
+    expect(csvCell('Redshirts')).toBe('Redshirts');
+    expect(csvCell(321)).toBe('321');
+    expect(csvCell(null)).toBe('');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    expect(csvCell('Scalzi, John')).toBe('"Scalzi, John"');
+    expect(csvCell('The "Narrative"')).toBe('"The ""Narrative"""');
+    expect(csvCell('line one\nline two')).toBe('"line one\nline two"');
+  });
+});
+
+describe('parseCsvRows', () => {
+  it('reads quoted commas, doubled quotes and line breaks', () => {
+    const text = 'Title,Review\n"Redshirts, A Novel","Loved ""the Narrative""\nand the codas"\n';
+
+    expect(parseCsvRows(text)).toEqual([
+      ['Title', 'Review'],
+      ['Redshirts, A Novel', 'Loved "the Narrative"\nand the codas']
+    ]);
+  });
+
+  it('handles CRLF line endings, a byte order mark, blank lines and a missing final newline', () => {
+    expect(parseCsvRows('\uFEFFa,b\r\n\r\n1,2\r\n3,')).toEqual([['a', 'b'], ['1', '2'], ['3', '']]);
+  });
+
+  it('round-trips cells written with csvCell', () => {
+    const row = ['plain', 'comma, here', 'a "quote"', 'two\nlines', ''];
+    expect(parseCsvRows(`${row.map(csvCell).join(',')}\n`)).toEqual([row]);
+  });
+});
+
+describe('parseCsv', () => {
+  it('keys each record by the trimmed header names', () => {
+    expect(parseCsv(' Title , Author \nRedshirts , John Scalzi\nShort row')).toEqual({
+      headers: ['Title', 'Author'],
+      records: [
+        { Title: 'Redshirts', Author: 'John Scalzi' },
+        { Title: 'Short row', Author: '' }
+      ]
+    });
+  });
+
+  it('returns no records for an empty file', () => {
+    expect(parseCsv('')).toEqual({ headers: [], records: [] });
+  });
+});
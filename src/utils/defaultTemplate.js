@@ -0,0 +1,86 @@
+// book-notes-app/src/utils/defaultTemplate.js
+// The original blog layout, shipped as the built-in template. See templateEngine.js for the syntax
+// and generateMarkdown.js for the placeholders available to templates.
+
+export const DEFAULT_TEMPLATE = `---
+{{frontMatter}}
+---
+
+> ## Not a Book Report
+> I enjoy [reflecting](https://blog.samrhea.com/posts/2019/analyze-media-habits) on the movies, TV, books and other media that I consume. I'm notoriously sentimental. This [series](https://blog.samrhea.com/category/reading) documents the books that I read. These aren't reviews or recommendations. Just a list. For me. Mostly so that I can page through what I read, where I was, and when.
+
+## Why did I read it?
+
+{{whyReadIt|[To be filled]}}
+
+## What is it?
+
+|Category|Value|
+|---|---|
+|**Title**|*{{title}}*|
+|**Author**|{{credit}}|
+{{#showContributors}}
+|**Contributors**|{{#contributors}}{{name}} ({{roles}}){{^@last}}, {{/@last}}{{/contributors}}|
+{{/showContributors}}
+|**Year Published**|{{yearPublished|[To be filled]}}|
+{{#publicationDate}}
+|**Publication Date**|{{publicationDate}}|
+{{/publicationDate}}
+{{#publisher}}
+|**Publisher**|{{publisher}}|
+{{/publisher}}
+|**Format**|{{format}}|
+{{#isAudiobook}}
+|**Length**|{{listeningLength|[To be filled]}}|
+|**Narrator**|{{narrator|[To be filled]}}|
+{{#audibleReleaseDate}}
+|**Audible Release**|{{audibleReleaseDate}}|
+{{/audibleReleaseDate}}
+{{/isAudiobook}}
+{{^isAudiobook}}
+|**Pages**|{{pageLength|[To be filled]}}|
+{{/isAudiobook}}
+{{#language}}
+|**Language**|{{language}}|
+{{/language}}
+{{#asin}}
+|**Amazon**|[Link](https://www.amazon.com/dp/{{asin}}/)
+{{/asin}}
+|**ASIN**|{{asin|[To be filled]}}|
+{{#isbn10}}
+|**ISBN-10**|{{isbn10}}|
+{{/isbn10}}
+{{#isbn13}}
+|**ISBN-13**|{{isbn13}}|
+{{/isbn13}}
+{{#coverUrl}}
+|**Cover**|![Cover]({{coverUrl}})|
+{{/coverUrl}}
+
+### Publisher Summary
+
+{{description|[Publisher summary to be filled]}}
+
+## How did I read it?
+
+|Category|Value|
+|---|---|
+|**Date Started**|{{dateStartedDisplay|[To be filled]}}|
+|**Date Finished**|{{dateFinishedDisplay}}|
+|**Places Read**|{{placesRead|[To be filled]}}|
+
+## Notes - No Spoilers
+
+{{#notes}}
+* {{.}}
+{{/notes}}
+{{^notes}}
+* [Your notes here]
+{{/notes}}
+{{#extraSections}}
+
+## {{heading}}
+
+{{body}}
+{{/extraSections}}
+`;
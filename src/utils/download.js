@@ -0,0 +1,37 @@
+// book-notes-app/src/utils/download.js
+import { createZip } from './zip';
+
+/**
+ * Starts a browser download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking right after click() can cancel the download before the browser has read the blob
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Downloads a file that belongs at a path inside a repo. Browsers drop the
+ * folders from download names, so nested paths are wrapped in a zip that
+ * extracts to the right place.
+ * @param {string} path - Relative path, e.g. content/posts/2025/redshirts/index.md
+ * @param {string} content - File contents
+ */
+export const downloadAtPath = (path, content) => {
+  const segments = path.split('/').filter(Boolean);
+
+  if (segments.length === 1) {
+    downloadBlob(new Blob([content], { type: 'text/plain;charset=utf-8' }), segments[0]);
+    return;
+  }
+
+  // Name the archive after the post, not its file (which is often index.md)
+  const [name] = segments.slice(-1)[0] === 'index.md' ? segments.slice(-2) : segments.slice(-1);
+  downloadBlob(createZip([{ name: segments.join('/'), content }]), `${name.replace(/\.[^.]+$/, '')}.zip`);
+};
@@ -0,0 +1,213 @@
+// book-notes-app/src/utils/exportTargets.js
+// Output targets for a generated post. Every target is built from the same
+// template view (see buildTemplateView) plus the markdown body of the post.
+import { buildTemplateView } from './generateMarkdown';
+import { csvCell } from './csv';
+import { frontMatterSlug } from './slugPolicy';
+
+// JSON strings are valid double-quoted YAML scalars and TOML basic strings
+const quote = (value) => JSON.stringify(String(value ?? ''));
+
+const yamlList = (items) => items.map(item => `  - ${quote(item)}`).join('\n');
+
+const tomlList = (items) => `[${items.map(quote).join(', ')}]`;
+
+// Fields every front matter flavour shares
+const baseFrontMatter = (view) => ({
+  title: `${view.emojis} ${view.title} by ${view.credit}`,
+  date: view.date,
+  description: view.frontmatterDescription || 'TBD',
+  tags: ['reading', 'books']
+});
+
+/**
+ * Strips the template's own front matter so another one can be put in its place
+ * @param {string} markdown - Generated post
+ * @returns {string} Post body
+ */
+export const stripFrontMatter = (markdown) => markdown.replace(/^---\n[\s\S]*?\n---\n/, '');
+
+/**
+ * Where a post lives in the blog repo, from the slug in its front matter:
+ * "/posts/2025/redshirts" is written to content/posts/2025/redshirts/index.md
+ * @param {string} markdown - Post, possibly edited by hand
+ * @param {string} [fallbackSlug] - Slug to use when the front matter has none
+ * @returns {string|null} Relative path, or null without any slug
+ */
+export const postPath = (markdown, fallbackSlug = '') => {
+  const slug = frontMatterSlug(markdown) || fallbackSlug;
+  const segments = String(slug || '').split('/').filter(segment => segment && segment !== '.' && segment !== '..');
+
+  return segments.length > 0 ? `content/${segments.join('/')}/index.md` : null;
+};
+
+/**
+ * Flat record of a book, used by the JSON and CSV targets
+ * @param {Object} view - Template view
+ * @returns {Object} Book record
+ */
+const bookRecord = (view) => ({
+  title: view.title,
+  author: view.credit,
+  contributors: view.contributors,
+  format: view.format,
+  dateStarted: view.dateStarted,
+  dateFinished: view.date,
+  placesRead: view.placesRead || '',
+  yearPublished: view.yearPublished,
+  publicationDate: view.publicationDate,
+  publisher: view.publisher,
+  pageLength: view.pageLength,
+  listeningLength: view.listeningLength,
+  narrator: view.narrator,
+  language: view.language,
+  asin: view.asin,
+  isbn10: view.isbn10,
+  isbn13: view.isbn13,
+  coverUrl: view.coverUrl,
+  description: view.description,
+  frontmatterDescription: view.frontmatterDescription || '',
+  whyReadIt: view.whyReadIt || '',
+  notes: view.notes,
+  emojis: view.emojis,
+  slug: view.slug
+});
+
+// Goodreads' import format; dates are yyyy/MM/dd
+const GOODREADS_COLUMNS = [
+  'Title', 'Author', 'ISBN', 'ISBN13', 'My Rating', 'Publisher', 'Binding', 'Number of Pages',
+  'Year Published', 'Date Read', 'Date Added', 'Bookshelves', 'Exclusive Shelf', 'My Review'
+];
+
+export const EXPORT_TARGETS = [
+  {
+    id: 'template',
+    label: 'Markdown (template)',
+    filename: (view, markdown) => postPath(markdown, view.slug),
+    render: (view, markdown) => markdown
+  },
+  {
+    id: 'hugo-toml',
+    label: 'Hugo (TOML)',
+    // Hugo derives the URL from the section and file name; slug overrides the last part
+    filename: (view) => `content/posts/${view.titleSlug}.md`,
+    render: (view, markdown) => {
+      const frontMatter = baseFrontMatter(view);
+      return `+++
+title = ${quote(frontMatter.title)}
+date = ${frontMatter.date}
+draft = false
+slug = ${quote(view.titleSlug)}
+categories = ${tomlList(['reading'])}
+tags = ${tomlList(frontMatter.tags)}
+description = ${quote(frontMatter.description)}
++++
+${stripFrontMatter(markdown)}`;
+    }
+  },
+  {
+    id: 'hugo-yaml',
+    label: 'Hugo (YAML)',
+    filename: (view) => `content/posts/${view.titleSlug}.md`,
+    render: (view, markdown) => {
+      const frontMatter = baseFrontMatter(view);
+      return `---
+title: ${quote(frontMatter.title)}
+date: ${frontMatter.date}
+draft: false
+slug: ${quote(view.titleSlug)}
+categories:
+${yamlList(['reading'])}
+tags:
+${yamlList(frontMatter.tags)}
+description: ${quote(frontMatter.description)}
+---
+${stripFrontMatter(markdown)}`;
+    }
+  },
+  {
+    id: 'jekyll',
+    label: 'Jekyll',
+    // Jekyll reads the date and slug from the file name
+    filename: (view) => `_posts/${view.date}-${view.titleSlug}.md`,
+    render: (view, markdown) => {
+      const frontMatter = baseFrontMatter(view);
+      return `---
+layout: post
+title: ${quote(frontMatter.title)}
+date: ${frontMatter.date}
+categories: reading
+tags:
+${yamlList(frontMatter.tags)}
+description: ${quote(frontMatter.description)}
+---
+${stripFrontMatter(markdown)}`;
+    }
+  },
+  {
+    id: 'astro',
+    label: 'Astro content collection',
+    // The entry slug is the file name inside the collection folder
+    filename: (view) => `src/content/books/${view.titleSlug}.md`,
+    render: (view, markdown) => `---
+title: ${quote(view.title)}
+author: ${quote(view.credit)}
+emojis: ${quote(view.emojis)}
+pubDate: ${view.date}
+${view.dateStarted ? `dateStarted: ${view.dateStarted}\n` : ''}format: ${quote(view.format)}
+description: ${quote(view.frontmatterDescription || 'TBD')}
+${view.asin ? `asin: ${quote(view.asin)}\n` : ''}${view.coverUrl ? `cover: ${quote(view.coverUrl)}\n` : ''}tags:
+${yamlList(['reading', 'books'])}
+---
+${stripFrontMatter(markdown)}`
+  },
+  {
+    id: 'json',
+    label: 'JSON record',
+    filename: (view) => `${view.titleSlug}.json`,
+    render: (view) => `${JSON.stringify(bookRecord(view), null, 2)}\n`
+  },
+  {
+    id: 'goodreads-csv',
+    label: 'Goodreads CSV',
+    filename: (view) => `goodreads-${view.titleSlug}.csv`,
+    render: (view) => {
+      const goodreadsDate = view.date.replace(/-/g, '/');
+      const row = [
+        view.title,
+        view.credit,
+        view.isbn10,
+        view.isbn13,
+        '',
+        view.publisher,
+        view.format,
+        (view.pageLength.match(/\d+/) || [''])[0],
+        view.yearPublished,
+        goodreadsDate,
+        goodreadsDate,
+        'reading',
+        'read',
+        view.notes.join('\n')
+      ];
+      return `${GOODREADS_COLUMNS.join(',')}\n${row.map(csvCell).join(',')}\n`;
+    }
+  }
+];
+
+/**
+ * Renders a book for one export target
+ * @param {string} targetId - Export target id
+ * @param {Object} bookData - Book data the markdown was generated from
+ * @param {string} markdown - Post generated from the active template
+ * @returns {{content: string, filename: string}} Rendered output and suggested file name
+ */
+export const renderExport = (targetId, bookData, markdown) => {
+  const target = EXPORT_TARGETS.find(candidate => candidate.id === targetId) || EXPORT_TARGETS[0];
+  // The post's slug may come from the template's pattern or have been edited, so it wins
+  const view = buildTemplateView({ ...bookData, slug: frontMatterSlug(markdown) || bookData.slug });
+
+  return {
+    content: target.render(view, markdown),
+    filename: target.filename(view, markdown)
+  };
+};
@@ -1,17 +1,27 @@
 // File: book-notes-app/src/utils/generateMarkdown.js
 // Path: book-notes-app/src/utils/generateMarkdown.js
-import { format as formatDate } from 'date-fns';
 import { fetchBookEmojis, getRandomBookEmojis } from '../services/bookService';
+import { formatCredit, formatContributorRoles, hasNonAuthorContributors } from './contributors';
+import { renderTemplate } from './templateEngine';
+import { DEFAULT_TEMPLATE } from './defaultTemplate';
+import { buildSlug, postDates } from './slugPolicy';
+import { toYaml } from './yaml';
+
+// Metadata uses 'Not found' for missing values; templates treat those as empty
+const present = (value) => (value && value !== 'Not found' ? value : '');
 
 /**
- * Generates markdown template for book notes with proper casing for titles and authors
+ * Builds the values a post template can use
  * @param {Object} bookData - Book data from form and/or metadata
- * @returns {string} - Generated markdown content
+ * @param {Object} [options]
+ * @param {string} [options.slugPattern] - The template's slug pattern (see slugPolicy.js)
+ * @returns {Object} - Template view
  */
-export const generateMarkdown = (bookData) => {
+export const buildTemplateView = (bookData, { slugPattern } = {}) => {
   const { 
     title, 
     author, 
+    contributors = [],
     dateStarted, 
     dateFinished, 
     placesRead, 
@@ -20,141 +30,202 @@ export const generateMarkdown = (bookData) => {
     yearPublished,
     pageLength,
     asin,
+    publicationDate,
+    publisher,
+    language,
+    isbn10,
+    isbn13,
+    coverUrl,
+    listeningLength,
+    narrator,
+    audibleReleaseDate,
     description: apiDescription, // API-sourced description
     // New fields
     frontmatterDescription, // Form-input description for frontmatter
     whyReadIt,
     notes,
+    // Sections from an imported post that this template doesn't produce
+    extraSections = [],
     // New emoji field
-    bookEmojis
+    bookEmojis,
+    // Slug picked by hand, e.g. to avoid a collision with an existing post
+    slug: chosenSlug
   } = bookData;
   
-  // Generate slug from title and current year
-  const currentYear = new Date().getFullYear();
-  const titleForSlug = title.toLowerCase().replace(/[^\w\s]/gi, '').replace(/\s+/g, '-');
-  const slug = `/posts/${currentYear}/${titleForSlug}`;
-  
-  // Format dates for display
-  const formattedDateFinished = formatDate(new Date(dateFinished), 'yyyy-MM-dd');
-  
+  // Posts are filed by the template's slug pattern, under the finish year by default
+  const slug = chosenSlug || buildSlug(title, dateFinished, { pattern: slugPattern, author });
+  const dates = postDates(dateStarted, dateFinished);
   // Use provided book emojis or random fallback
-  const emojiPrefix = bookEmojis || getRandomBookEmojis();
+  const emojis = bookEmojis || getRandomBookEmojis();
+  // Credit every author ("A and B"), falling back to the single author string
+  const credit = formatCredit(contributors) || author;
   
-  const markdown = `---
-title: "${emojiPrefix} ${title} by ${author}"
-date: "${formattedDateFinished}"
-template: "post"
-draft: false
-slug: "${slug}"
-category: "reading"
-tags:
-  - "reading"
-  - "books"
-description: "${frontmatterDescription || 'TBD'}"
----
-
-> ## Not a Book Report
-> I enjoy [reflecting](https://blog.samrhea.com/posts/2019/analyze-media-habits) on the movies, TV, books and other media that I consume. I'm notoriously sentimental. This [series](https://blog.samrhea.com/category/reading) documents the books that I read. These aren't reviews or recommendations. Just a list. For me. Mostly so that I can page through what I read, where I was, and when.
-
-## Why did I read it?
-
-${whyReadIt || '[To be filled]'}
-
-## What is it?
-
-|Category|Value|
-|---|---|
-|**Title**|*${title}*|
-|**Author**|${author}|
-|**Year Published**|${yearPublished || '[To be filled]'}|
-|**Format**|${format}|
-|**Pages**|${pageLength || '[To be filled]'}|${asin && asin !== 'Not found' ? `\n|**Amazon**|[Link](https://www.amazon.com/dp/${asin}/)` : ''}
-|**ASIN**|${asin && asin !== 'Not found' ? asin : '[To be filled]'}|
-
-### Publisher Summary
-
-${apiDescription && apiDescription !== 'Not found' ? apiDescription : '[Publisher summary to be filled]'}
+  return {
+    emojis,
+    title,
+    credit,
+    author,
+    contributors: contributors.map(contributor => ({
+      name: contributor.name,
+      roles: formatContributorRoles(contributor)
+    })),
+    showContributors: hasNonAuthorContributors(contributors),
+    slug,
+    titleSlug: slug.split('/').pop(),
+    ...dates,
+    placesRead,
+    format,
+    // Audiobooks are measured in listening time rather than pages
+    isAudiobook: /audible|audiobook/i.test(format || ''),
+    yearPublished: present(yearPublished),
+    pageLength: present(pageLength),
+    asin: present(asin),
+    publicationDate: present(publicationDate),
+    publisher: present(publisher),
+    language: present(language),
+    isbn10: present(isbn10),
+    isbn13: present(isbn13),
+    coverUrl: present(coverUrl),
+    listeningLength: present(listeningLength),
+    narrator: present(narrator),
+    audibleReleaseDate: present(audibleReleaseDate),
+    description: present(apiDescription),
+    frontmatterDescription,
+    whyReadIt,
+    notes: notes ? notes.split('\n') : [],
+    extraSections,
+    // Serialized rather than interpolated so quotes, colons and line breaks can't break the YAML
+    frontMatter: toYaml({
+      title: `${emojis} ${title} by ${credit}`,
+      date: dates.date,
+      template: 'post',
+      draft: false,
+      slug,
+      category: 'reading',
+      tags: ['reading', 'books'],
+      description: frontmatterDescription || 'TBD'
+    })
+  };
+};
 
-## How did I read it?
+// Values the built-in template puts in table cells
+const TABLE_FIELDS = [
+  'title', 'credit', 'yearPublished', 'publicationDate', 'publisher', 'format', 'listeningLength', 'narrator',
+  'audibleReleaseDate', 'pageLength', 'language', 'asin', 'isbn10', 'isbn13', 'coverUrl', 'placesRead'
+];
 
-|Category|Value|
-|---|---|
-|**Date Started**|${dateStarted ? formatDate(new Date(dateStarted), 'MMMM d, yyyy') : '[To be filled]'}|
-|**Date Finished**|${formatDate(new Date(dateFinished), 'MMMM d, yyyy')}|
-|**Places Read**|${placesRead || '[To be filled]'}|
+// A | in a value would end its table cell early
+const escapeCell = (value) => (typeof value === 'string' ? value.replace(/\|/g, '\\|') : value);
 
-## Notes - No Spoilers
+/**
+ * Generates markdown for book notes from a post template. Table cell values
+ * have | escaped as \|, which markdown renders as a plain |.
+ * @param {Object} bookData - Book data from form and/or metadata
+ * @param {string} [template] - Post template; the built-in layout when omitted
+ * @param {Object} [options]
+ * @param {string} [options.slugPattern] - The template's slug pattern
+ * @returns {string} - Generated markdown content
+ */
+export const generateMarkdown = (bookData, template = DEFAULT_TEMPLATE, { slugPattern } = {}) => {
+  const view = buildTemplateView(bookData, { slugPattern });
+  const cells = Object.fromEntries(TABLE_FIELDS.map(field => [field, escapeCell(view[field])]));
+  const contributors = view.contributors.map(contributor => ({ name: escapeCell(contributor.name), roles: escapeCell(contributor.roles) }));
 
-${notes ? notes.split('\n').map(note => `* ${note}`).join('\n') : '* [Your notes here]'}
-`;
+  return renderTemplate(template, { ...view, ...cells, contributors });
+};
 
-  return markdown;
+/**
+ * Combines form data with fetched metadata and thematic emojis into the book
+ * data every output (template, export targets) is built from
+ * @param {Object} formData - Form data
+ * @param {Object} metadata - Fetched metadata from Amazon
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the emoji request
+ * @returns {Promise<Object>} - Book data
+ */
+export const enrichBookData = async (formData, metadata, { signal } = {}) => {
+  console.log('[generateMarkdown] Enriching book data with metadata:', metadata);
+  
+  // Extract title and author from metadata if available (with fallbacks)
+  const title = (metadata.title && metadata.title !== 'Not found') 
+    ? metadata.title 
+    : formData.title;
+    
+  const author = (metadata.author && metadata.author !== 'Not found') 
+    ? metadata.author 
+    : formData.author;
+  
+  console.log('[generateMarkdown] Using title from metadata:', title);
+  console.log('[generateMarkdown] Using author from metadata:', author);
+  
+  // Get book description from metadata
+  const description = metadata.description !== 'Not found' ? metadata.description : null;
+  
+  // Fetch thematic emojis based on description
+  // Imported posts keep the emojis they were published with
+  let bookEmojis = metadata.bookEmojis || null;
+  if (bookEmojis) {
+    console.log('[generateMarkdown] Reusing existing book emojis:', bookEmojis);
+  } else if (description) {
+    console.log('[generateMarkdown] Fetching thematic emojis for book based on description');
+    bookEmojis = await fetchBookEmojis(description, title, author, { signal });
+    console.log('[generateMarkdown] Generated book emojis:', bookEmojis);
+  } else {
+    console.log('[generateMarkdown] No description available, skipping emoji fetch');
+  }
+  
+  // Clean metadata values
+  const cleanMetadata = {
+    title: title, // Explicitly use the metadata title
+    author: author, // Explicitly use the metadata author
+    contributors: Array.isArray(metadata.contributors) ? metadata.contributors : [],
+    yearPublished: metadata.yearPublished !== 'Not found' ? metadata.yearPublished : '',
+    pageLength: metadata.pageLength !== 'Not found' ? metadata.pageLength : '',
+    asin: metadata.asin !== 'Not found' ? metadata.asin : '',
+    publicationDate: metadata.publicationDate !== 'Not found' ? metadata.publicationDate : '',
+    publisher: metadata.publisher !== 'Not found' ? metadata.publisher : '',
+    language: metadata.language !== 'Not found' ? metadata.language : '',
+    isbn10: metadata.isbn10 !== 'Not found' ? metadata.isbn10 : '',
+    isbn13: metadata.isbn13 !== 'Not found' ? metadata.isbn13 : '',
+    coverUrl: metadata.coverUrl !== 'Not found' ? metadata.coverUrl : '',
+    listeningLength: metadata.listeningLength !== 'Not found' ? metadata.listeningLength : '',
+    narrator: metadata.narrator !== 'Not found' ? metadata.narrator : '',
+    audibleReleaseDate: metadata.audibleReleaseDate !== 'Not found' ? metadata.audibleReleaseDate : '',
+    description: metadata.description !== 'Not found' ? metadata.description : '',
+    // Pick the fallback now so every output of this book shares the same emojis
+    bookEmojis: bookEmojis || getRandomBookEmojis()
+  };
+  
+  // Create a new object with form data and metadata
+  // IMPORTANT: Override the title and author from the form with the values from metadata
+  const enrichedData = {
+    ...formData,
+    ...cleanMetadata,
+    // Ensure these override any values from formData
+    title: cleanMetadata.title,
+    author: cleanMetadata.author
+  };
+  
+  // Log the final data to verify title and author are correct
+  console.log('[generateMarkdown] Final enriched data for markdown:', enrichedData);
+  
+  return enrichedData;
 };
 
 /**
  * Generates markdown with fetched metadata and thematic emojis
  * @param {Object} formData - Form data
  * @param {Object} metadata - Fetched metadata from Amazon
+ * @param {string} [template] - Post template; the built-in layout when omitted
  * @returns {Promise<string>} - Generated markdown content
  */
-export const generateMarkdownWithMetadata = async (formData, metadata) => {
+export const generateMarkdownWithMetadata = async (formData, metadata, template = DEFAULT_TEMPLATE) => {
   try {
-    console.log('[generateMarkdown] Generating markdown with metadata:', metadata);
-    
-    // Extract title and author from metadata if available (with fallbacks)
-    const title = (metadata.title && metadata.title !== 'Not found') 
-      ? metadata.title 
-      : formData.title;
-      
-    const author = (metadata.author && metadata.author !== 'Not found') 
-      ? metadata.author 
-      : formData.author;
-    
-    console.log('[generateMarkdown] Using title from metadata:', title);
-    console.log('[generateMarkdown] Using author from metadata:', author);
-    
-    // Get book description from metadata
-    const description = metadata.description !== 'Not found' ? metadata.description : null;
-    
-    // Fetch thematic emojis based on description
-    let bookEmojis = null;
-    if (description) {
-      console.log('[generateMarkdown] Fetching thematic emojis for book based on description');
-      bookEmojis = await fetchBookEmojis(description, title, author);
-      console.log('[generateMarkdown] Generated book emojis:', bookEmojis);
-    } else {
-      console.log('[generateMarkdown] No description available, skipping emoji fetch');
-    }
-    
-    // Clean metadata values
-    const cleanMetadata = {
-      title: title, // Explicitly use the metadata title
-      author: author, // Explicitly use the metadata author
-      yearPublished: metadata.yearPublished !== 'Not found' ? metadata.yearPublished : '',
-      pageLength: metadata.pageLength !== 'Not found' ? metadata.pageLength : '',
-      asin: metadata.asin !== 'Not found' ? metadata.asin : '',
-      description: metadata.description !== 'Not found' ? metadata.description : '',
-      bookEmojis: bookEmojis // Add the generated emojis
-    };
-    
-    // Create a new object with form data and metadata
-    // IMPORTANT: Override the title and author from the form with the values from metadata
-    const enrichedData = {
-      ...formData,
-      ...cleanMetadata,
-      // Ensure these override any values from formData
-      title: cleanMetadata.title,
-      author: cleanMetadata.author
-    };
-    
-    // Log the final data to verify title and author are correct
-    console.log('[generateMarkdown] Final enriched data for markdown:', enrichedData);
-    
     // Use the original function with enriched data
-    return generateMarkdown(enrichedData);
+    return generateMarkdown(await enrichBookData(formData, metadata), template);
   } catch (error) {
     console.error('[generateMarkdown] Error generating markdown with metadata:', error);
     // Fall back to basic template if there's an error
-    return generateMarkdown(formData);
+    return generateMarkdown(formData, template);
   }
 };
\ No newline at end of file
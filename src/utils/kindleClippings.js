@@ -0,0 +1,161 @@
+// book-notes-app/src/utils/kindleClippings.js
+// Parses the "My Clippings.txt" file Kindles keep in their documents folder.
+// Each clipping looks like:
+//
+//   Redshirts (John Scalzi)
+//   - Your Highlight on page 12 | Location 170-172 | Added on Tuesday, March 5, 2024 10:11:12 PM
+//
+//   Text of the highlight
+//   ==========
+
+const SEPARATOR = /^==========\s*$/m;
+const META_PATTERN = /^-\s*Your (Highlight|Note|Bookmark|Clip)\b(.*)$/i;
+
+/**
+ * Splits "Title (Author)" into its parts. Only the last parenthetical is the
+ * author; titles can contain their own.
+ * @param {string} line - First line of a clipping
+ * @returns {{title: string, author: string}}
+ */
+const parseBookLine = (line) => {
+  const match = line.match(/^(.*?)\s*\(([^()]*)\)\s*$/);
+  if (!match) return { title: line.trim(), author: '' };
+
+  // Some sideloaded books write the author as "Last, First"
+  const author = match[2].includes(',') && !match[2].includes(';')
+    ? match[2].split(',').map(part => part.trim()).reverse().join(' ')
+    : match[2].trim();
+
+  return { title: match[1].trim(), author };
+};
+
+/**
+ * Parses the metadata line into type, page, location and when it was added
+ * @param {string} line - Second line of a clipping
+ * @returns {{type: string, page: string, location: string, addedOn: string}|null} Metadata, or null if the line isn't recognized
+ */
+const parseMetaLine = (line) => {
+  const match = line.match(META_PATTERN);
+  if (!match) return null;
+
+  const details = match[2];
+  const page = details.match(/\bpage\s+([\w-]+)/i);
+  const location = details.match(/\blocation\s+([\d-]+)/i);
+  const addedOn = details.match(/Added on\s+(.+)$/i);
+
+  return {
+    type: match[1].toLowerCase(),
+    page: page ? page[1] : '',
+    location: location ? location[1] : '',
+    addedOn: addedOn ? addedOn[1].trim() : ''
+  };
+};
+
+const locationRange = (location) => {
+  const [start, end] = location.split('-').map(Number);
+  return { start: start || 0, end: end || start || 0 };
+};
+
+// Extending a highlight on the Kindle adds a new clipping and keeps the old one
+const isSupersededBy = (entry, other) => {
+  if (entry === other || entry.type !== 'highlight' || other.type !== 'highlight') return false;
+  if (!other.text.includes(entry.text)) return false;
+  // Exact repeats keep the first copy
+  if (other.text === entry.text && other.index > entry.index) return false;
+
+  const a = locationRange(entry.location);
+  const b = locationRange(other.location);
+  return !entry.location || !other.location || (a.start <= b.end && b.start <= a.end);
+};
+
+/**
+ * Parses My Clippings.txt into highlights and notes grouped by book, in the
+ * order they appear. Bookmarks carry no text and are left out.
+ * @param {string} text - Contents of My Clippings.txt
+ * @returns {Array<{title: string, author: string, entries: Array<Object>}>} Books with their entries
+ */
+export const parseClippings = (text) => {
+  const books = new Map();
+
+  text.split(SEPARATOR).forEach((block, index) => {
+    const lines = block.replace(/\uFEFF/g, '').split(/\r?\n/).map(line => line.trim());
+    while (lines.length && !lines[0]) lines.shift();
+
+    const [bookLine, metaLine, ...rest] = lines;
+    const meta = metaLine ? parseMetaLine(metaLine) : null;
+    const body = rest.join(' ').replace(/\s+/g, ' ').trim();
+
+    if (!bookLine || !meta || !body || meta.type === 'bookmark') return;
+
+    const { title, author } = parseBookLine(bookLine);
+    const key = `${title}\u0000${author}`;
+    if (!books.has(key)) books.set(key, { title, author, entries: [] });
+
+    books.get(key).entries.push({ ...meta, text: body, index });
+  });
+
+  return [...books.values()].map(book => ({
+    ...book,
+    entries: book.entries
+      .filter(entry => !book.entries.some(other => isSupersededBy(entry, other)))
+      .map((entry, index) => ({ ...entry, index }))
+  }));
+};
+
+// Lowercase words without punctuation or subtitle, for fuzzy title matching
+const titleWords = (title) =>
+  title
+    .toLowerCase()
+    .replace(/\s*[:(].*$/, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w\s]/g, '')
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Finds the clippings book that best matches a title
+ * @param {Array<{title: string}>} books - Books from parseClippings
+ * @param {string} title - Title from the form or metadata
+ * @returns {Object|null} Best matching book, or null when nothing shares most of the title's words
+ */
+export const findClippingsBook = (books, title) => {
+  const wanted = titleWords(title || '');
+  if (wanted.length === 0) return null;
+
+  let best = null;
+  let bestScore = 0;
+
+  books.forEach(book => {
+    const words = titleWords(book.title);
+    const shared = wanted.filter(word => words.includes(word)).length;
+    const score = shared / Math.max(wanted.length, words.length);
+
+    if (score > bestScore) {
+      best = book;
+      bestScore = score;
+    }
+  });
+
+  return bestScore >= 0.5 ? best : null;
+};
+
+/**
+ * Formats where a clipping is from, e.g. "p. 12, loc. 170-172"
+ * @param {{page: string, location: string}} entry - Clipping
+ * @returns {string} Citation
+ */
+export const formatCitation = (entry) =>
+  [entry.page && `p. ${entry.page}`, entry.location && `loc. ${entry.location}`].filter(Boolean).join(', ');
+
+/**
+ * Formats a clipping as a one-line blockquote with its citation, ready to be
+ * a line of the form's notes (each line becomes a bullet)
+ * @param {Object} entry - Clipping
+ * @returns {string} Note line
+ */
+export const formatClippingNote = (entry) => {
+  const citation = formatCitation(entry);
+  const source = entry.type === 'note' ? ['My note', citation].filter(Boolean).join(', ') : citation;
+  return source ? `> ${entry.text} — *${source}*` : `> ${entry.text}`;
+};
@@ -0,0 +1,66 @@
+// book-notes-app/src/utils/kindleClippings.test.js
+import { describe, expect, it } from 'vitest';
+import { findClippingsBook, formatClippingNote, parseClippings } from './kindleClippings';
+
+const clipping = (book, meta, text) => `${book}\r\n- ${meta}\r\n\r\n${text}\r\n==========\r\n`;
+
+const CLIPPINGS = '﻿' +
+  clipping('Redshirts (John Scalzi)', 'Your Highlight on page 12 | Location 170-172 | Added on Tuesday, March 5, 2024 10:11:12 PM', 'Ensign Andrew Dahl') +
+  clipping('Redshirts (John Scalzi)', 'Your Highlight on page 12 | Location 170-174 | Added on Tuesday, March 5, 2024 10:11:40 PM', 'Ensign Andrew Dahl had been assigned') +
+  clipping('Redshirts (John Scalzi)', 'Your Bookmark on page 20 | Location 301 | Added on Tuesday, March 5, 2024 10:20:00 PM', '') +
+  clipping('Redshirts (John Scalzi)', 'Your Note on Location 305 | Added on Tuesday, March 5, 2024 10:21:00 PM', 'Away missions are bad news') +
+  clipping('The Hitchhiker\'s Guide to the Galaxy (Hitchhiker\'s Guide 1) (Adams, Douglas)', 'Your Highlight on page xii | Location 88-89 | Added on Monday, April 1, 2024 9:00:00 AM', 'Don\'t Panic.');
+
+describe('parseClippings', () => {
+  const books = parseClippings(CLIPPINGS);
+
+  it('groups clippings by book', () => {
+    expect(books.map(book => [book.title, book.author])).toEqual([
+      ['Redshirts', 'John Scalzi'],
+      ['The Hitchhiker\'s Guide to the Galaxy (Hitchhiker\'s Guide 1)', 'Douglas Adams']
+    ]);
+  });
+
+  it('reads page, location and when each clipping was added', () => {
+    const [highlight, note] = books[0].entries;
+    expect(highlight).toMatchObject({ type: 'highlight', page: '12', location: '170-174', addedOn: 'Tuesday, March 5, 2024 10:11:40 PM' });
+    expect(note).toMatchObject({ type: 'note', page: '', location: '305', text: 'Away missions are bad news' });
+    expect(books[1].entries[0]).toMatchObject({ page: 'xii', location: '88-89' });
+  });
+
+  it('keeps only the extended copy of a highlight and drops bookmarks', () => {
+    expect(books[0].entries.map(entry => entry.text)).toEqual([
+      'Ensign Andrew Dahl had been assigned',
+      'Away missions are bad news'
+    ]);
+    expect(books[0].entries.map(entry => entry.index)).toEqual([0, 1]);
+  });
+
+  it('skips blocks it does not recognize', () => {
+    expect(parseClippings('Just some text\n==========\n')).toEqual([]);
+  });
+});
+
+describe('findClippingsBook', () => {
+  const books = parseClippings(CLIPPINGS);
+
+  it('matches titles ignoring subtitles, case and punctuation', () => {
+    expect(findClippingsBook(books, 'Redshirts: A Novel with Three Codas')?.title).toBe('Redshirts');
+    expect(findClippingsBook(books, 'the hitchhikers guide to the galaxy')?.author).toBe('Douglas Adams');
+  });
+
+  it('returns null without a close match', () => {
+    expect(findClippingsBook(books, 'Project Hail Mary')).toBeNull();
+    expect(findClippingsBook(books, '')).toBeNull();
+  });
+});
+
+describe('formatClippingNote', () => {
+  it('cites highlights and notes', () => {
+    expect(formatClippingNote({ type: 'highlight', text: 'Don\'t Panic.', page: 'xii', location: '88-89' }))
+      .toBe('> Don\'t Panic. — *p. xii, loc. 88-89*');
+    expect(formatClippingNote({ type: 'note', text: 'Bad news', page: '', location: '305' }))
+      .toBe('> Bad news — *My note, loc. 305*');
+    expect(formatClippingNote({ type: 'highlight', text: 'Bare', page: '', location: '' })).toBe('> Bare');
+  });
+});
@@ -0,0 +1,148 @@
+// book-notes-app/src/utils/lintPost.js
+// Checks a post for problems worth fixing before it's copied or published
+import { parseMarkdown, PLACEHOLDERS } from './parseMarkdown';
+
+const PLACEHOLDER_TEXT = new RegExp(`\\[(${PLACEHOLDERS.join('|')})\\]`, 'i');
+const TEMPLATE_TAG = /\{\{[^{}]*\}\}/;
+const TABLE_SEPARATOR = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Cells split on pipes that aren't escaped as \|
+const countCells = (line) => line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).length;
+
+/**
+ * Checks one front matter value the way a YAML parser would read it
+ * @param {string} value - Text after "key:" or "-"
+ * @returns {string|null} Problem, or null when the value is fine
+ */
+const checkYamlValue = (value) => {
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+
+  if (trimmed.startsWith('"')) {
+    try {
+      JSON.parse(trimmed);
+      return null;
+    } catch {
+      return 'has a double-quoted value with an unescaped quote or stray text after it';
+    }
+  }
+  if (trimmed.startsWith("'")) {
+    return /^'([^']|'')*'$/.test(trimmed) ? null : 'has a single-quoted value that is not closed properly';
+  }
+  if (/^[[{]/.test(trimmed)) return null;
+  if (/:\s/.test(trimmed)) return 'has an unquoted value containing ": "';
+  if (/\s#/.test(trimmed)) return 'has an unquoted value containing " #", which YAML reads as a comment';
+  if (/^[&*!|>%@`]/.test(trimmed)) return `has an unquoted value starting with "${trimmed[0]}"`;
+  return null;
+};
+
+const lintFrontMatter = (lines) => {
+  if (lines[0] !== '---') {
+    return { problems: [{ rule: 'front-matter', severity: 'error', line: 1, message: 'The post has no front matter' }], end: 0 };
+  }
+
+  const end = lines.indexOf('---', 1);
+  if (end === -1) {
+    return { problems: [{ rule: 'front-matter', severity: 'error', line: 1, message: 'The front matter is never closed with ---' }], end: 0 };
+  }
+
+  const problems = [];
+  lines.slice(1, end).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const pair = line.match(/^\s*([\w-]+|"[^"]*"):(\s+.*|)$/);
+    const item = line.match(/^\s+-\s+(.*)$/);
+    const problem = pair ? checkYamlValue(pair[2]) : item ? checkYamlValue(item[1]) : 'is not a "key: value" pair or list item';
+
+    if (problem) {
+      problems.push({ rule: 'front-matter', severity: 'error', line: index + 2, message: `Front matter line ${problem}` });
+    }
+  });
+
+  return { problems, end };
+};
+
+const lintPlaceholders = (lines, start) => {
+  const problems = [];
+
+  lines.forEach((line, index) => {
+    if (index < start) return;
+
+    const placeholder = line.match(PLACEHOLDER_TEXT);
+    if (placeholder) {
+      problems.push({ rule: 'placeholder', severity: 'warning', line: index + 1, message: `Placeholder left in: ${placeholder[0]}` });
+    }
+
+    const tag = line.match(TEMPLATE_TAG);
+    if (tag) {
+      problems.push({ rule: 'placeholder', severity: 'warning', line: index + 1, message: `Unrendered template tag: ${tag[0]}` });
+    }
+  });
+
+  return problems;
+};
+
+const lintTables = (lines) => {
+  const problems = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim().startsWith('|') || !TABLE_SEPARATOR.test(lines[index + 1] || '')) return;
+
+    const expected = countCells(line);
+    for (let row = index + 2; row < lines.length && lines[row].trim().startsWith('|'); row++) {
+      const cells = countCells(lines[row]);
+      if (cells !== expected) {
+        problems.push({
+          rule: 'table-cell',
+          severity: 'error',
+          line: row + 1,
+          message: `Table row has ${cells} cells instead of ${expected}; a value probably contains | (write it as \\|)`
+        });
+      }
+    }
+  });
+
+  return problems;
+};
+
+const lintBookDetails = (markdown) => {
+  let parsed;
+  try {
+    parsed = parseMarkdown(markdown);
+  } catch {
+    // Missing front matter is already reported
+    return [];
+  }
+
+  const problems = [];
+  const { dateStarted, dateFinished } = parsed.formData;
+
+  if (dateStarted && dateFinished && dateStarted > dateFinished) {
+    problems.push({ rule: 'date-order', severity: 'error', line: null, message: `Started (${dateStarted}) after finishing (${dateFinished})` });
+  }
+  if (parsed.metadata.asin === 'Not found') {
+    problems.push({ rule: 'missing-asin', severity: 'warning', line: null, message: 'No ASIN, so the post has no Amazon link' });
+  }
+
+  return problems;
+};
+
+/**
+ * Lints a post: front matter that won't parse, leftover placeholders, a start
+ * date after the finish date, a missing ASIN and table rows broken by a | in a value
+ * @param {string} markdown - Post
+ * @returns {Array<{rule: string, severity: 'error'|'warning', line: number|null, message: string}>} Problems, errors first
+ */
+export const lintPost = (markdown) => {
+  const lines = (markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const { problems: frontMatterProblems, end } = lintFrontMatter(lines);
+
+  const problems = [
+    ...frontMatterProblems,
+    ...lintPlaceholders(lines, end + 1),
+    ...lintTables(lines),
+    ...lintBookDetails(markdown)
+  ];
+
+  return problems.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+};
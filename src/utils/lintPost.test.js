@@ -0,0 +1,71 @@
+// book-notes-app/src/utils/lintPost.test.js
+import { describe, expect, it } from 'vitest';
+import { lintPost } from './lintPost';
+
+const post = ({ frontMatter = 'title: "📚 Redshirts by John Scalzi"\ndate: "2025-01-12"', asin = 'B0064W66X8', started = 'January 2, 2025', rows = '' } = {}) => `---
+${frontMatter}
+---
+
+## What is it?
+
+|Category|Value|
+|---|---|
+|**Title**|*Redshirts*|
+|**ASIN**|${asin}|
+${rows}
+## How did I read it?
+
+|Category|Value|
+|---|---|
+|**Date Started**|${started}|
+|**Date Finished**|January 12, 2025|
+
+## Notes - No Spoilers
+
+* Funny
+`;
+
+const rules = (markdown) => lintPost(markdown).map(problem => problem.rule);
+
+describe('lintPost', () => {
+  it('passes a clean post', () => {
+    expect(lintPost(post())).toEqual([]);
+  });
+
+  it('reports missing and unclosed front matter', () => {
+    expect(lintPost('# Redshirts')[0]).toMatchObject({ rule: 'front-matter', line: 1, message: 'The post has no front matter' });
+    expect(lintPost('---\ntitle: "Redshirts"\n')[0].message).toBe('The front matter is never closed with ---');
+  });
+
+  it('reports front matter values a YAML parser would misread', () => {
+    const problems = lintPost(post({
+      frontMatter: 'title: Redshirts: A Novel\ndescription: "Said "hi""\nsummary: great # really\ntags:\n  - *starred'
+    })).filter(problem => problem.rule === 'front-matter');
+
+    expect(problems.map(problem => problem.line)).toEqual([2, 3, 4, 6]);
+    expect(problems[0].message).toBe('Front matter line has an unquoted value containing ": "');
+  });
+
+  it('warns about placeholders and unrendered template tags', () => {
+    const problems = lintPost(post({ rows: '|**Pages**|[To be filled]|\n|**Publisher**|{{publisher}}|\n' }));
+
+    expect(problems).toEqual([
+      { rule: 'placeholder', severity: 'warning', line: 12, message: 'Placeholder left in: [To be filled]' },
+      { rule: 'placeholder', severity: 'warning', line: 13, message: 'Unrendered template tag: {{publisher}}' }
+    ]);
+  });
+
+  it('reports a table row split by an unescaped |, but not an escaped one', () => {
+    expect(lintPost(post({ rows: '|**Publisher**|Tor | Forge|\n' }))).toEqual([{
+      rule: 'table-cell',
+      severity: 'error',
+      line: 12,
+      message: 'Table row has 3 cells instead of 2; a value probably contains | (write it as \\|)'
+    }]);
+    expect(lintPost(post({ rows: '|**Publisher**|Tor \\| Forge|\n' }))).toEqual([]);
+  });
+
+  it('checks the dates and ASIN, listing errors before warnings', () => {
+    expect(rules(post({ started: 'February 1, 2025', asin: '[To be filled]' }))).toEqual(['date-order', 'placeholder', 'missing-asin']);
+  });
+});
@@ -0,0 +1,127 @@
+// book-notes-app/src/utils/markdownDiff.js
+// Line diffs between generated and edited posts, and carrying manual edits
+// over when a post is regenerated
+
+/**
+ * Diffs two texts line by line (longest common subsequence)
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array<{type: 'same'|'added'|'removed', line: string}>} Diff in document order
+ */
+export const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // lengths[i][j]: common lines between a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ type: 'removed', line: a[i++] });
+    } else {
+      diff.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) diff.push({ type: 'added', line: b[j++] });
+
+  return diff;
+};
+
+/**
+ * Splits a post into front matter, intro and "## " sections. Joining the
+ * chunks' text gives back the original post.
+ * @param {string} markdown - Post
+ * @returns {Array<{key: string, text: string}>} Chunks keyed by heading
+ */
+export const splitPostSections = (markdown) => {
+  const chunks = [];
+  let rest = markdown;
+
+  const frontMatter = rest.match(/^---\n[\s\S]*?\n---\n/);
+  if (frontMatter) {
+    chunks.push({ key: 'front matter', text: frontMatter[0] });
+    rest = rest.slice(frontMatter[0].length);
+  }
+
+  let current = { key: 'intro', text: '' };
+  rest.split(/(?<=\n)/).forEach(line => {
+    const heading = line.match(/^##\s+(.*?)\s*$/);
+    if (heading) {
+      if (current.text) chunks.push(current);
+      current = { key: heading[1].toLowerCase(), text: '' };
+    }
+    current.text += line;
+  });
+  if (current.text) chunks.push(current);
+
+  return chunks;
+};
+
+/**
+ * Regenerates a post without losing manual edits. Sections the user hasn't
+ * touched since the last generation take the regenerated text; edited
+ * sections, deleted sections and sections the user added are kept as the
+ * user left them.
+ * @param {string} base - Last generated post
+ * @param {string} edited - Post as the user edited it
+ * @param {string} regenerated - Newly generated post
+ * @returns {string} Merged post
+ */
+export const mergeRegenerated = (base, edited, regenerated) => {
+  if (!base || edited === base) return regenerated;
+
+  const baseSections = new Map(splitPostSections(base).map(chunk => [chunk.key, chunk.text]));
+  const editedChunks = splitPostSections(edited);
+  const editedSections = new Map(editedChunks.map(chunk => [chunk.key, chunk.text]));
+  const regeneratedChunks = splitPostSections(regenerated);
+  const regeneratedKeys = new Set(regeneratedChunks.map(chunk => chunk.key));
+
+  // Sections only the user has, emitted after the section they followed
+  const userOnly = editedChunks.filter(chunk => !baseSections.has(chunk.key) && !regeneratedKeys.has(chunk.key));
+  const emitted = new Set();
+  const result = [];
+
+  const emitUserSectionsBefore = (key) => {
+    const position = editedChunks.findIndex(chunk => chunk.key === key);
+    userOnly.forEach(chunk => {
+      if (!emitted.has(chunk) && (position === -1 || editedChunks.indexOf(chunk) < position)) {
+        result.push(chunk.text);
+        emitted.add(chunk);
+      }
+    });
+  };
+
+  regeneratedChunks.forEach(chunk => {
+    const wasGenerated = baseSections.has(chunk.key);
+    const isEdited = editedSections.has(chunk.key);
+
+    if (isEdited) emitUserSectionsBefore(chunk.key);
+
+    if (!wasGenerated) {
+      result.push(chunk.text);
+    } else if (isEdited) {
+      const untouched = editedSections.get(chunk.key) === baseSections.get(chunk.key);
+      result.push(untouched ? chunk.text : editedSections.get(chunk.key));
+    }
+    // Generated before but no longer in the edited post: the user removed it
+  });
+
+  userOnly.forEach(chunk => {
+    if (!emitted.has(chunk)) result.push(chunk.text);
+  });
+
+  return result.join('');
+};
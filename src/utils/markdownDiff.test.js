@@ -0,0 +1,52 @@
+// book-notes-app/src/utils/markdownDiff.test.js
+import { describe, expect, it } from 'vitest';
+import { diffLines, mergeRegenerated, splitPostSections } from './markdownDiff';
+
+const post = (why, what, notes) =>
+  `---\ntitle: "Redshirts"\n---\nIntro\n## Why did I read it?\n${why}\n\n## What is it?\n${what}\n\n## Notes\n${notes}\n`;
+
+describe('diffLines', () => {
+  it('marks added and removed lines in document order', () => {
+    expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+      { type: 'same', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'same', line: 'c' },
+      { type: 'added', line: 'd' }
+    ]);
+  });
+});
+
+describe('splitPostSections', () => {
+  it('splits on front matter and ## headings without losing text', () => {
+    const markdown = post('Because', 'A novel', '* Note');
+    const chunks = splitPostSections(markdown);
+    expect(chunks.map(chunk => chunk.key)).toEqual(['front matter', 'intro', 'why did i read it?', 'what is it?', 'notes']);
+    expect(chunks.map(chunk => chunk.text).join('')).toBe(markdown);
+  });
+});
+
+describe('mergeRegenerated', () => {
+  const base = post('Because', 'A novel', '* Note');
+
+  it('returns the regenerated post when nothing was edited', () => {
+    const regenerated = post('Because', 'A novel by John Scalzi', '* Note');
+    expect(mergeRegenerated(base, base, regenerated)).toBe(regenerated);
+  });
+
+  it('keeps edited sections and takes regenerated text for untouched ones', () => {
+    const edited = post('Because a friend recommended it', 'A novel', '* Note');
+    const regenerated = post('Because', 'A novel by John Scalzi', '* Note');
+    expect(mergeRegenerated(base, edited, regenerated)).toBe(post('Because a friend recommended it', 'A novel by John Scalzi', '* Note'));
+  });
+
+  it('keeps sections the user added and leaves out ones they removed', () => {
+    const edited = base
+      .replace('## Notes\n* Note\n', '## Notes\n* Note\n## Favorite quote\n> Quote\n')
+      .replace('## What is it?\nA novel\n\n', '');
+    const regenerated = post('Because', 'A novel by John Scalzi', '* Note');
+    const merged = mergeRegenerated(base, edited, regenerated);
+
+    expect(merged).not.toContain('## What is it?');
+    expect(merged).toMatch(/## Notes\n\* Note\n## Favorite quote\n> Quote\n$/);
+  });
+});
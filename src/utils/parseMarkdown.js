@@ -0,0 +1,210 @@
+// book-notes-app/src/utils/parseMarkdown.js
+// Parses a post produced by generateMarkdown back into BookForm state
+import { format as formatDate, parse as parseDate, isValid } from 'date-fns';
+
+// Sections generateMarkdown writes itself; anything else is carried over as-is
+const KNOWN_SECTIONS = ['why did i read it?', 'what is it?', 'how did i read it?', 'notes - no spoilers'];
+
+// Placeholder text generateMarkdown uses for empty fields
+export const PLACEHOLDERS = ['To be filled', 'Publisher summary to be filled', 'Your notes here', 'Your reasons for reading this book'];
+const PLACEHOLDER_PATTERN = new RegExp(`^\\[(${PLACEHOLDERS.join('|')})\\]$`, 'i');
+
+const EMOJI_PREFIX_PATTERN = /^([\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+)\s+/u;
+
+const valueOrEmpty = (value) => {
+  const trimmed = (value || '').trim();
+  return PLACEHOLDER_PATTERN.test(trimmed) ? '' : trimmed;
+};
+
+/**
+ * Parses the simple YAML front matter generateMarkdown writes: scalar keys
+ * with optionally double-quoted values, and lists of quoted strings
+ * @param {string} yaml - Front matter without the --- fences
+ * @returns {Object} Parsed keys
+ */
+export const parseFrontMatter = (yaml) => {
+  const result = {};
+  let listKey = null;
+
+  const unquote = (value) => {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('"') && trimmed.endsWith('"')) {
+      // Front matter is written with JSON escapes (see yaml.js)
+      try {
+        return JSON.parse(trimmed);
+      } catch {
+        return trimmed.slice(1, -1).replace(/\\(["\\])/g, '$1');
+      }
+    }
+    return trimmed;
+  };
+
+  yaml.split('\n').forEach(line => {
+    const listItem = line.match(/^\s+-\s+(.*)$/);
+    if (listItem && listKey) {
+      result[listKey].push(unquote(listItem[1]));
+      return;
+    }
+
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) return;
+
+    const [, key, value] = pair;
+    if (value === '') {
+      listKey = key;
+      result[key] = [];
+    } else {
+      listKey = null;
+      result[key] = unquote(value);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Splits the body into "## " sections, keeping "### " subsections inside their parent
+ * @param {string} body - Markdown after the front matter
+ * @returns {Array<{heading: string, body: string}>} Sections in document order
+ */
+const splitSections = (body) => {
+  const sections = [];
+  let current = null;
+
+  body.split('\n').forEach(line => {
+    const heading = line.match(/^##\s+(.*)$/);
+    if (heading) {
+      current = { heading: heading[1].trim(), lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  return sections.map(section => ({ heading: section.heading, body: section.lines.join('\n').trim() }));
+};
+
+/**
+ * Reads a |**Label**|Value| table into a label → value map
+ * @param {string} text - Section body containing the table
+ * @returns {Object<string, string>} Values keyed by label
+ */
+const parseTable = (text) => {
+  const rows = {};
+
+  text.split('\n').forEach(line => {
+    // Values can contain links, so only split on the first | after the label
+    const row = line.match(/^\|\s*\*\*(.+?)\*\*\s*\|(.*?)\|?\s*$/);
+    if (row) {
+      // Generated posts escape a | inside a value as \|
+      rows[row[1].trim()] = valueOrEmpty(row[2].replace(/\\\|/g, '|'));
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Converts a displayed date ("March 4, 2025") back to YYYY-MM-DD
+ * @param {string} text - Display date
+ * @returns {string} ISO date, or an empty string if it can't be read
+ */
+const parseDisplayDate = (text) => {
+  if (!text) return '';
+  const date = parseDate(text, 'MMMM d, yyyy', new Date());
+  return isValid(date) ? formatDate(date, 'yyyy-MM-dd') : '';
+};
+
+/**
+ * Parses "A (Author), B (Translator, Editor)" back into contributors
+ * @param {string} text - Contributors row value
+ * @returns {Array<{name: string, roles: string[]}>} Contributors
+ */
+const parseContributors = (text) => {
+  if (!text) return [];
+
+  return Array.from(text.matchAll(/([^,(]+?)\s*\(([^)]*)\)/g)).map(([, name, roles]) => ({
+    name: name.trim(),
+    roles: roles.split(',').map(role => role.trim().toLowerCase()).filter(Boolean)
+  }));
+};
+
+/**
+ * Parses a post produced by generateMarkdown back into form data and metadata.
+ * Sections the generator doesn't know about are returned in formData.extraSections
+ * so regenerating keeps them.
+ * @param {string} markdown - Post markdown
+ * @param {Object} options
+ * @param {string[]} options.predefinedPlaces - Places BookForm offers as checkboxes
+ * @returns {{formData: Object, metadata: Object}} BookForm state
+ */
+export const parseMarkdown = (markdown, { predefinedPlaces = [] } = {}) => {
+  const normalized = markdown.replace(/\r\n/g, '\n');
+  const frontMatterMatch = normalized.match(/^---\n([\s\S]*?)\n---\n?/);
+  if (!frontMatterMatch) {
+    throw new Error('No front matter found. Is this a generated book post?');
+  }
+
+  const frontMatter = parseFrontMatter(frontMatterMatch[1]);
+  const sections = splitSections(normalized.slice(frontMatterMatch[0].length));
+  const sectionBody = (name) => sections.find(section => section.heading.toLowerCase() === name)?.body || '';
+
+  // "What is it?" holds the book table followed by the publisher summary
+  const whatIsIt = sectionBody('what is it?');
+  const [bookTable, summary = ''] = whatIsIt.split(/^###\s+Publisher Summary\s*$/m);
+  const book = parseTable(bookTable);
+  const reading = parseTable(sectionBody('how did i read it?'));
+
+  const emojiMatch = (frontMatter.title || '').match(EMOJI_PREFIX_PATTERN);
+  const title = (book.Title || '').replace(/^\*(.*)\*$/, '$1');
+  const coverMatch = (book.Cover || '').match(/!\[[^\]]*\]\(([^)]+)\)/);
+
+  const places = (reading['Places Read'] || '').split(',').map(place => place.trim()).filter(Boolean);
+
+  const notes = sectionBody('notes - no spoilers')
+    .split('\n')
+    .map(line => line.replace(/^\s*[*-]\s?/, '').trimEnd())
+    .filter(line => line.trim() && !PLACEHOLDER_PATTERN.test(line.trim()))
+    .join('\n');
+
+  const formData = {
+    title,
+    dateStarted: parseDisplayDate(reading['Date Started']),
+    dateFinished: frontMatter.date || parseDisplayDate(reading['Date Finished']),
+    placesRead: {
+      predefined: places.filter(place => predefinedPlaces.includes(place)),
+      custom: places.filter(place => !predefinedPlaces.includes(place)).join(', ')
+    },
+    format: book.Format || 'Kindle',
+    frontmatterDescription: frontMatter.description === 'TBD' ? '' : (frontMatter.description || ''),
+    whyReadIt: valueOrEmpty(sectionBody('why did i read it?')),
+    notes,
+    extraSections: sections.filter(section => !KNOWN_SECTIONS.includes(section.heading.toLowerCase()))
+  };
+
+  // Same shape as the metadata worker's response, so BookForm treats it as fetched
+  const field = (value) => value || 'Not found';
+  const metadata = {
+    asin: field(book.ASIN),
+    title: field(title),
+    author: field(book.Author),
+    contributors: parseContributors(book.Contributors),
+    yearPublished: field(book['Year Published']),
+    pageLength: field(book.Pages),
+    publicationDate: field(book['Publication Date']),
+    publisher: field(book.Publisher),
+    language: field(book.Language),
+    isbn10: field(book['ISBN-10']),
+    isbn13: field(book['ISBN-13']),
+    coverUrl: field(coverMatch?.[1]),
+    listeningLength: field(book.Length),
+    narrator: field(book.Narrator),
+    audibleReleaseDate: field(book['Audible Release']),
+    description: field(valueOrEmpty(summary)),
+    url: book.ASIN ? `https://www.amazon.com/dp/${book.ASIN}/` : '',
+    // Keep the post's emojis rather than asking for new ones
+    bookEmojis: emojiMatch ? emojiMatch[1] : null
+  };
+
+  return { formData, metadata };
+};
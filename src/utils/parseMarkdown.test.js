@@ -0,0 +1,119 @@
+// book-notes-app/src/utils/parseMarkdown.test.js
+import { describe, expect, it } from 'vitest';
+import { enrichBookData, generateMarkdown } from './generateMarkdown';
+import { parseMarkdown } from './parseMarkdown';
+import { lintPost } from './lintPost';
+
+describe('parseMarkdown', () => {
+  it('reads back table values containing |', () => {
+    const markdown = generateMarkdown({
+      title: 'Either | Or',
+      author: 'Elif Batuman',
+      contributors: [{ name: 'Elif | Batuman', roles: ['author'] }, { name: 'A. Reader', roles: ['narrator'] }],
+      dateFinished: '2025-01-12',
+      format: 'Hardcover',
+      publisher: 'Penguin | Press',
+      asin: '0525561420',
+      bookEmojis: '📚'
+    });
+
+    expect(markdown).toContain('|**Publisher**|Penguin \\| Press|');
+    expect(lintPost(markdown).filter(problem => problem.rule === 'table-cell')).toEqual([]);
+
+    const { formData, metadata } = parseMarkdown(markdown);
+    expect(formData.title).toBe('Either | Or');
+    expect(metadata.publisher).toBe('Penguin | Press');
+    expect(metadata.contributors[0]).toEqual({ name: 'Elif | Batuman', roles: ['author'] });
+  });
+});
+
+// Same as BookForm's checkboxes
+const PREDEFINED_PLACES = ['Lisbon', 'Sintra'];
+
+/**
+ * Imports a post the way BookEditor does and regenerates it the way BookForm
+ * does, with the default template
+ */
+const regenerate = async (markdown) => {
+  const { formData, metadata } = parseMarkdown(markdown, { predefinedPlaces: PREDEFINED_PLACES });
+  const placesRead = [...formData.placesRead.predefined, ...(formData.placesRead.custom ? [formData.placesRead.custom] : [])].join(', ');
+
+  return generateMarkdown(await enrichBookData({ ...formData, placesRead }, metadata));
+};
+
+const KINDLE_BOOK = {
+  title: 'The Three-Body Problem',
+  author: 'Cixin Liu',
+  contributors: [{ name: 'Cixin Liu', roles: ['author'] }, { name: 'Ken Liu', roles: ['translator'] }],
+  dateStarted: '2024-12-20',
+  dateFinished: '2024-12-31',
+  placesRead: 'Lisbon, Sintra, A train to Porto',
+  format: 'Kindle',
+  yearPublished: '2014',
+  pageLength: '416 pages',
+  asin: 'B00IQO403K',
+  publicationDate: 'November 11, 2014',
+  publisher: 'Tor Books',
+  language: 'English',
+  coverUrl: 'https://m.media-amazon.com/images/I/three-body.jpg',
+  description: 'Set against the backdrop of China\'s Cultural Revolution, a secret military project sends signals into space.',
+  frontmatterDescription: 'Finally: the "hard" one.',
+  whyReadIt: 'Everyone kept recommending it.',
+  notes: 'The opening chapters are brutal.\nThe VR game sections are the best part.',
+  bookEmojis: '🌌📡'
+};
+
+describe('regenerating an imported post', () => {
+  it('gives back the same Kindle post, with contributors and places', async () => {
+    const markdown = generateMarkdown(KINDLE_BOOK);
+    expect(await regenerate(markdown)).toBe(markdown);
+  });
+
+  it('gives back the same audiobook post', async () => {
+    const markdown = generateMarkdown({
+      title: 'Redshirts',
+      author: 'John Scalzi',
+      contributors: [{ name: 'John Scalzi', roles: ['author'] }, { name: 'Wil Wheaton', roles: ['narrator'] }],
+      dateStarted: '2025-03-04',
+      dateFinished: '2025-03-08',
+      placesRead: 'Lisbon',
+      format: 'Audible',
+      yearPublished: '2012',
+      asin: 'B008DDEQ9K',
+      listeningLength: '7 hours and 46 minutes',
+      narrator: 'Wil Wheaton',
+      audibleReleaseDate: 'June 5, 2012',
+      description: 'Ensign Andrew Dahl has just been assigned to the Universal Union Capital Ship Intrepid.',
+      notes: 'Wil Wheaton was the right narrator.',
+      bookEmojis: '👕🚀'
+    });
+
+    expect(markdown).toContain('|**Length**|7 hours and 46 minutes|');
+    expect(await regenerate(markdown)).toBe(markdown);
+  });
+
+  it('keeps sections the template does not write', async () => {
+    const markdown = `${generateMarkdown(KINDLE_BOOK).trimEnd()}
+
+## Favorite Quotes
+
+> "Your lack of fear is based on your ignorance."
+
+## Related Reading
+
+* [The Dark Forest](https://www.amazon.com/dp/0765386690/)
+* *Death's End*
+`;
+    const regenerated = await regenerate(markdown);
+
+    expect(regenerated).toContain('## Favorite Quotes\n\n> "Your lack of fear is based on your ignorance."');
+    expect(regenerated).toBe(markdown);
+  });
+
+  it('keeps the placeholders of a post with nothing filled in', async () => {
+    const markdown = generateMarkdown({ title: 'Redshirts', author: 'John Scalzi', dateFinished: '2025-03-08', format: 'Paperback', bookEmojis: '📚' });
+
+    expect(markdown).toContain('|**Pages**|[To be filled]|');
+    expect(await regenerate(markdown)).toBe(markdown);
+  });
+});
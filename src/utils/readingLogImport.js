@@ -0,0 +1,149 @@
+// book-notes-app/src/utils/readingLogImport.js
+// Maps Goodreads and StoryGraph library exports onto BookForm fields
+import { parseCsv } from './csv';
+import { parseBookIdentifier } from './bookIdentifier';
+import { getTodayDate } from './dateUtils';
+
+export const READING_LOG_SOURCES = {
+  goodreads: 'Goodreads',
+  storygraph: 'StoryGraph'
+};
+
+// Checked against shelves/tags first, then the edition's binding
+const FORMAT_KEYWORDS = [
+  [/audi(o|ble)/i, 'Audible'],
+  [/kindle|e-?book|digital/i, 'Kindle'],
+  [/hardcover/i, 'Hardcover'],
+  [/paperback|print/i, 'Paperback']
+];
+
+const DEFAULT_FORMAT = 'Kindle';
+
+/**
+ * Works out which service a CSV export came from
+ * @param {string[]} headers - Header row
+ * @returns {string|null} Key of READING_LOG_SOURCES, or null if neither
+ */
+const detectSource = (headers) => {
+  if (headers.includes('Exclusive Shelf') && headers.includes('Bookshelves')) return 'goodreads';
+  if (headers.includes('Read Status') && headers.includes('ISBN/UID')) return 'storygraph';
+  return null;
+};
+
+// Both services write dates as yyyy/MM/dd
+const toIsoDate = (value) => {
+  const match = (value || '').match(/(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+  return match ? `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}` : '';
+};
+
+// Goodreads wraps ISBNs as ="0765316994" so spreadsheets keep leading zeros
+const cleanIsbn = (value) => {
+  const identifier = parseBookIdentifier((value || '').replace(/[="]/g, ''));
+  return identifier?.type === 'isbn' ? identifier.value : '';
+};
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Goodreads appends the series, e.g. "Leviathan Wakes (The Expanse, #1)", which hurts store search
+const stripSeries = (title) => title.replace(/\s*\([^()]*#\d+(\.\d+)?\)\s*$/, '');
+
+// Goodreads reviews are HTML with <br/> line breaks
+const reviewToNotes = (review) =>
+  (review || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim();
+
+const matchFormat = (values) => {
+  for (const value of values) {
+    const match = FORMAT_KEYWORDS.find(([pattern]) => pattern.test(value));
+    if (match) return match[1];
+  }
+  return null;
+};
+
+/**
+ * Normalizes one export row into the fields the import needs
+ * @param {string} source - Key of READING_LOG_SOURCES
+ * @param {Object<string, string>} record - CSV record
+ * @returns {Object} Row with title, author, isbn, shelves, dates, format and review
+ */
+const normalizeRecord = (source, record) => {
+  if (source === 'goodreads') {
+    return {
+      title: stripSeries(record.Title || ''),
+      author: record.Author || '',
+      isbn: cleanIsbn(record.ISBN13) || cleanIsbn(record.ISBN),
+      shelves: splitList(record.Bookshelves),
+      isRead: record['Exclusive Shelf'] === 'read',
+      dateStarted: '',
+      dateFinished: toIsoDate(record['Date Read']) || toIsoDate(record['Date Added']),
+      binding: record.Binding || '',
+      review: reviewToNotes(record['My Review'])
+    };
+  }
+
+  // StoryGraph keeps every read as "start-finish" in Dates Read; the last one wins
+  const [lastRead = ''] = (record['Dates Read'] || '').split(',').slice(-1);
+  const [started = '', finished = ''] = lastRead.split('-');
+
+  return {
+    title: record.Title || '',
+    author: splitList(record.Authors)[0] || '',
+    isbn: cleanIsbn(record['ISBN/UID']),
+    shelves: splitList(record.Tags),
+    isRead: record['Read Status'] === 'read',
+    dateStarted: finished ? toIsoDate(started) : '',
+    dateFinished: toIsoDate(record['Last Date Read']) || toIsoDate(finished || started) || toIsoDate(record['Date Added']),
+    binding: record.Format || '',
+    review: reviewToNotes(record.Review)
+  };
+};
+
+/**
+ * Parses a Goodreads or StoryGraph CSV export into BookForm entries. Only
+ * books on the read shelf are returned; shelves/tags that name a format or
+ * one of the predefined places fill those fields.
+ * @param {string} text - CSV export
+ * @param {Object} [options]
+ * @param {string[]} [options.predefinedPlaces] - Places offered as checkboxes in the form
+ * @returns {{source: string, rows: Array<Object>, skipped: number}} Detected source, importable rows and the number of unread books left out
+ * @throws {Error} When the file isn't a Goodreads or StoryGraph export
+ */
+export const parseReadingLog = (text, { predefinedPlaces = [] } = {}) => {
+  const { headers, records } = parseCsv(text);
+  const source = detectSource(headers);
+
+  if (!source) {
+    throw new Error('Unrecognized CSV. Export your library from Goodreads or StoryGraph and upload that file.');
+  }
+
+  const books = records.map(record => normalizeRecord(source, record)).filter(book => book.title);
+  const readBooks = books.filter(book => book.isRead);
+
+  const rows = readBooks.map((book, index) => {
+    const places = book.shelves.filter(shelf =>
+      predefinedPlaces.some(place => place.toLowerCase() === shelf.toLowerCase())
+    );
+
+    return {
+      id: index,
+      title: book.title,
+      author: book.author,
+      isbn: book.isbn,
+      formData: {
+        title: book.title,
+        dateStarted: book.dateStarted,
+        dateFinished: book.dateFinished || getTodayDate(),
+        placesRead: {
+          predefined: predefinedPlaces.filter(place => places.some(shelf => shelf.toLowerCase() === place.toLowerCase())),
+          custom: ''
+        },
+        format: matchFormat(book.shelves) || matchFormat([book.binding]) || DEFAULT_FORMAT,
+        frontmatterDescription: '',
+        whyReadIt: '',
+        notes: book.review
+      }
+    };
+  });
+
+  console.log(`[readingLogImport] Parsed ${READING_LOG_SOURCES[source]} export: ${rows.length} read, ${books.length - rows.length} skipped`);
+  return { source, rows, skipped: books.length - rows.length };
+};
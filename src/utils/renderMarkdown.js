@@ -0,0 +1,130 @@
+// book-notes-app/src/utils/renderMarkdown.js
+// Renders the markdown subset our posts use (headings, paragraphs, lists,
+// blockquotes, tables, images and links) to HTML for the preview. Everything
+// is escaped first, so the output is safe to inject.
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Only plain web, mail and in-page links are followed
+const safeUrl = (url) => (/^(https?:|mailto:|\/|#)/i.test(url) ? url : '#');
+
+/**
+ * Renders inline markup: code, images, links, bold and italics
+ * @param {string} text - Markdown text of a single block
+ * @returns {string} HTML
+ */
+const renderInline = (text) => {
+  const codeSpans = [];
+
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, (_, code) => {
+      codeSpans.push(code);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    })
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (_, alt, src) => `<img src="${safeUrl(src)}" alt="${alt}">`)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) =>
+      `<a href="${safeUrl(href)}" target="_blank" rel="noreferrer">${label}</a>`)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?![*\w])/g, '$1<em>$2</em>')
+    .replace(/(^|\W)_(?!\s)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => `<code>${codeSpans[Number(index)]}</code>`);
+};
+
+const TABLE_SEPARATOR = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^\s*([*+-]|\d+\.)\s+(.*)$/;
+
+// \| is a literal pipe inside a cell
+const splitRow = (line) =>
+  line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+const startsBlock = (line, next = '') =>
+  /^#{1,6}\s/.test(line) || /^>/.test(line) || LIST_ITEM.test(line) || /^(-{3,}|\*{3,})\s*$/.test(line) ||
+  (line.trim().startsWith('|') && TABLE_SEPARATOR.test(next));
+
+/**
+ * Renders a run of block-level markdown
+ * @param {string} markdown - Markdown without front matter
+ * @returns {string} HTML
+ */
+export const renderMarkdown = (markdown) => {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2].trim())}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^(-{3,}|\*{3,})\s*$/.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('>')) {
+      const quoted = [];
+      while (i < lines.length && lines[i].startsWith('>')) {
+        quoted.push(lines[i].replace(/^>\s?/, ''));
+        i++;
+      }
+      html.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    if (line.trim().startsWith('|') && TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+      const header = splitRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim().startsWith('|')) {
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+      html.push(
+        '<table>' +
+        `<thead><tr>${header.map(cell => `<th>${renderInline(cell)}</th>`).join('')}</tr></thead>` +
+        `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`).join('')}</tbody>` +
+        '</table>'
+      );
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      const ordered = /^\d/.test(listItem[1]);
+      const items = [];
+      while (i < lines.length && LIST_ITEM.test(lines[i])) {
+        items.push(lines[i].match(LIST_ITEM)[2]);
+        i++;
+      }
+      // Items can hold their own block, e.g. a quoted highlight
+      const renderedItems = items.map(item => {
+        const inner = renderMarkdown(item);
+        return `<li>${inner.replace(/^<p>([\s\S]*)<\/p>$/, '$1')}</li>`;
+      });
+      html.push(ordered ? `<ol>${renderedItems.join('')}</ol>` : `<ul>${renderedItems.join('')}</ul>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i], lines[i + 1]))) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+  }
+
+  return html.join('\n');
+};
@@ -0,0 +1,128 @@
+// book-notes-app/src/utils/slugPolicy.js
+// How a post's slug and dates are derived. Posts are filed by a template's
+// slug pattern, under the year the book was finished by default, and form dates (YYYY-MM-DD) are read as local calendar
+// dates: new Date('2025-03-08') would be UTC midnight, which is March 7 in
+// the Americas.
+import { formatDate, formatDisplayDate, getYear } from './dateUtils';
+import { parseFrontMatter } from './parseMarkdown';
+
+// Letters NFKD doesn't decompose into a base letter plus accents
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i'
+};
+
+/**
+ * Turns a title into the last part of a slug. Accents are dropped
+ * ("Cien años" → "cien-anos"); letters from other scripts are kept.
+ * @param {string} title - Book title
+ * @returns {string} Slug segment, or "untitled" when nothing usable is left
+ */
+export const slugifyTitle = (title) => {
+  const slug = String(title || '')
+    .toLowerCase()
+    .replace(/[ßæœøłđðþı]/g, char => TRANSLITERATIONS[char])
+    // Only Latin accents are dropped; marks in other scripts (e.g. kana voicing) are part of the letter
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    // Apostrophes join words ("Ender's" → "enders") instead of splitting them
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return slug || 'untitled';
+};
+
+// Where posts are filed when a template doesn't set its own pattern
+export const DEFAULT_SLUG_PATTERN = '/posts/{year}/{title}';
+
+// Values a slug pattern can use, from the title, author and finish date (YYYY-MM-DD)
+const SLUG_TOKENS = {
+  year: ({ dateFinished }) => String(getYear(dateFinished)),
+  month: ({ dateFinished }) => (formatDate(dateFinished) || formatDate(new Date())).slice(5, 7),
+  title: ({ title }) => slugifyTitle(title),
+  author: ({ author }) => slugifyTitle(author)
+};
+
+export const SLUG_PATTERN_TOKENS = Object.keys(SLUG_TOKENS);
+
+/**
+ * Checks a slug pattern
+ * @param {string} pattern - e.g. /posts/{year}/{title}
+ * @returns {string|null} Problem, or null when the pattern is usable
+ */
+export const validateSlugPattern = (pattern) => {
+  const unknown = (pattern.match(/\{[^{}]*\}/g) || []).find(token => !SLUG_PATTERN_TOKENS.includes(token.slice(1, -1)));
+  if (unknown) return `${unknown} isn't one of ${SLUG_PATTERN_TOKENS.map(token => `{${token}}`).join(', ')}`;
+  // Without the title every book would get the same slug
+  if (!pattern.includes('{title}')) return 'the slug pattern needs {title}';
+  return null;
+};
+
+/**
+ * Builds a post's slug from its title and finish date
+ * @param {string} title - Book title
+ * @param {string} dateFinished - Finish date, YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {string} [options.pattern] - Slug pattern; DEFAULT_SLUG_PATTERN when omitted
+ * @param {string} [options.author] - Author, for patterns using {author}
+ * @returns {string} Slug, e.g. /posts/2025/redshirts
+ */
+export const buildSlug = (title, dateFinished, { pattern, author = '' } = {}) =>
+  (pattern || DEFAULT_SLUG_PATTERN).replace(/\{(\w+)\}/g, (token, name) =>
+    SLUG_TOKENS[name] ? SLUG_TOKENS[name]({ title, author, dateFinished }) : token
+  );
+
+/**
+ * Formats a post's dates for templates
+ * @param {string} dateStarted - Start date, YYYY-MM-DD (optional)
+ * @param {string} dateFinished - Finish date, YYYY-MM-DD
+ * @returns {{year: number, date: string, dateStarted: string, dateStartedDisplay: string, dateFinishedDisplay: string}}
+ */
+export const postDates = (dateStarted, dateFinished) => ({
+  year: getYear(dateFinished),
+  date: formatDate(dateFinished),
+  dateStarted: formatDate(dateStarted),
+  dateStartedDisplay: formatDisplayDate(dateStarted),
+  dateFinishedDisplay: formatDisplayDate(dateFinished)
+});
+
+/**
+ * Checks a slug against the slugs of known posts
+ * @param {string} slug - Proposed slug
+ * @param {Iterable<string>} existingSlugs - Slugs already in use
+ * @returns {{isTaken: boolean, suggestion: string|null}} Whether the slug is taken and, if so, the first free numbered alternative
+ */
+export const checkSlug = (slug, existingSlugs) => {
+  const normalize = (value) => String(value || '').replace(/\/+$/, '').toLowerCase();
+  const taken = new Set([...existingSlugs].map(normalize));
+
+  if (!taken.has(normalize(slug))) {
+    return { isTaken: false, suggestion: null };
+  }
+
+  let suffix = 2;
+  while (taken.has(normalize(`${slug}-${suffix}`))) suffix++;
+  return { isTaken: true, suggestion: `${slug}-${suffix}` };
+};
+
+/**
+ * Reads the slug from a post's YAML front matter
+ * @param {string} markdown - Post
+ * @returns {string} Slug, or an empty string if there is none
+ */
+export const frontMatterSlug = (markdown) => {
+  const frontMatter = (markdown || '').match(/^---\n([\s\S]*?)\n---/);
+  return (frontMatter && parseFrontMatter(frontMatter[1]).slug) || '';
+};
+
+/**
+ * Replaces the slug in a post's YAML front matter, leaving the body alone
+ * @param {string} markdown - Post
+ * @param {string} slug - New slug
+ * @returns {string} Post with the new slug
+ */
+export const replaceFrontMatterSlug = (markdown, slug) =>
+  markdown.replace(/^---\n[\s\S]*?\n---/, frontMatter =>
+    frontMatter.replace(/^slug:.*$/m, `slug: ${JSON.stringify(slug)}`)
+  );
@@ -0,0 +1,93 @@
+// book-notes-app/src/utils/slugPolicy.test.js
+import { describe, expect, it } from 'vitest';
+import { buildSlug, checkSlug, frontMatterSlug, postDates, replaceFrontMatterSlug, slugifyTitle, validateSlugPattern } from './slugPolicy';
+
+describe('slugifyTitle', () => {
+  it('drops accents and punctuation', () => {
+    expect(slugifyTitle('Cien años de soledad')).toBe('cien-anos-de-soledad');
+    expect(slugifyTitle("Ender's Game")).toBe('enders-game');
+    expect(slugifyTitle('Redshirts: A Novel with Three Codas')).toBe('redshirts-a-novel-with-three-codas');
+  });
+
+  it('transliterates letters NFKD leaves alone', () => {
+    expect(slugifyTitle('Straße')).toBe('strasse');
+    expect(slugifyTitle('Łódź')).toBe('lodz');
+  });
+
+  it('keeps letters from other scripts', () => {
+    expect(slugifyTitle('ノルウェイの森')).toBe('ノルウェイの森');
+  });
+
+  it('falls back to untitled', () => {
+    expect(slugifyTitle('')).toBe('untitled');
+    expect(slugifyTitle('!!!')).toBe('untitled');
+  });
+});
+
+describe('finish dates in a negative UTC offset', () => {
+  it('runs in a timezone west of UTC', () => {
+    expect(new Date(2024, 11, 31).getTimezoneOffset()).toBeGreaterThan(0);
+  });
+
+  it('files a book finished on 31 December under that year', () => {
+    expect(buildSlug('Redshirts', '2024-12-31')).toBe('/posts/2024/redshirts');
+  });
+
+  it('formats dates on the day they were entered', () => {
+    expect(postDates('2024-12-01', '2024-12-31')).toEqual({
+      year: 2024,
+      date: '2024-12-31',
+      dateStarted: '2024-12-01',
+      dateStartedDisplay: 'December 1, 2024',
+      dateFinishedDisplay: 'December 31, 2024'
+    });
+  });
+
+  it('handles 1 January', () => {
+    expect(buildSlug('Redshirts', '2025-01-01')).toBe('/posts/2025/redshirts');
+  });
+});
+
+describe('slug patterns', () => {
+  it('files posts under the finish year by default', () => {
+    expect(buildSlug('Redshirts', '2025-03-08')).toBe('/posts/2025/redshirts');
+  });
+
+  it('fills in a template pattern', () => {
+    expect(buildSlug('Redshirts', '2025-03-08', { pattern: '/books/{year}/{month}/{author}-{title}', author: 'John Scalzi' }))
+      .toBe('/books/2025/03/john-scalzi-redshirts');
+    expect(buildSlug('Redshirts', '2024-12-31', { pattern: '/reading/{title}' })).toBe('/reading/redshirts');
+  });
+
+  it('rejects unknown tokens and patterns without the title', () => {
+    expect(validateSlugPattern('/posts/{year}/{title}')).toBeNull();
+    expect(validateSlugPattern('/posts/{yaer}/{title}')).toBe("{yaer} isn't one of {year}, {month}, {title}, {author}");
+    expect(validateSlugPattern('/posts/{year}')).toBe('the slug pattern needs {title}');
+  });
+});
+
+describe('checkSlug', () => {
+  it('accepts a free slug', () => {
+    expect(checkSlug('/posts/2025/redshirts', ['/posts/2024/redshirts'])).toEqual({ isTaken: false, suggestion: null });
+  });
+
+  it('suggests the first free number, ignoring case and trailing slashes', () => {
+    const existing = ['/posts/2025/Redshirts/', '/posts/2025/redshirts-2'];
+    expect(checkSlug('/posts/2025/redshirts', existing)).toEqual({ isTaken: true, suggestion: '/posts/2025/redshirts-3' });
+  });
+});
+
+describe('front matter slugs', () => {
+  const post = '---\ntitle: "Redshirts"\nslug: "/posts/2025/redshirts"\n---\nslug: in the body\n';
+
+  it('reads the slug', () => {
+    expect(frontMatterSlug(post)).toBe('/posts/2025/redshirts');
+    expect(frontMatterSlug('No front matter')).toBe('');
+  });
+
+  it('replaces only the front matter slug', () => {
+    const updated = replaceFrontMatterSlug(post, '/posts/2025/redshirts-2');
+    expect(frontMatterSlug(updated)).toBe('/posts/2025/redshirts-2');
+    expect(updated).toContain('\nslug: in the body\n');
+  });
+});
@@ -0,0 +1,162 @@
+// book-notes-app/src/utils/templateEngine.js
+// Small mustache-style renderer for post templates.
+//
+//   {{name}}             value of name ({{a.b}} for nested values, {{.}} for the current item)
+//   {{name|fallback}}    fallback text when name is empty
+//   {{#name}}...{{/name}} optional section: skipped when name is empty, repeated for each item
+//                         when name is a list, rendered once otherwise
+//   {{^name}}...{{/name}} inverted section: rendered only when name is empty
+//
+// Inside a list, {{@index}}, {{@first}} and {{@last}} describe the current item.
+// A section tag alone on its line takes the whole line with it, so optional
+// rows can be written one per line.
+
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([^{}|]*?)\s*(?:\|([^{}]*))?\}\}/g;
+
+/**
+ * Splits a template into text and tag tokens, dropping the line around standalone section tags
+ * @param {string} template - Template source
+ * @returns {Array<Object>} Flat token list
+ */
+const tokenize = (template) => {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const [raw, type, name, fallback] = match;
+    let start = match.index;
+    let end = start + raw.length;
+
+    if (type) {
+      // Standalone: only whitespace between the tag and both line ends
+      const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+      const newline = template.indexOf('\n', end);
+      const lineEnd = newline === -1 ? template.length : newline;
+      const before = template.slice(lineStart, start);
+      const after = template.slice(end, lineEnd);
+
+      if (lineStart >= lastIndex && !before.trim() && !after.trim()) {
+        start = lineStart;
+        end = newline === -1 ? lineEnd : newline + 1;
+      }
+    }
+
+    if (start > lastIndex) {
+      tokens.push({ type: 'text', value: template.slice(lastIndex, start) });
+    }
+    tokens.push({ type: type || 'name', name, fallback });
+    lastIndex = end;
+    TAG_PATTERN.lastIndex = end;
+  }
+
+  if (lastIndex < template.length) {
+    tokens.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return tokens;
+};
+
+/**
+ * Nests section tokens under their opening tag
+ * @param {Array<Object>} tokens - Flat token list
+ * @returns {Array<Object>} Token tree
+ */
+const buildTree = (tokens) => {
+  const root = [];
+  const stack = [{ children: root }];
+
+  tokens.forEach(token => {
+    const parent = stack[stack.length - 1];
+
+    if (token.type === '#' || token.type === '^') {
+      const section = { ...token, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (token.type === '/') {
+      if (stack.length === 1 || parent.name !== token.name) {
+        throw new Error(`Unexpected {{/${token.name}}}${stack.length > 1 ? `, expected {{/${parent.name}}}` : ''}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push(token);
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+
+  return root;
+};
+
+/**
+ * Resolves a name against the context stack, innermost first
+ * @param {Array<any>} contexts - Context stack
+ * @param {string} name - Name, dot path or "."
+ * @returns {any} Value, or undefined
+ */
+const lookup = (contexts, name) => {
+  if (name === '.') return contexts[contexts.length - 1];
+
+  const [head, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && head in context) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[head]);
+    }
+  }
+  return undefined;
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === false || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const renderTree = (nodes, contexts) => nodes.map(node => {
+  if (node.type === 'text') return node.value;
+
+  const value = lookup(contexts, node.name);
+
+  if (node.type === 'name') {
+    return isEmpty(value) ? (node.fallback ?? '') : String(value);
+  }
+
+  if (node.type === '^') {
+    return isEmpty(value) ? renderTree(node.children, contexts) : '';
+  }
+
+  // Section
+  if (isEmpty(value)) return '';
+  if (Array.isArray(value)) {
+    return value.map((item, index) => {
+      const loop = { '@index': index, '@first': index === 0, '@last': index === value.length - 1 };
+      return renderTree(node.children, [...contexts, loop, item]);
+    }).join('');
+  }
+  return renderTree(node.children, typeof value === 'object' ? [...contexts, value] : contexts);
+}).join('');
+
+/**
+ * Renders a template against a view object
+ * @param {string} template - Template source
+ * @param {Object} view - Values for placeholders and sections
+ * @returns {string} Rendered text
+ * @throws {Error} When sections are unbalanced
+ */
+export const renderTemplate = (template, view) => renderTree(buildTree(tokenize(template)), [view]);
+
+/**
+ * Checks a template for unbalanced sections without rendering it
+ * @param {string} template - Template source
+ * @returns {string|null} Error message, or null when the template is valid
+ */
+export const validateTemplate = (template) => {
+  try {
+    buildTree(tokenize(template));
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
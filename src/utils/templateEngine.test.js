@@ -0,0 +1,40 @@
+// book-notes-app/src/utils/templateEngine.test.js
+import { describe, expect, it } from 'vitest';
+import { renderTemplate, validateTemplate } from './templateEngine';
+
+describe('renderTemplate', () => {
+  it('fills placeholders, nested values and fallbacks', () => {
+    expect(renderTemplate('{{title}} by {{book.author}}, {{pages|unknown}} pages', { title: 'Redshirts', book: { author: 'John Scalzi' }, pages: '' }))
+      .toBe('Redshirts by John Scalzi, unknown pages');
+  });
+
+  it('skips empty sections and renders inverted ones', () => {
+    const template = '{{#narrator}}Narrated by {{narrator}}{{/narrator}}{{^narrator}}Read in print{{/narrator}}';
+    expect(renderTemplate(template, { narrator: 'Wil Wheaton' })).toBe('Narrated by Wil Wheaton');
+    expect(renderTemplate(template, { narrator: '' })).toBe('Read in print');
+  });
+
+  it('repeats sections for lists with loop variables', () => {
+    const template = '{{#authors}}{{.}}{{^@last}}, {{/@last}}{{/authors}}';
+    expect(renderTemplate(template, { authors: ['Neil Gaiman', 'Terry Pratchett'] })).toBe('Neil Gaiman, Terry Pratchett');
+  });
+
+  it('drops the whole line around standalone section tags', () => {
+    const template = '|Title|{{title}}|\n{{#isbn}}\n|ISBN|{{isbn}}|\n{{/isbn}}\n|Pages|{{pages}}|\n';
+    expect(renderTemplate(template, { title: 'Redshirts', isbn: '', pages: 320 })).toBe('|Title|Redshirts|\n|Pages|320|\n');
+    expect(renderTemplate(template, { title: 'Redshirts', isbn: '9780765316998', pages: 320 }))
+      .toBe('|Title|Redshirts|\n|ISBN|9780765316998|\n|Pages|320|\n');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('accepts balanced sections', () => {
+    expect(validateTemplate('{{#a}}{{#b}}x{{/b}}{{/a}}')).toBeNull();
+  });
+
+  it('reports unbalanced sections', () => {
+    expect(validateTemplate('{{#a}}x')).toBe('Unclosed section {{#a}}');
+    expect(validateTemplate('{{#a}}x{{/b}}')).toBe('Unexpected {{/b}}, expected {{/a}}');
+    expect(validateTemplate('x{{/a}}')).toBe('Unexpected {{/a}}');
+  });
+});
@@ -0,0 +1,73 @@
+// book-notes-app/src/utils/yaml.js
+// YAML serializer for post front matter. Strings are always written as
+// double-quoted scalars with JSON escapes, which YAML reads back unchanged,
+// so quotes, colons, # and line breaks in titles or descriptions are safe.
+
+const PLAIN_KEY = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * Quotes a string as a double-quoted YAML scalar
+ * @param {any} value - Value to quote
+ * @returns {string} Quoted scalar
+ */
+export const yamlString = (value) => JSON.stringify(String(value ?? ''));
+
+const yamlKey = (key) => (PLAIN_KEY.test(key) ? key : yamlString(key));
+
+const yamlScalar = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  return yamlString(value);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Serializes a value under a key, recursing into lists and objects
+ * @param {string} key - Key
+ * @param {any} value - Value
+ * @param {string} indent - Current indentation
+ * @returns {string[]} Lines
+ */
+const serializeEntry = (key, value, indent) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${indent}${yamlKey(key)}: []`];
+    return [`${indent}${yamlKey(key)}:`, ...value.flatMap(item => serializeItem(item, `${indent}  `))];
+  }
+
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).filter(([, entry]) => entry !== undefined);
+    if (entries.length === 0) return [`${indent}${yamlKey(key)}: {}`];
+    return [`${indent}${yamlKey(key)}:`, ...entries.flatMap(([childKey, child]) => serializeEntry(childKey, child, `${indent}  `))];
+  }
+
+  return [`${indent}${yamlKey(key)}: ${yamlScalar(value)}`];
+};
+
+const serializeItem = (item, indent) => {
+  if (isPlainObject(item)) {
+    // First key shares the dash's line; the rest line up under it
+    const [first, ...rest] = Object.entries(item)
+      .filter(([, entry]) => entry !== undefined)
+      .flatMap(([key, value]) => serializeEntry(key, value, `${indent}  `));
+    return first ? [`${indent}- ${first.trimStart()}`, ...rest] : [`${indent}- {}`];
+  }
+
+  if (Array.isArray(item)) {
+    return [`${indent}- [${item.map(yamlScalar).join(', ')}]`];
+  }
+
+  return [`${indent}- ${yamlScalar(item)}`];
+};
+
+/**
+ * Serializes an object as a YAML mapping, skipping undefined values
+ * @param {Object} data - Keys and values in output order
+ * @returns {string} YAML without --- fences or trailing newline
+ */
+export const toYaml = (data) =>
+  Object.entries(data)
+    .filter(([, value]) => value !== undefined)
+    .flatMap(([key, value]) => serializeEntry(key, value, ''))
+    .join('\n');
@@ -0,0 +1,58 @@
+// book-notes-app/src/utils/yaml.test.js
+import { describe, expect, it } from 'vitest';
+import { toYaml, yamlString } from './yaml';
+import { parseFrontMatter } from './parseMarkdown';
+
+describe('toYaml', () => {
+  it('quotes strings with quotes, colons, # and newlines so they read back unchanged', () => {
+    const data = {
+      title: '📚🚀 Redshirts: A Novel with "Three" Codas by John Scalzi',
+      description: 'Part one: the ship # not a comment\nPart two',
+      slug: '/posts/2025/redshirts'
+    };
+    const yaml = toYaml(data);
+
+    expect(yaml).toBe([
+      'title: "📚🚀 Redshirts: A Novel with \\"Three\\" Codas by John Scalzi"',
+      'description: "Part one: the ship # not a comment\\nPart two"',
+      'slug: "/posts/2025/redshirts"'
+    ].join('\n'));
+    expect(parseFrontMatter(yaml)).toEqual(data);
+  });
+
+  it('writes booleans, numbers and null bare, and skips undefined values', () => {
+    expect(toYaml({ draft: false, weight: 3, cover: null, skipped: undefined })).toBe('draft: false\nweight: 3\ncover: null');
+  });
+
+  it('writes lists and nested objects', () => {
+    expect(toYaml({
+      tags: ['reading', 'books'],
+      empty: [],
+      contributors: [{ name: 'John Scalzi', roles: ['author'] }],
+      cover: { image: 'cover.jpg', alt: 'Cover: Redshirts' }
+    })).toBe([
+      'tags:',
+      '  - "reading"',
+      '  - "books"',
+      'empty: []',
+      'contributors:',
+      '  - name: "John Scalzi"',
+      '    roles:',
+      '      - "author"',
+      'cover:',
+      '  image: "cover.jpg"',
+      '  alt: "Cover: Redshirts"'
+    ].join('\n'));
+  });
+
+  it('quotes keys that are not plain identifiers', () => {
+    expect(toYaml({ 'book title': 'Redshirts' })).toBe('"book title": "Redshirts"');
+  });
+});
+
+describe('yamlString', () => {
+  it('escapes backslashes and control characters', () => {
+    expect(yamlString('C:\\books\tnotes')).toBe('"C:\\\\books\\tnotes"');
+    expect(yamlString(undefined)).toBe('""');
+  });
+});
@@ -0,0 +1,80 @@
+// book-notes-app/src/utils/zip.js
+// Builds uncompressed (stored) zip archives in the browser. Markdown posts
+// are small, so skipping compression keeps this free of dependencies.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, the only timestamp format zip headers carry
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const header = (size, fields) => {
+  const view = new DataView(new ArrayBuffer(size));
+  fields.forEach(([offset, bytes, value]) => {
+    if (bytes === 4) view.setUint32(offset, value, true);
+    else view.setUint16(offset, value, true);
+  });
+  return new Uint8Array(view.buffer);
+};
+
+/**
+ * Packs text files into a zip archive
+ * @param {Array<{name: string, content: string}>} files - Paths inside the archive and their contents
+ * @param {Date} [modified] - Modification time recorded for every file
+ * @returns {Blob} Zip archive
+ */
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    // Bit 11 marks the file name as UTF-8
+    const local = header(30, [
+      [0, 4, 0x04034b50], [4, 2, 20], [6, 2, 0x0800], [8, 2, 0],
+      [10, 2, time], [12, 2, date], [14, 4, crc],
+      [18, 4, data.length], [22, 4, data.length], [26, 2, name.length], [28, 2, 0]
+    ]);
+
+    const central = header(46, [
+      [0, 4, 0x02014b50], [4, 2, 20], [6, 2, 20], [8, 2, 0x0800], [10, 2, 0],
+      [12, 2, time], [14, 2, date], [16, 4, crc],
+      [20, 4, data.length], [24, 4, data.length], [28, 2, name.length],
+      [30, 2, 0], [32, 2, 0], [34, 2, 0], [36, 2, 0], [38, 4, 0], [42, 4, offset]
+    ]);
+
+    localParts.push(local, name, data);
+    centralParts.push(central, name);
+    offset += local.length + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = header(22, [
+    [0, 4, 0x06054b50], [4, 2, 0], [6, 2, 0], [8, 2, files.length], [10, 2, files.length],
+    [12, 4, centralSize], [16, 4, offset], [20, 2, 0]
+  ]);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+};
@@ -0,0 +1,73 @@
+// book-notes-app/src/utils/zip.test.js
+import { describe, expect, it } from 'vitest';
+import { createZip } from './zip';
+
+/**
+ * Reads the entries back out of a stored (uncompressed) zip using its central directory
+ */
+const readZip = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const size = view.getUint32(offset + 24, true);
+
+    expect(view.getUint32(local, true)).toBe(0x04034b50);
+    const dataStart = local + 30 + view.getUint16(local + 26, true);
+    entries.push({
+      name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+      content: decoder.decode(bytes.subarray(dataStart, dataStart + size)),
+      flags: view.getUint16(offset + 8, true),
+      crc: view.getUint32(offset + 16, true),
+      time: view.getUint16(offset + 12, true),
+      date: view.getUint16(offset + 14, true)
+    });
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('createZip', () => {
+  it('stores each file at its path with its contents', async () => {
+    const entries = await readZip(createZip([
+      { name: 'content/posts/2025/redshirts/index.md', content: '# Redshirts\n' },
+      { name: 'notes.md', content: 'Tschüss 👋' }
+    ]));
+
+    expect(entries.map(({ name, content }) => ({ name, content }))).toEqual([
+      { name: 'content/posts/2025/redshirts/index.md', content: '# Redshirts\n' },
+      { name: 'notes.md', content: 'Tschüss 👋' }
+    ]);
+  });
+
+  it('writes the CRC-32 of the contents', async () => {
+    const [entry] = await readZip(createZip([{ name: 'hello.txt', content: 'hello' }]));
+    expect(entry.crc).toBe(0x3610a686);
+  });
+
+  it('marks file names as UTF-8', async () => {
+    const [entry] = await readZip(createZip([{ name: 'Überläufer.md', content: '' }]));
+    expect(entry.name).toBe('Überläufer.md');
+    expect(entry.flags & 0x0800).toBe(0x0800);
+  });
+
+  it('records the modification time in MS-DOS format', async () => {
+    const [entry] = await readZip(createZip([{ name: 'a.md', content: 'a' }], new Date(2025, 0, 12, 14, 30, 10)));
+    expect(entry.date).toBe(((2025 - 1980) << 9) | (1 << 5) | 12);
+    expect(entry.time).toBe((14 << 11) | (30 << 5) | 5);
+  });
+
+  it('builds a valid empty archive', async () => {
+    expect(await readZip(createZip([]))).toEqual([]);
+  });
+});
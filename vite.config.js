@@ -11,5 +11,10 @@ export default defineConfig({
       JSON.stringify(process.env.VITE_CF_ACCESS_CLIENT_ID),
     'process.env.VITE_CF_ACCESS_CLIENT_SECRET': 
       JSON.stringify(process.env.VITE_CF_ACCESS_CLIENT_SECRET),
+  },
+  test: {
+    // The workers have their own package and tests
+    include: ['src/**/*.test.{js,jsx}'],
+    globalSetup: ['src/test/globalSetup.js']
   }
 });
\ No newline at end of file
@@ -1,22 +1,11 @@
 // File: emoji-generator/index.js
 // Simple Cloudflare Worker for generating book-themed emojis
+import { jsonError, withMiddleware } from '../../shared/http';
+import { CodedError, codedErrorResponse } from '../../shared/errors';
 
 export default {
-  async fetch(request, env, ctx) {
-    // Handle CORS
-    if (request.method === "OPTIONS") {
-      return new Response(null, {
-        status: 204,
-        headers: {
-          "Access-Control-Allow-Origin": "https://read.samrhea.com",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-          "Access-Control-Allow-Credentials": "true",
-          "Access-Control-Max-Age": "86400"
-        }
-      });
-    }
-    
+  // CORS and auth are handled by the shared middleware
+  fetch: withMiddleware(async (request, env) => {
     // Handle API routes
     const url = new URL(request.url);
     
@@ -38,7 +27,7 @@ export default {
         }
         
         if (!description) {
-          return jsonResponse({ error: "Missing description" }, 400);
+          return jsonError(400, "Missing description");
         }
         
         // Generate emojis using AI
@@ -46,20 +35,25 @@ export default {
         
         return jsonResponse({ emojis });
       } catch (error) {
-        return jsonResponse({ error: error.message }, 500);
+        return codedErrorResponse(error, "Failed to generate emojis");
       }
     }
     
-    // Default response
-    return jsonResponse({ 
-      message: "Book Emoji Generator API",
-      usage: "POST /generate-emojis with JSON body: {description, title, author}"
-    });
-  }
+    if (url.pathname === "/") {
+      return jsonResponse({ 
+        message: "Book Emoji Generator API",
+        usage: "POST /generate-emojis with JSON body: {description, title, author}"
+      });
+    }
+    
+    return jsonError(404, "Try POST /generate-emojis with JSON body: {description, title, author}");
+  })
 };
 
 /**
- * Generates thematic emojis for a book based on its description
+ * Generates thematic emojis for a book based on its description.
+ * Throws AI_UNAVAILABLE when Workers AI can't be reached, so the app knows the
+ * emojis it shows instead are random.
  */
 async function generateBookEmojis(env, description, title, author) {
   try {
@@ -77,6 +71,10 @@ ${bookInfo}
 
 Return exactly two emojis with no explanation or other text. Try to be more creative than just a rocket ship for books about space.`;
 
+    if (!env.AI) {
+      throw new Error("The AI binding is not configured");
+    }
+
     // Call Llama model
     const response = await env.AI.run('@cf/meta/llama-3.3-70b-instruct-fp8-fast', {
       messages: [{ role: 'user', content: prompt }],
@@ -97,22 +95,16 @@ Return exactly two emojis with no explanation or other text. Try to be more crea
     return fallbackEmojis[Math.floor(Math.random() * fallbackEmojis.length)];
   } catch (error) {
     console.error(`Error generating emojis: ${error}`);
-    return '📚📖'; // Default fallback
+    throw new CodedError('AI_UNAVAILABLE', `Workers AI failed: ${error instanceof Error ? error.message : String(error)}`);
   }
 }
 
 /**
- * Helper for JSON responses with CORS headers
+ * Helper for JSON responses; the middleware adds CORS headers
  */
 function jsonResponse(data, status = 200) {
   return new Response(JSON.stringify(data), {
     status,
-    headers: { 
-      "Content-Type": "application/json",
-      "Access-Control-Allow-Origin": "https://read.samrhea.com",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-      "Access-Control-Allow-Credentials": "true"
-    }
+    headers: { "Content-Type": "application/json" }
   });
 }
\ No newline at end of file
@@ -0,0 +1,188 @@
+// workers/lookup-gateway/src/index.ts
+// deployed to https://book-lookup.samrhea.workers.dev
+//
+// Runs a whole book lookup (search → scrape → emojis) against the other
+// workers and streams each step to the app as Server-Sent Events.
+import { AUTH_HEADERS, HttpConfig, jsonError, withMiddleware } from '../../shared/http';
+import { CodedError, ErrorCode, ERROR_CODES, codeForStatus, errorCode, errorMessage } from '../../shared/errors';
+
+interface Env extends HttpConfig {
+  BOOK_FINDER: Fetcher;
+  SCRAPER: Fetcher;
+  EMOJI_GENERATOR: Fetcher;
+}
+
+type LookupEvent = 'searching' | 'candidates' | 'scraping' | 'fields' | 'emojis' | 'done' | 'error';
+
+interface LookupParams {
+  query?: string;
+  format?: string;
+  url?: string;
+  isbn?: string;
+  store?: string;
+  refresh?: string;
+}
+
+type Send = (event: LookupEvent, data: Record<string, unknown>) => Promise<void>;
+
+/**
+ * Builds a URL for a service binding; the host is ignored, but fetch needs an absolute URL
+ */
+function serviceUrl(path: string, params: Record<string, string | undefined>): string {
+  const search = new URLSearchParams();
+  for (const [name, value] of Object.entries(params)) {
+    if (value) search.set(name, value);
+  }
+  return `https://internal${path}?${search}`;
+}
+
+/**
+ * Calls another worker and returns its JSON, throwing its error code and message on failure
+ */
+async function callJson(service: Fetcher, url: string, auth: Record<string, string>, init: RequestInit = {}): Promise<any> {
+  // The other workers check the same credentials, so pass along whatever the app sent
+  const response = await service.fetch(url, { ...init, headers: { ...auth, ...(init.headers as Record<string, string>) } });
+  const data: any = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+
+  if (!response.ok || data.error) {
+    const code: ErrorCode = data.code in ERROR_CODES ? data.code : codeForStatus(response.status);
+    throw new CodedError(code, data.message || data.error || `HTTP ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Runs the lookup, sending an event per step. A product URL or ISBN skips the
+ * search. When the search returns more than one candidate, or one from another
+ * store, the lookup stops there so the user can pick one, and is then run
+ * again with its URL.
+ */
+async function runLookup(env: Env, params: LookupParams, auth: Record<string, string>, send: Send, signal: AbortSignal): Promise<void> {
+  let productUrl = params.url;
+  let candidates: any[] = [];
+
+  if (!productUrl && !params.isbn) {
+    // Same query the app used to build: the format helps pick the right edition
+    const query = [params.query, params.format].filter(Boolean).join(' ');
+    await send('searching', { message: 'Searching for book on Amazon...', query });
+
+    const search = await callJson(env.BOOK_FINDER, serviceUrl('/search', { query, store: params.store || 'amazon', refresh: params.refresh }), auth, { signal });
+    candidates = search.candidates || [];
+    if (candidates.length === 0) {
+      throw new CodedError('NO_RESULTS', 'No book links found in search results');
+    }
+
+    await send('candidates', {
+      message: candidates.length === 1 ? 'Found the book' : `Found ${candidates.length} possible matches`,
+      candidates,
+      cache: search.cache
+    });
+
+    // The scraper only reads Amazon pages, so a lone match from another store is left for the user too
+    if (candidates.length > 1 || candidates[0].storeType !== 'amazon') {
+      await send('done', { metadata: null, candidates });
+      return;
+    }
+    productUrl = candidates[0].url;
+  }
+
+  await send('scraping', {
+    message: productUrl ? 'Fetching book metadata from Amazon...' : 'Looking up ISBN...',
+    url: productUrl || null,
+    isbn: params.isbn || null
+  });
+  const metadata = await callJson(env.SCRAPER, serviceUrl('/scrape', { url: productUrl, isbn: productUrl ? undefined : params.isbn, refresh: params.refresh }), auth, { signal });
+
+  const hasDescription = metadata.description && metadata.description !== 'Not found';
+  await send('fields', {
+    message: hasDescription ? 'Picking emojis for the book...' : 'Found book details',
+    metadata
+  });
+
+  // Emojis are decoration: the post is still generated without them
+  if (hasDescription) {
+    try {
+      const { emojis } = await callJson(env.EMOJI_GENERATOR, 'https://internal/generate-emojis', auth, {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ description: metadata.description, title: metadata.title, author: metadata.author })
+      });
+      metadata.bookEmojis = emojis;
+      await send('emojis', { message: 'Generating markdown template...', emojis });
+    } catch (error) {
+      if (signal.aborted) throw error;
+      console.error(`Emoji generation failed: ${errorMessage(error)}`);
+      await send('emojis', { message: 'Generating markdown template...', emojis: null, code: errorCode(error) });
+    }
+  }
+
+  await send('done', { metadata, candidates });
+}
+
+export default {
+  fetch: withMiddleware<Env>(async (request, env, ctx) => {
+    const url = new URL(request.url);
+
+    if (url.pathname !== "/lookup") {
+      return jsonError(404, "Try GET /lookup?query=Redshirts (or &url=, &isbn=; optionally &format=, &store=, &refresh=1)");
+    }
+
+    const params: LookupParams = Object.fromEntries(
+      ['query', 'format', 'url', 'isbn', 'store', 'refresh'].map(name => [name, url.searchParams.get(name) || undefined])
+    );
+
+    if (!params.query && !params.url && !params.isbn) {
+      return jsonError(400, "Provide a 'query', 'url' or 'isbn' to look up");
+    }
+
+    const auth: Record<string, string> = {};
+    for (const name of AUTH_HEADERS) {
+      const value = request.headers.get(name);
+      if (value) auth[name] = value;
+    }
+
+    const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+
+    // Aborted when the app goes away (the Cancel button, or leaving the page), so the
+    // lookup stops instead of searching and scraping for nobody
+    const lookup = new AbortController();
+    request.signal.addEventListener('abort', () => lookup.abort(), { once: true });
+
+    const send: Send = async (event, data) => {
+      lookup.signal.throwIfAborted();
+      console.log(`Lookup event: ${event}`);
+      try {
+        await writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      } catch (error) {
+        // A failed write means the client disconnected, even where request.signal doesn't say so
+        lookup.abort();
+        throw error;
+      }
+    };
+
+    ctx.waitUntil(
+      runLookup(env, params, auth, send, lookup.signal)
+        .catch(error => {
+          if (lookup.signal.aborted) {
+            console.log('Client disconnected, lookup stopped');
+            return;
+          }
+          console.error(`Lookup failed: ${error instanceof Error ? error.stack : String(error)}`);
+          return send('error', { code: errorCode(error), message: errorMessage(error) });
+        })
+        // Nothing left to tell a client that has gone away
+        .catch(() => {})
+        .finally(() => writer.close().catch(() => {}))
+    );
+
+    return new Response(readable, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache"
+      }
+    });
+  })
+} satisfies ExportedHandler<Env>;
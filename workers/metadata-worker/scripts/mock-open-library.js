@@ -0,0 +1,81 @@
+// workers/metadata-worker/scripts/mock-open-library.js
+// Stand-in for the two Open Library endpoints the provider calls, answering
+// from fixtures/openlibrary so the provider can be tried offline:
+//
+//   node scripts/mock-open-library.js [port]
+//
+// Then run the worker with OPEN_LIBRARY_BASE_URL=http://localhost:8789.
+// Every request is logged.
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const FIXTURES = new URL('../fixtures/openlibrary/', import.meta.url);
+
+const readFixture = (name) => JSON.parse(readFileSync(new URL(name, FIXTURES), 'utf8'));
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const normalize = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Filters the fixture docs the way /search.json does for isbn=, or title= and author=
+ */
+const search = (params) => {
+  const isbn = (params.get('isbn') || '').replace(/[^\dX]/gi, '');
+  const title = normalize(params.get('title') || '');
+  const author = normalize(params.get('author') || '');
+
+  const docs = readFixture('search.json').filter(doc => {
+    if (isbn) return doc.isbn.includes(isbn);
+    return Boolean(title) &&
+      normalize(doc.title).includes(title) &&
+      (!author || doc.author_name.some(name => normalize(name).includes(author)));
+  });
+
+  // fields= trims each doc to the listed fields, as the real API does
+  const fields = params.get('fields')?.split(',');
+  const limit = Number(params.get('limit')) || docs.length;
+  const trimmed = docs.slice(0, limit).map(doc =>
+    fields ? Object.fromEntries(Object.entries(doc).filter(([field]) => fields.includes(field))) : doc
+  );
+
+  return { numFound: docs.length, start: 0, docs: trimmed };
+};
+
+/**
+ * Creates the stand-in server; call listen() on it
+ * @returns {import('node:http').Server}
+ */
+export const createOpenLibraryServer = () => createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  console.log(req.method, url.pathname + url.search);
+
+  if (req.method !== 'GET') {
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+  if (url.pathname === '/search.json') {
+    return send(res, 200, search(url.searchParams));
+  }
+
+  const work = url.pathname.match(/^\/works\/(OL\d+W)\.json$/);
+  if (work) {
+    try {
+      return send(res, 200, readFixture(`works/${work[1]}.json`));
+    } catch {
+      return send(res, 404, { error: 'notfound', key: `/works/${work[1]}` });
+    }
+  }
+
+  send(res, 404, { error: 'notfound' });
+});
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2]) || 8789;
+  createOpenLibraryServer().listen(port, () => {
+    console.log(`Mock Open Library listening on http://localhost:${port} (fixtures in ${fileURLToPath(FIXTURES)})`);
+  });
+}
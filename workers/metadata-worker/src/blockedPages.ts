@@ -0,0 +1,79 @@
+// workers/metadata-worker/src/blockedPages.ts
+// Recognizes the pages Amazon shows instead of a product, so a blocked scrape
+// fails as BOT_CHALLENGE rather than "succeeding" with every field Not found.
+
+export type BlockKind = 'captcha' | 'sorry' | 'interstitial' | 'regional-redirect';
+
+// What the scraper reads off the loaded page
+export interface PageSignals {
+  title: string;
+  hasCaptchaForm: boolean;
+  hasSorryImage: boolean;
+  hasContinueShopping: boolean;
+  hasProduct: boolean;
+}
+
+export interface BlockedPage {
+  kind: BlockKind;
+  message: string;
+}
+
+// Each retry uses the next one, so a fresh session also looks like a different browser
+export const USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0'
+];
+
+/**
+ * Reads the signals classifyPage needs from a loaded page
+ */
+export function readPageSignals(doc: Document): PageSignals {
+  return {
+    title: doc.title,
+    hasCaptchaForm: Boolean(doc.querySelector('form[action*="validateCaptcha"], #captchacharacters')),
+    // The "Sorry! Something went wrong!" page shows one of the Dogs of Amazon
+    hasSorryImage: Boolean(doc.querySelector('img[alt*="Dogs of Amazon" i]')),
+    hasContinueShopping: /continue shopping/i.test(doc.body?.textContent || ''),
+    hasProduct: Boolean(doc.querySelector('#productTitle, #dp, #dp-container, #ASIN'))
+  };
+}
+
+const siteHost = (url: string): string => new URL(url).hostname.replace(/^www\./, '');
+
+/**
+ * Decides whether a loaded page is the product or something Amazon put in its way
+ * @returns The kind of block, or null for a product page
+ */
+export function classifyPage(requestedUrl: string, finalUrl: string, status: number | null, signals: PageSignals): BlockedPage | null {
+  if (signals.hasCaptchaForm || (!signals.hasProduct && /robot check/i.test(signals.title))) {
+    return { kind: 'captcha', message: 'Amazon asked for a captcha instead of showing the product page' };
+  }
+  if (siteHost(finalUrl) !== siteHost(requestedUrl)) {
+    return { kind: 'regional-redirect', message: `Amazon redirected the product page to ${new URL(finalUrl).hostname}` };
+  }
+  // A product page's title is the book's own, so titles only count on pages without a product
+  if (signals.hasProduct) return null;
+
+  if (signals.hasSorryImage || /something went wrong/i.test(signals.title) || status === 503) {
+    return { kind: 'sorry', message: 'Amazon served its "Sorry! Something went wrong" page' };
+  }
+  return {
+    kind: 'interstitial',
+    message: signals.hasContinueShopping
+      ? 'Amazon served a "continue shopping" interstitial instead of the product page'
+      : 'Amazon served a page without product details'
+  };
+}
+
+/**
+ * URLs that show the same product, tried in turn when one is blocked: the URL
+ * as given, then the bare /dp/ and /gp/product/ pages for its ASIN
+ */
+export function pageVariants(amazonUrl: string): string[] {
+  const asin = amazonUrl.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})(?:[/?]|$)/i)?.[1];
+  if (!asin) return [amazonUrl];
+
+  const variants = [amazonUrl, `https://www.amazon.com/dp/${asin}`, `https://www.amazon.com/gp/product/${asin}?language=en_US`];
+  return [...new Set(variants)];
+}
@@ -0,0 +1,208 @@
+// workers/metadata-worker/src/diagnostics.ts
+// Diagnostic bundles for failed scrapes: the page's HTML and a screenshot,
+// kept in the agent's SQLite storage and served from the debug endpoint.
+import { jsonError, requireAdminToken } from '../../shared/http';
+
+export const DIAGNOSTICS_PATH = "/debug/diagnostics";
+
+// Screenshots run to a few hundred KB, so only the latest bundles are kept
+const MAX_BUNDLES = 20;
+// Keeps a bundle well under SQLite's 2 MB row limit
+const MAX_HTML_CHARS = 1_000_000;
+
+// The page as it was when a scrape attempt failed
+export interface PageSnapshot {
+  url: string;
+  status: number | null;
+  title: string;
+  html: string;
+  screenshot: ArrayBuffer | null;
+}
+
+export interface ScrapeAttempt {
+  url: string;
+  userAgent: string;
+  outcome: string;
+  message: string;
+}
+
+export interface DiagnosticSummary {
+  id: string;
+  createdAt: string;
+  requestedUrl: string;
+  code: string;
+  message: string;
+  attempts: ScrapeAttempt[];
+  finalUrl: string;
+  status: number | null;
+  pageTitle: string;
+  htmlBytes: number;
+  screenshotBytes: number;
+}
+
+type DiagnosticRow = {
+  id: string;
+  created_at: number;
+  requested_url: string;
+  code: string;
+  message: string;
+  attempts: string;
+  final_url: string;
+  status: number | null;
+  page_title: string;
+  html_bytes: number;
+  screenshot_bytes: number;
+};
+
+const SUMMARY_COLUMNS = "id, created_at, requested_url, code, message, attempts, final_url, status, page_title, length(html) AS html_bytes, coalesce(length(screenshot), 0) AS screenshot_bytes";
+
+function toSummary(row: DiagnosticRow): DiagnosticSummary {
+  return {
+    id: row.id,
+    createdAt: new Date(row.created_at).toISOString(),
+    requestedUrl: row.requested_url,
+    code: row.code,
+    message: row.message,
+    attempts: JSON.parse(row.attempts),
+    finalUrl: row.final_url,
+    status: row.status,
+    pageTitle: row.page_title,
+    htmlBytes: row.html_bytes,
+    screenshotBytes: row.screenshot_bytes
+  };
+}
+
+export class DiagnosticsStore {
+  private sql: SqlStorage;
+
+  constructor(sql: SqlStorage) {
+    this.sql = sql;
+    this.sql.exec(`CREATE TABLE IF NOT EXISTS scrape_diagnostics (
+      id TEXT PRIMARY KEY,
+      created_at INTEGER NOT NULL,
+      requested_url TEXT NOT NULL,
+      code TEXT NOT NULL,
+      message TEXT NOT NULL,
+      attempts TEXT NOT NULL,
+      final_url TEXT NOT NULL,
+      status INTEGER,
+      page_title TEXT NOT NULL,
+      html TEXT NOT NULL,
+      screenshot BLOB
+    )`);
+  }
+
+  /**
+   * Stores a bundle and drops the oldest ones past MAX_BUNDLES
+   * @returns The bundle's id
+   */
+  save(requestedUrl: string, code: string, message: string, attempts: ScrapeAttempt[], snapshot: PageSnapshot): string {
+    const id = crypto.randomUUID();
+    this.sql.exec(
+      "INSERT INTO scrape_diagnostics (id, created_at, requested_url, code, message, attempts, final_url, status, page_title, html, screenshot) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      id,
+      Date.now(),
+      requestedUrl,
+      code,
+      message,
+      JSON.stringify(attempts),
+      snapshot.url,
+      snapshot.status,
+      snapshot.title,
+      snapshot.html.slice(0, MAX_HTML_CHARS),
+      snapshot.screenshot
+    );
+    this.sql.exec(
+      "DELETE FROM scrape_diagnostics WHERE id NOT IN (SELECT id FROM scrape_diagnostics ORDER BY created_at DESC LIMIT ?)",
+      MAX_BUNDLES
+    );
+    return id;
+  }
+
+  /**
+   * Lists bundles, newest first, without their HTML or screenshot
+   */
+  list(): DiagnosticSummary[] {
+    return this.sql
+      .exec<DiagnosticRow>(`SELECT ${SUMMARY_COLUMNS} FROM scrape_diagnostics ORDER BY created_at DESC`)
+      .toArray()
+      .map(toSummary);
+  }
+
+  get(id: string): DiagnosticSummary | null {
+    const [row] = this.sql.exec<DiagnosticRow>(`SELECT ${SUMMARY_COLUMNS} FROM scrape_diagnostics WHERE id = ?`, id).toArray();
+    return row ? toSummary(row) : null;
+  }
+
+  html(id: string): string | null {
+    const [row] = this.sql.exec<{ html: string }>("SELECT html FROM scrape_diagnostics WHERE id = ?", id).toArray();
+    return row ? row.html : null;
+  }
+
+  screenshot(id: string): ArrayBuffer | null {
+    const [row] = this.sql.exec<{ screenshot: ArrayBuffer | null }>("SELECT screenshot FROM scrape_diagnostics WHERE id = ?", id).toArray();
+    return row ? row.screenshot : null;
+  }
+
+  /**
+   * @returns Number of bundles deleted
+   */
+  clear(): number {
+    return this.sql.exec("DELETE FROM scrape_diagnostics").rowsWritten;
+  }
+}
+
+/**
+ * Handles the debug endpoint, behind ADMIN_TOKEN like the cache admin:
+ * GET /debug/diagnostics lists bundles, GET /debug/diagnostics/<id> shows one,
+ * /<id>/html and /<id>/screenshot return the captured page, and DELETE
+ * /debug/diagnostics clears them all.
+ */
+export function handleDiagnostics(request: Request, store: DiagnosticsStore, adminToken: string | undefined): Response {
+  const authError = requireAdminToken(request, adminToken, "diagnostics");
+  if (authError) return authError;
+
+  const [id, part] = new URL(request.url).pathname.slice(DIAGNOSTICS_PATH.length).split("/").filter(Boolean);
+
+  if (request.method === "DELETE" && !id) {
+    const deleted = store.clear();
+    console.log(`Cleared ${deleted} diagnostic bundles`);
+    return Response.json({ deleted });
+  }
+  if (request.method !== "GET") {
+    return jsonError(405, "Use GET to read diagnostics or DELETE to clear them");
+  }
+
+  if (!id) {
+    const bundles = store.list();
+    return Response.json({ count: bundles.length, bundles });
+  }
+
+  const summary = store.get(id);
+  if (!summary) {
+    return jsonError(404, `No diagnostic bundle ${id}`);
+  }
+
+  if (part === "html") {
+    // The snapshot is Amazon's page, so keep its scripts from running on this origin
+    return new Response(store.html(id), {
+      headers: { "Content-Type": "text/html; charset=utf-8", "Content-Security-Policy": "sandbox" }
+    });
+  }
+  if (part === "screenshot") {
+    const screenshot = store.screenshot(id);
+    if (!screenshot) {
+      return jsonError(404, "No screenshot was captured for this bundle");
+    }
+    return new Response(screenshot, { headers: { "Content-Type": "image/jpeg" } });
+  }
+  if (part) {
+    return jsonError(404, `Try ${DIAGNOSTICS_PATH}/${id}/html or /screenshot`);
+  }
+
+  return Response.json({
+    ...summary,
+    html: `${DIAGNOSTICS_PATH}/${id}/html`,
+    screenshot: summary.screenshotBytes > 0 ? `${DIAGNOSTICS_PATH}/${id}/screenshot` : null
+  });
+}
@@ -0,0 +1,23 @@
+// workers/metadata-worker/src/extractors.test.ts
+import { readFileSync, readdirSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { parseDocument } from '../../shared/html';
+import { extractProduct } from './extractors';
+
+const FIXTURES = new URL('../fixtures/', import.meta.url);
+
+// Each saved product page sits next to the JSON it should parse to
+const pages = readdirSync(FIXTURES).filter(name => name.endsWith('.html')).map(name => name.replace(/\.html$/, ''));
+
+describe('extractProduct', () => {
+  it('has fixtures to check', () => {
+    expect(pages.length).toBeGreaterThan(0);
+  });
+
+  it.each(pages)('parses the %s fixture', name => {
+    const expected = JSON.parse(readFileSync(new URL(`${name}.json`, FIXTURES), 'utf8'));
+    const doc = parseDocument(readFileSync(new URL(`${name}.html`, FIXTURES), 'utf8'));
+
+    expect(extractProduct(doc, expected.url)).toEqual(expected);
+  });
+});
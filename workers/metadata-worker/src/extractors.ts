@@ -0,0 +1,262 @@
+// workers/metadata-worker/src/extractors.ts
+// Reads AmazonProductData out of a product page. The extractors take any
+// Document, so the same code handles a live scrape (the page's rendered HTML)
+// and HTML posted to /parse (both parsed with shared/html's parseDocument),
+// and can be run against saved fixtures.
+import type { AmazonProductData, Contributor, ContributorRole } from './types';
+import { CONTRIBUTOR_ROLES } from './types';
+
+// Amazon pads text with bidi marks and non-breaking spaces, e.g. around label colons
+const clean = (text: string): string => text.replace(/[\u200e\u200f\u00a0]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const textOf = (element: Element | null | undefined): string => clean(element?.textContent || '');
+
+const lastYear = (text: string): string => {
+  const years = text.match(/\b\d{4}\b/g);
+  return years ? years[years.length - 1] : '';
+};
+
+/**
+ * Joins names as "A", "A and B" or "A, B and C"
+ */
+export function formatNameList(names: string[]): string {
+  if (names.length <= 1) return names[0] || '';
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Takes the ASIN from the product URL, or from the page's hidden ASIN field
+ */
+export function extractAsin(doc: ParentNode, url: string): string {
+  const fromUrl = url.match(/\/(?:dp|gp\/product)\/([^/?#]+)/);
+  if (fromUrl) return fromUrl[1];
+  return doc.querySelector('#ASIN')?.getAttribute('value') || '';
+}
+
+export function extractTitle(doc: ParentNode): string {
+  return textOf(doc.querySelector('#productTitle'));
+}
+
+/**
+ * Every contributor in the byline along with their roles
+ */
+export function extractContributors(doc: ParentNode): Contributor[] {
+  const rolesByName = new Map<string, ContributorRole[]>();
+
+  doc.querySelectorAll('#bylineInfo .author').forEach(element => {
+    const name = textOf(element.querySelector('a'));
+    if (!name) return;
+
+    // "(Author, Narrator)" or "(Translator)"; anything unusual (Foreword, Introduction) is a plain contributor
+    const contribution = textOf(element.querySelector('.contribution')).toLowerCase();
+    const roles = contribution
+      .replace(/[()]/g, '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean)
+      .map(role => (CONTRIBUTOR_ROLES.includes(role) ? role : 'contributor') as ContributorRole);
+
+    // The same person can appear once per role
+    const existing = rolesByName.get(name) || [];
+    rolesByName.set(name, [...new Set([...existing, ...(roles.length > 0 ? roles : ['author' as const])])]);
+  });
+
+  return Array.from(rolesByName, ([name, roles]) => ({ name, roles }));
+}
+
+/**
+ * Authors from the byline, or the first author link on older layouts without role annotations
+ */
+export function extractAuthor(doc: ParentNode, contributors: Contributor[]): string {
+  const authors = contributors.filter(contributor => contributor.roles.includes('author')).map(contributor => contributor.name);
+  if (authors.length > 0) return formatNameList(authors);
+  return textOf(doc.querySelector('.contributorNameID, .author a, #bylineInfo .a-link-normal'));
+}
+
+export interface ProductDetails {
+  publicationDate?: string;
+  publisher?: string;
+  language?: string;
+  isbn10?: string;
+  isbn13?: string;
+  pageLength?: string;
+  yearPublished?: string;
+}
+
+/**
+ * Product details from the detail bullets as label/value pairs, falling back
+ * to the attribute cards newer layouts use
+ */
+export function extractProductDetails(doc: ParentNode): ProductDetails {
+  const details: ProductDetails & { publisherDate?: string } = {};
+
+  const detailElements = doc.querySelectorAll('#detailBullets_feature_div li, #productDetailsTable .content li, #detailBulletsWrapper_feature_div li, #bookDetails_feature_div .a-list-item');
+
+  detailElements.forEach(element => {
+    const text = textOf(element);
+    const separator = text.indexOf(':');
+    if (separator === -1) return;
+
+    const label = text.slice(0, separator).trim().toLowerCase();
+    const value = text.slice(separator + 1).trim();
+    if (!value) return;
+
+    if (label === 'publication date') {
+      details.publicationDate = value;
+    } else if (label === 'publisher') {
+      // "Tor Books; Reprint edition (January 8, 2013)": the date in parentheses is the edition date
+      const dateMatch = value.match(/\(([^()]*\d{4})\)\s*$/);
+      details.publisher = value.replace(/\([^()]*\)\s*$/, '').split(';')[0].trim();
+      if (dateMatch) details.publisherDate = dateMatch[1].trim();
+    } else if (label === 'language') {
+      details.language = value;
+    } else if (label === 'isbn-10') {
+      details.isbn10 = value.replace(/[^0-9X]/gi, '').toUpperCase();
+    } else if (label === 'isbn-13') {
+      details.isbn13 = value.replace(/[^0-9]/g, '');
+    } else if (label === 'print length' || label === 'page length' || /\d+\s*pages/.test(value)) {
+      const match = value.match(/\d+\s*pages/);
+      if (match && !details.pageLength) {
+        details.pageLength = match[0];
+      }
+    }
+  });
+
+  const attribute = (name: string) => textOf(doc.querySelector(`#rpi-attribute-book_details-${name} .rpi-attribute-value`));
+  details.publicationDate = details.publicationDate || attribute('publication_date');
+  details.publisher = details.publisher || attribute('publisher');
+  details.language = details.language || attribute('language');
+  details.isbn10 = details.isbn10 || attribute('isbn10').replace(/[^0-9X]/gi, '');
+  details.isbn13 = details.isbn13 || attribute('isbn13').replace(/[^0-9]/g, '');
+  if (!details.pageLength) {
+    const match = (attribute('fiona_pages') || attribute('ebook_pages')).match(/\d+\s*pages/);
+    if (match) details.pageLength = match[0];
+  }
+
+  // The year comes from the publication date alone; the publisher line can mention
+  // other years (e.g. "25th Anniversary edition 2012") before its edition date
+  details.yearPublished = lastYear(details.publicationDate || details.publisherDate || '');
+  if (!details.publicationDate && details.publisherDate) {
+    details.publicationDate = details.publisherDate;
+  }
+  delete details.publisherDate;
+
+  return details;
+}
+
+export interface AudiobookDetails {
+  listeningLength?: string;
+  narrator?: string;
+  audibleReleaseDate?: string;
+}
+
+/**
+ * Listening length, narrator and release date from an audiobook page's own table
+ */
+export function extractAudiobookDetails(doc: ParentNode, contributors: Contributor[]): AudiobookDetails {
+  const details: AudiobookDetails = {};
+
+  doc.querySelectorAll('#audibleProductDetails tr, #audibleproductdetails_feature_div tr').forEach(row => {
+    const label = textOf(row.querySelector('th')).toLowerCase();
+    const value = textOf(row.querySelector('td'));
+    if (!value) return;
+
+    if (label === 'listening length') {
+      details.listeningLength = value;
+    } else if (label === 'narrator') {
+      details.narrator = value;
+    } else if (label.includes('release date')) {
+      details.audibleReleaseDate = value;
+    }
+  });
+
+  // Newer layouts use the same attribute cards as books
+  const attribute = (name: string) => textOf(doc.querySelector(`#rpi-attribute-audiobook_details-${name} .rpi-attribute-value`));
+  details.listeningLength = details.listeningLength || attribute('listening_length');
+  details.audibleReleaseDate = details.audibleReleaseDate || attribute('release_date');
+
+  // The byline lists narrators as "Name (Narrator)" when the table doesn't
+  if (!details.narrator) {
+    const narrators = contributors.filter(contributor => contributor.roles.includes('narrator')).map(contributor => contributor.name);
+    if (narrators.length > 0) {
+      details.narrator = formatNameList(narrators);
+    }
+  }
+
+  return details;
+}
+
+/**
+ * The main cover image, preferring the highest resolution available
+ */
+export function extractCoverUrl(doc: ParentNode): string {
+  const image = doc.querySelector('#landingImage, #imgBlkFront, #ebooksImgBlkFront, #main-image');
+  if (!image) return '';
+
+  const hiRes = image.getAttribute('data-old-hires');
+  if (hiRes) return hiRes;
+
+  // data-a-dynamic-image maps each image URL to its [width, height]
+  const dynamic = image.getAttribute('data-a-dynamic-image');
+  if (dynamic) {
+    try {
+      const sizes = JSON.parse(dynamic) as Record<string, [number, number]>;
+      const largest = Object.entries(sizes).sort((a, b) => b[1][0] * b[1][1] - a[1][0] * a[1][1])[0];
+      if (largest) return largest[0];
+    } catch {
+      // Fall through to the plain src attribute
+    }
+  }
+
+  return image.getAttribute('src') || '';
+}
+
+/**
+ * The full description from the book description expander, or the first
+ * description paragraph on other layouts
+ */
+export function extractDescription(doc: ParentNode): string {
+  const expander = doc.querySelector('#bookDescription_feature_div .a-expander-content');
+  if (expander) return expander.textContent?.trim() || '';
+
+  const element = doc.querySelector(
+    '#productDescription p, ' +
+    '#bookDescription_feature_div p, ' +
+    '[data-feature-name="bookDescription"] .a-expander-content'
+  );
+  return element?.textContent?.trim() || '';
+}
+
+/**
+ * Runs every extractor over a product page
+ * @param doc - The product page
+ * @param url - The product URL, used for the ASIN and returned as-is
+ */
+export function extractProduct(doc: ParentNode, url: string): AmazonProductData {
+  const contributors = extractContributors(doc);
+  const productDetails = extractProductDetails(doc);
+  const audiobookDetails = extractAudiobookDetails(doc, contributors);
+
+  // Audiobooks have no print publication date, so fall back to the Audible release
+  const yearPublished = productDetails.yearPublished || lastYear(audiobookDetails.audibleReleaseDate || '');
+
+  return {
+    asin: extractAsin(doc, url) || 'Not found',
+    title: extractTitle(doc) || 'Not found',
+    author: extractAuthor(doc, contributors) || 'Not found',
+    contributors,
+    yearPublished: yearPublished || 'Not found',
+    pageLength: productDetails.pageLength || 'Not found',
+    publicationDate: productDetails.publicationDate || 'Not found',
+    publisher: productDetails.publisher || 'Not found',
+    language: productDetails.language || 'Not found',
+    isbn10: productDetails.isbn10 || 'Not found',
+    isbn13: productDetails.isbn13 || 'Not found',
+    coverUrl: extractCoverUrl(doc) || 'Not found',
+    listeningLength: audiobookDetails.listeningLength || 'Not found',
+    narrator: audiobookDetails.narrator || 'Not found',
+    audibleReleaseDate: audiobookDetails.audibleReleaseDate || 'Not found',
+    description: extractDescription(doc) || 'Not found',
+    url
+  };
+}
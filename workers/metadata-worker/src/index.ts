@@ -2,165 +2,209 @@
 // deployed to https://amazon-product-scraper.samrhea.workers.dev
 
 import { Agent, AgentNamespace, routeAgentRequest } from 'agents-sdk';
-import puppeteer from '@cloudflare/puppeteer';
+import puppeteer, { type Page } from '@cloudflare/puppeteer';
+import type { AmazonProductData, MetadataProvider, ProviderQuery } from './types';
+import { OpenLibraryProvider } from './providers/openLibrary';
+import { runProviders, METADATA_FIELDS } from './providers/merge';
+import { ADMIN_CACHE_PATH, LookupCache, handleCacheAdmin, normalizeCacheText, parseCacheTtl } from '../../shared/lookupCache';
+import { HttpConfig, jsonError, withMiddleware } from '../../shared/http';
+import { CodedError, codedErrorResponse, errorCode, errorMessage } from '../../shared/errors';
+import { USER_AGENTS, classifyPage, pageVariants, readPageSignals } from './blockedPages';
+import { extractProduct } from './extractors';
+import { parseDocument } from '../../shared/html';
+import { handleParse } from './parse';
+import { DIAGNOSTICS_PATH, DiagnosticsStore, PageSnapshot, ScrapeAttempt, handleDiagnostics } from './diagnostics';
 
-interface Env {
+interface Env extends HttpConfig {
   AmazonScraper: AgentNamespace<Agent>;
   BROWSER: Fetcher;
-}
-
-interface AmazonProductData {
-  asin: string;
-  title: string;
-  author: string;
-  yearPublished: string;
-  pageLength: string;
-  description: string;
-  url: string;
+  OPEN_LIBRARY_BASE_URL?: string;
+  // Seconds scraped product data stays cached; defaults to a week
+  CACHE_TTL_SECONDS?: string;
+  // Bearer token for the cache admin and diagnostics endpoints, set with `wrangler secret put ADMIN_TOKEN`
+  ADMIN_TOKEN?: string;
 }
 
 // Export the Durable Object class with the expected name
 export class AmazonScraperAgent extends Agent<Env, {}> {
   // The Agent superclass will handle state management when invoked properly
   // by the Cloudflare Durable Objects system
+  private lookupCache?: LookupCache;
+  private diagnostics?: DiagnosticsStore;
+
+  // Scrapes run inside the agent so results and diagnostics can be kept in its SQLite storage
+  async fetch(request: Request): Promise<Response> {
+    const url = new URL(request.url);
+    if (url.pathname === "/scrape" || url.pathname === ADMIN_CACHE_PATH || url.pathname.startsWith(DIAGNOSTICS_PATH)) {
+      if (!this.lookupCache) {
+        this.lookupCache = new LookupCache(this.ctx.storage.sql, parseCacheTtl(this.env.CACHE_TTL_SECONDS));
+      }
+      if (!this.diagnostics) {
+        this.diagnostics = new DiagnosticsStore(this.ctx.storage.sql);
+      }
+      return new AmazonScraper(this.env, this.lookupCache, this.diagnostics).onRequest(request);
+    }
+    return super.fetch(request);
+  }
 
   // This method is called when requests come to this agent's endpoints
   async run(request: Request): Promise<Response> {
-    // Handle CORS preflight requests
-    if (request.method === "OPTIONS") {
-      return new Response(null, {
-        status: 204,
-        headers: {
-          "Access-Control-Allow-Origin": "https://read.samrhea.com",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-          "Access-Control-Allow-Credentials": "true",
-          "Access-Control-Max-Age": "86400"
-        }
-      });
-    }
-    
     // This is the method needed for the Agent class to work correctly
     // but doesn't get called directly in our custom route handler
-    return new Response('Agent running', { 
-      status: 200,
-      headers: {
-        "Access-Control-Allow-Origin": "https://read.samrhea.com",
-        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-        "Access-Control-Allow-Credentials": "true"
-      }
-    });
+    return new Response('Agent running', { status: 200 });
   }
 }
 
+/**
+ * Builds the cache key for a scrape: the ASIN when the URL has one, otherwise
+ * the ISBN, otherwise the normalized title and author
+ */
+function scrapeCacheKey(query: ProviderQuery): string {
+  const asin = query.url?.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})(?:[/?]|$)/i)?.[1];
+  if (asin) return `asin:${asin.toUpperCase()}`;
+  if (query.url) return `url:${query.url.split('?')[0]}`;
+  if (query.isbn) return `isbn:${query.isbn.toUpperCase()}`;
+  return `title:${normalizeCacheText(query.title || '')}|${normalizeCacheText(query.author || '')}`;
+}
+
+// A blocked scrape is retried with a fresh browser session, the next user
+// agent and the next page variant
+const MAX_SCRAPE_ATTEMPTS = 3;
+// All attempts share this budget, so the scraper answers before the app's
+// 60 second scrape timeout gives up on it and starts a second scrape
+const SCRAPE_DEADLINE_MS = 50_000;
+// Another attempt isn't started with less time than this left
+const MIN_ATTEMPT_MS = 15_000;
+
+// Fields a usable post needs; a lookup missing any of them is flagged PARSE_PARTIAL
+const CORE_FIELDS = ['title', 'author', 'coverUrl'] as const;
+
 // Separate scraper class for the actual functionality
 class AmazonScraper {
   env: Env;
+  cache: LookupCache;
+  diagnostics: DiagnosticsStore;
   
-  constructor(env: Env) {
+  constructor(env: Env, cache: LookupCache, diagnostics: DiagnosticsStore) {
     this.env = env;
+    this.cache = cache;
+    this.diagnostics = diagnostics;
   }
 
+  // CORS and auth are handled by the worker's middleware before requests get here
   async onRequest(request: Request): Promise<Response> {
     try {
-      // Handle CORS preflight requests
-      if (request.method === "OPTIONS") {
-        return new Response(null, {
-          status: 204,
-          headers: {
-            "Access-Control-Allow-Origin": "https://read.samrhea.com",
-            "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-            "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-            "Access-Control-Allow-Credentials": "true",
-            "Access-Control-Max-Age": "86400"
-          }
-        });
+      const url = new URL(request.url);
+      
+      if (url.pathname === ADMIN_CACHE_PATH) {
+        return handleCacheAdmin(request, this.cache, this.env.ADMIN_TOKEN);
       }
       
-      const url = new URL(request.url);
+      if (url.pathname.startsWith(DIAGNOSTICS_PATH)) {
+        return handleDiagnostics(request, this.diagnostics, this.env.ADMIN_TOKEN);
+      }
       
       // Check if this is an API request to scrape an Amazon product
       if (url.pathname === "/scrape") {
         const params = new URLSearchParams(url.search);
         const amazonUrl = params.get("url");
+        const query: ProviderQuery = {
+          url: amazonUrl || undefined,
+          isbn: params.get("isbn")?.replace(/[\s-]/g, '') || undefined,
+          title: params.get("title") || undefined,
+          author: params.get("author") || undefined
+        };
         
-        if (!amazonUrl) {
+        if (!query.url && !query.isbn && !query.title) {
           return new Response(JSON.stringify({
-            error: "Missing 'url' parameter. Please provide an Amazon product URL."
+            error: "Missing 'url' parameter. Please provide an Amazon product URL, or an 'isbn' or 'title' to look up."
           }), {
             status: 400,
-            headers: { 
-              "Content-Type": "application/json",
-              "Access-Control-Allow-Origin": "https://read.samrhea.com",
-              "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-              "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-              "Access-Control-Allow-Credentials": "true"
-            }
+            headers: { "Content-Type": "application/json" }
           });
         }
 
         // Validate that it's an Amazon URL
-        if (!amazonUrl.includes("amazon.com")) {
+        if (amazonUrl && !amazonUrl.includes("amazon.com")) {
           return new Response(JSON.stringify({
             error: "URL must be from amazon.com domain"
           }), {
             status: 400,
-            headers: { 
-              "Content-Type": "application/json",
-              "Access-Control-Allow-Origin": "https://read.samrhea.com",
-              "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-              "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-              "Access-Control-Allow-Credentials": "true"
-            }
+            headers: { "Content-Type": "application/json" }
           });
         }
 
         // Check if the BROWSER binding exists
-        if (!this.env.BROWSER) {
+        if (amazonUrl && !this.env.BROWSER) {
           return new Response(JSON.stringify({
             error: "Configuration error",
             message: "The BROWSER binding is not configured correctly"
           }), {
             status: 500,
-            headers: { 
-              "Content-Type": "application/json",
-              "Access-Control-Allow-Origin": "https://read.samrhea.com",
-              "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-              "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-              "Access-Control-Allow-Credentials": "true"
-            }
+            headers: { "Content-Type": "application/json" }
+          });
+        }
+
+        // refresh=1 skips the cached result and replaces it with a fresh scrape
+        const cacheKey = scrapeCacheKey(query);
+        const cached = params.get("refresh") === "1" ? null : this.cache.get<Record<string, unknown>>(cacheKey);
+        if (cached) {
+          console.log(`Cache hit for ${cacheKey}`);
+          return new Response(JSON.stringify({ ...cached.value, cache: cached.info }), {
+            headers: { "Content-Type": "application/json" }
           });
         }
 
-        // Scrape the product data
+        // Look the product up with every provider and merge the results
         try {
-          const productData = await this.scrapeAmazonProduct(amazonUrl);
+          const merged = await runProviders(this.providers(), query);
+          
+          if (merged.providers.every(report => report.status === 'error')) {
+            // Amazon's failure is the one the user can act on (captcha, timeout), so its code wins
+            const failure = merged.providers.find(report => report.name === 'amazon') || merged.providers[0];
+            throw new CodedError(
+              failure.code || 'INTERNAL',
+              merged.providers.map(report => `${report.name}: ${report.error}`).join('; '),
+              failure.details
+            );
+          }
+          
+          if (merged.providers.every(report => report.status !== 'ok')) {
+            throw new CodedError('NO_RESULTS', 'No metadata found for this book');
+          }
+          
+          const productData = {
+            ...Object.fromEntries(METADATA_FIELDS.map(field => [field, merged.fields[field] || 'Not found'])),
+            contributors: merged.fields.contributors || [],
+            url: amazonUrl || ''
+          } as AmazonProductData;
+          
+          // Partial results are still returned so the form can be filled in by hand
+          const missing = CORE_FIELDS.filter(field => productData[field] === 'Not found');
+          const warnings = missing.length > 0
+            ? [{ code: 'PARSE_PARTIAL', message: `Couldn't find: ${missing.join(', ')}`, fields: missing }]
+            : [];
+          
+          const result = {
+            ...productData,
+            sources: merged.sources,
+            providers: merged.providers,
+            warnings
+          };
           
-          return new Response(JSON.stringify(productData), {
-            headers: { 
-              "Content-Type": "application/json",
-              "Access-Control-Allow-Origin": "https://read.samrhea.com",
-              "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-              "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-              "Access-Control-Allow-Credentials": "true"
-            }
+          // A result missing a provider or a core field would stay incomplete for the whole TTL,
+          // so only complete ones are kept and the next scrape gets another try
+          const cacheInfo = warnings.length > 0 || merged.providers.some(report => report.status === 'error')
+            ? { hit: false, key: cacheKey, cachedAt: null, expiresAt: null }
+            : this.cache.set(cacheKey, result);
+          
+          return new Response(JSON.stringify({ ...result, cache: cacheInfo }), {
+            headers: { "Content-Type": "application/json" }
           });
         } catch (error) {
           console.error(`Error scraping Amazon product: ${error}`);
-          return new Response(JSON.stringify({
-            error: "Failed to scrape Amazon product data",
-            message: error instanceof Error ? error.message : String(error),
+          return codedErrorResponse(error, "Failed to scrape Amazon product data", {
             stack: error instanceof Error ? error.stack : "No stack trace available"
-          }), {
-            status: 500,
-            headers: { 
-              "Content-Type": "application/json",
-              "Access-Control-Allow-Origin": "https://read.samrhea.com",
-              "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-              "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-              "Access-Control-Allow-Credentials": "true"
-            }
           });
         }
       }
@@ -168,15 +212,9 @@ class AmazonScraper {
       // Default response for root path
       return new Response(JSON.stringify({
         message: "Amazon Product Scraper API",
-        usage: "GET /scrape?url=https://www.amazon.com/your-product-url"
+        usage: "GET /scrape?url=https://www.amazon.com/your-product-url (optionally &isbn=, &title=, &author=), or POST a product page's HTML to /parse"
       }), {
-        headers: { 
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "https://read.samrhea.com",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-          "Access-Control-Allow-Credentials": "true"
-        }
+        headers: { "Content-Type": "application/json" }
       });
     } catch (error) {
       console.error(`Unexpected error in onRequest: ${error}`);
@@ -186,143 +224,157 @@ class AmazonScraper {
         stack: error instanceof Error ? error.stack : "No stack trace available"
       }), {
         status: 500,
-        headers: { 
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "https://read.samrhea.com",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-          "Access-Control-Allow-Credentials": "true"
-        }
+        headers: { "Content-Type": "application/json" }
       });
     }
   }
 
+  // Providers in default precedence order; see FIELD_PRECEDENCE for per-field overrides
+  providers(): MetadataProvider[] {
+    const amazon: MetadataProvider = {
+      name: 'amazon',
+      lookup: async (query) => {
+        if (!query.url) return {};
+        const productData = await this.scrapeAmazonProduct(query.url);
+        return Object.fromEntries(METADATA_FIELDS.map(field => [field, productData[field]]));
+      }
+    };
+    
+    return [amazon, new OpenLibraryProvider(this.env.OPEN_LIBRARY_BASE_URL)];
+  }
+
+  /**
+   * Scrapes a product page, retrying blocked attempts. When every attempt
+   * fails, the last page is saved as a diagnostic bundle and the error links to it.
+   */
   async scrapeAmazonProduct(amazonUrl: string): Promise<AmazonProductData> {
     console.log(`Starting to scrape Amazon product: ${amazonUrl}`);
     
+    const variants = pageVariants(amazonUrl);
+    const deadline = Date.now() + SCRAPE_DEADLINE_MS;
+    const attempts: ScrapeAttempt[] = [];
+    let snapshot: PageSnapshot | null = null;
+    let lastError: unknown;
+    
+    for (let attempt = 0; attempt < MAX_SCRAPE_ATTEMPTS; attempt++) {
+      const pageUrl = variants[attempt % variants.length];
+      const userAgent = USER_AGENTS[attempt % USER_AGENTS.length];
+      
+      try {
+        return await this.scrapeProductPage(amazonUrl, pageUrl, userAgent, deadline, captured => { snapshot = captured; });
+      } catch (error) {
+        lastError = error;
+        const blockedBy = error instanceof CodedError ? error.details.blockedBy : undefined;
+        attempts.push({ url: pageUrl, userAgent, outcome: typeof blockedBy === 'string' ? blockedBy : errorCode(error), message: errorMessage(error) });
+        
+        // Only a block is worth another session; timeouts and broken pages are retried by the caller
+        if (errorCode(error) !== 'BOT_CHALLENGE') break;
+        
+        const backoff = 1000 * (attempt + 1);
+        if (attempt + 1 < MAX_SCRAPE_ATTEMPTS && deadline - Date.now() - backoff < MIN_ATTEMPT_MS) {
+          console.warn(`Attempt ${attempt + 1} was blocked (${blockedBy}), not enough time left to retry`);
+          break;
+        }
+        console.warn(`Attempt ${attempt + 1} was blocked (${blockedBy}), retrying with a fresh session`);
+        await new Promise(resolve => setTimeout(resolve, backoff));
+      }
+    }
+    
+    const code = errorCode(lastError);
+    const message = attempts.length > 1
+      ? `${errorMessage(lastError)} (after ${attempts.length} attempts)`
+      : errorMessage(lastError);
+    const details: Record<string, unknown> = { attempts };
+    
+    if (snapshot) {
+      try {
+        const id = this.diagnostics.save(amazonUrl, code, message, attempts, snapshot);
+        details.diagnostics = `${DIAGNOSTICS_PATH}/${id}`;
+        console.log(`Saved diagnostics to ${details.diagnostics}`);
+      } catch (saveError) {
+        console.error(`Error saving diagnostics: ${saveError}`);
+      }
+    }
+    
+    throw new CodedError(code, message, details);
+  }
+
+  /**
+   * Reads the page's HTML and a screenshot for a diagnostic bundle
+   */
+  private async takeSnapshot(page: Page, status: number | null): Promise<PageSnapshot> {
+    const screenshot = await page.screenshot({ type: 'jpeg', quality: 60 }).catch(() => null);
+    return {
+      url: page.url(),
+      status,
+      title: await page.title(),
+      html: await page.content(),
+      screenshot: screenshot ? new Uint8Array(screenshot).slice().buffer : null
+    };
+  }
+
+  private async scrapeProductPage(
+    amazonUrl: string,
+    pageUrl: string,
+    userAgent: string,
+    deadline: number,
+    capture: (snapshot: PageSnapshot) => void
+  ): Promise<AmazonProductData> {
+    // Each wait is cut short when the scrape's overall deadline comes first
+    const timeLeft = (limit: number) => Math.max(Math.min(limit, deadline - Date.now()), 1000);
     let browser;
+    let page: Page | undefined;
+    let status: number | null = null;
     try {
-      // Launch browser with error handling
+      // Launch browser with error handling; every attempt gets a fresh session
       browser = await puppeteer.launch(this.env.BROWSER);
       console.log("Browser launched successfully");
       
-      const page = await browser.newPage();
+      page = await browser.newPage();
       console.log("New page created");
       
       // Set user agent to avoid being blocked by Amazon
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+      await page.setUserAgent(userAgent);
+      await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
       console.log("User agent set");
       
       // Navigate to Amazon product page with a timeout
-      await page.goto(amazonUrl, { 
+      const response = await page.goto(pageUrl, { 
         waitUntil: 'domcontentloaded',
-        timeout: 30000 // 30 second timeout
+        timeout: timeLeft(30000)
       });
-      console.log("Page navigation completed");
+      status = response ? response.status() : null;
+      console.log(`Page navigation completed: ${pageUrl} (${status})`);
       
       // Wait for content to load
-      await page.waitForSelector('body', { timeout: 10000 });
-      console.log('Page loaded successfully, extracting data...');
+      await page.waitForSelector('body', { timeout: timeLeft(10000) });
       
-      // Extract ASIN from URL or page
-      let asin = '';
-      if (amazonUrl.includes('/dp/')) {
-        asin = amazonUrl.split('/dp/')[1].split('/')[0];
-      } else if (amazonUrl.includes('/gp/product/')) {
-        asin = amazonUrl.split('/gp/product/')[1].split('/')[0];
-      } else {
-        // Try to find ASIN in the page content
-        asin = await page.evaluate(() => {
-          const asinElement = document.querySelector('#ASIN');
-          if (asinElement && asinElement instanceof HTMLInputElement) {
-            return asinElement.value;
-          }
-          return '';
-        });
-      }
-      console.log(`ASIN extracted: ${asin || 'Not found'}`);
+      const doc = parseDocument(await page.content());
       
-      // Extract title
-      const title = await page.evaluate(() => {
-        const titleElement = document.querySelector('#productTitle');
-        return titleElement ? titleElement.textContent?.trim() : '';
-      });
-      console.log(`Title extracted: ${title ? 'Success' : 'Not found'}`);
-      
-      // Extract author
-      const author = await page.evaluate(() => {
-        // Try different selectors for author
-        const authorElement = document.querySelector('.contributorNameID, .author a, #bylineInfo .a-link-normal');
-        return authorElement ? authorElement.textContent?.trim() : '';
-      });
-      console.log(`Author extracted: ${author || 'Not found'}`);
-      
-      // Extract product details for year published and page length
-      const productDetails = await page.evaluate(() => {
-        const details: Record<string, string> = {};
-        
-        // Get all list items in the product details section
-        const detailElements = document.querySelectorAll('#detailBullets_feature_div li, #productDetailsTable .content li, #detailBulletsWrapper_feature_div li, #bookDetails_feature_div .a-list-item');
-        
-        detailElements.forEach(element => {
-          const text = element.textContent?.trim() || '';
-          
-          // Check for publication date
-          if (text.includes('Publication date') || text.includes('Publisher')) {
-            const match = text.match(/\d{4}/);
-            if (match) {
-              details.yearPublished = match[0];
-            }
-          }
-          
-          // Check for page length
-          if (text.includes('Print length') || text.includes('pages') || text.includes('Page length')) {
-            const match = text.match(/\d+\s*pages/);
-            if (match) {
-              details.pageLength = match[0];
-            }
-          }
-        });
-        
-        return details;
-      });
-      console.log(`Product details extracted: ${JSON.stringify(productDetails)}`);
-      
-      // Extract product description
-      const description = await page.evaluate(() => {
-        // Try different selectors for product description
-        // First check for the bookDescription expander content which contains the full description
-        const bookDescExpander = document.querySelector('#bookDescription_feature_div .a-expander-content');
-        if (bookDescExpander) {
-          return bookDescExpander.textContent?.trim() || '';
-        }
-        
-        // Fallback to other common selectors
-        const descElement = document.querySelector(
-          '#productDescription p, ' + 
-          '#bookDescription_feature_div p, ' +
-          '[data-feature-name="bookDescription"] .a-expander-content'
-        );
-        return descElement ? descElement.textContent?.trim() : '';
-      });
-      console.log(`Description extracted: ${description ? 'Success' : 'Not found'}`);
+      // Captchas, "sorry" pages and redirects otherwise come back as a product with every field Not found
+      const blocked = classifyPage(pageUrl, page.url(), status, readPageSignals(doc));
+      if (blocked) {
+        throw new CodedError('BOT_CHALLENGE', blocked.message, { blockedBy: blocked.kind });
+      }
+      console.log('Page loaded successfully, extracting data...');
       
-      console.log('Data extraction completed');
+      // The extractors read the rendered HTML, the same way /parse does
+      const productData = extractProduct(doc, amazonUrl);
+      console.log(`Data extraction completed: ${JSON.stringify({ ...productData, description: productData.description.slice(0, 80) })}`);
       
-      return {
-        asin: asin || 'Not found',
-        title: title || 'Not found',
-        author: author || 'Not found',
-        yearPublished: productDetails.yearPublished || 'Not found',
-        pageLength: productDetails.pageLength || 'Not found',
-        description: description || 'Not found',
-        url: amazonUrl
-      };
+      return productData;
     } catch (error) {
       console.error(`Error during page scraping: ${error}`);
       if (error instanceof Error) {
         console.error(`Stack trace: ${error.stack}`);
       }
+      if (page) {
+        try {
+          capture(await this.takeSnapshot(page, status));
+        } catch (snapshotError) {
+          console.error(`Error capturing diagnostics: ${snapshotError}`);
+        }
+      }
       throw error;
     } finally {
       // Always close the browser if it was initialized
@@ -339,101 +391,46 @@ class AmazonScraper {
 }
 
 export default {
-  async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
-    try {
-      // Handle CORS preflight requests at the global level
-      if (request.method === "OPTIONS") {
-        return new Response(null, {
-          status: 204,
-          headers: {
-            "Access-Control-Allow-Origin": "https://read.samrhea.com",
-            "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-            "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-            "Access-Control-Allow-Credentials": "true",
-            "Access-Control-Max-Age": "86400"
-          }
+  fetch: withMiddleware<Env>(async (request, env) => {
+    const url = new URL(request.url);
+    
+    // Parsing needs neither the browser nor the cache, so it doesn't go through the agent
+    if (url.pathname === "/parse") {
+      return handleParse(request, url);
+    }
+    
+    // First check if it's a scrape request
+    if (url.pathname === "/scrape") {
+      // Check if required bindings exist
+      if (!env.BROWSER) {
+        return new Response(JSON.stringify({
+          error: "Configuration error",
+          message: "The BROWSER binding is not configured correctly in the Cloudflare worker"
+        }), {
+          status: 500,
+          headers: { "Content-Type": "application/json" }
         });
       }
       
-      const url = new URL(request.url);
-      
-      // First check if it's a scrape request
-      if (url.pathname === "/scrape") {
-        // Check if required bindings exist
-        if (!env.BROWSER) {
-          return new Response(JSON.stringify({
-            error: "Configuration error",
-            message: "The BROWSER binding is not configured correctly in the Cloudflare worker"
-          }), {
-            status: 500,
-            headers: { 
-              "Content-Type": "application/json",
-              "Access-Control-Allow-Origin": "https://read.samrhea.com",
-              "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-              "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-              "Access-Control-Allow-Credentials": "true"
-            }
-          });
-        }
-        
-        // Create a normal scraper instance
-        const scraper = new AmazonScraper(env);
-        return scraper.onRequest(request);
-      }
-      
-      // Try routing to agent if it's not a scrape request
-      try {
-        const agentResponse = await routeAgentRequest(request, env);
-        if (agentResponse) {
-          // Make sure the agent response has CORS headers
-          const originalHeaders = agentResponse.headers;
-          const newHeaders = new Headers(originalHeaders);
-          newHeaders.set("Access-Control-Allow-Origin", "https://read.samrhea.com");
-          newHeaders.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-          newHeaders.set("Access-Control-Allow-Headers", "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret");
-          newHeaders.set("Access-Control-Allow-Credentials", "true");
-          
-          return new Response(agentResponse.body, {
-            status: agentResponse.status,
-            statusText: agentResponse.statusText,
-            headers: newHeaders
-          });
-        }
-      } catch (agentError) {
-        console.error(`Error in agent routing: ${agentError}`);
-        // Continue to default response if agent routing fails
+      // The agent runs the scrape so it can use its cache
+      return env.AmazonScraper.get(env.AmazonScraper.idFromName("default")).fetch(request);
+    }
+    
+    if (url.pathname === ADMIN_CACHE_PATH || url.pathname.startsWith(DIAGNOSTICS_PATH)) {
+      return env.AmazonScraper.get(env.AmazonScraper.idFromName("default")).fetch(request);
+    }
+    
+    // Try routing to agent if it's not a scrape request
+    try {
+      const agentResponse = await routeAgentRequest(request, env);
+      if (agentResponse) {
+        return agentResponse;
       }
-      
-      // Default 404 response
-      return new Response(JSON.stringify({
-        error: "Not found",
-        message: "Try using /scrape?url=https://www.amazon.com/your-product-url"
-      }), {
-        status: 404,
-        headers: { 
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "https://read.samrhea.com",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-          "Access-Control-Allow-Credentials": "true"
-        }
-      });
-    } catch (error) {
-      console.error(`Critical error in fetch handler: ${error}`);
-      return new Response(JSON.stringify({
-        error: "Worker error",
-        message: error instanceof Error ? error.message : String(error),
-        stack: error instanceof Error ? error.stack : "No stack trace available"
-      }), {
-        status: 500,
-        headers: { 
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "https://read.samrhea.com",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-          "Access-Control-Allow-Credentials": "true"
-        }
-      });
+    } catch (agentError) {
+      console.error(`Error in agent routing: ${agentError}`);
+      // Continue to default response if agent routing fails
     }
-  }
-} satisfies ExportedHandler<Env>;
\ No newline at end of file
+    
+    return jsonError(404, "Try using /scrape?url=https://www.amazon.com/your-product-url, or POST product-page HTML to /parse");
+  })
+} satisfies ExportedHandler<Env>;
@@ -0,0 +1,28 @@
+// workers/metadata-worker/src/parse.test.ts
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { handleParse } from './parse';
+
+const FIXTURES = new URL('../fixtures/', import.meta.url);
+
+const parse = (productUrl: string, html: string) => {
+  const url = new URL(`https://worker.example/parse?${new URLSearchParams({ url: productUrl })}`);
+  return handleParse(new Request(url, { method: 'POST', body: html }), url);
+};
+
+describe('handleParse', () => {
+  it('parses a posted product page', async () => {
+    const expected = JSON.parse(readFileSync(new URL('kindle.json', FIXTURES), 'utf8'));
+    const response = await parse(expected.url, readFileSync(new URL('kindle.html', FIXTURES), 'utf8'));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual(expected);
+  });
+
+  it('answers 400 when ?url= is not a URL', async () => {
+    const response = await parse('B0064W66X8', readFileSync(new URL('kindle.html', FIXTURES), 'utf8'));
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ code: 'BAD_REQUEST', message: expect.stringContaining('B0064W66X8') });
+  });
+});
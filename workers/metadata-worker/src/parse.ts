@@ -0,0 +1,36 @@
+// workers/metadata-worker/src/parse.ts
+// The /parse endpoint: runs the extractors over product-page HTML posted as
+// the request body, with no browser or cache involved.
+import { jsonError } from '../../shared/http';
+import { CodedError, codedErrorResponse } from '../../shared/errors';
+import { parseDocument } from '../../shared/html';
+import { classifyPage, readPageSignals } from './blockedPages';
+import { extractProduct } from './extractors';
+
+/**
+ * Runs the extractors over product-page HTML posted as the request body, with
+ * no browser involved. ?url= passes the product URL, which the ASIN is read from.
+ */
+export async function handleParse(request: Request, url: URL): Promise<Response> {
+  if (request.method !== "POST") {
+    return jsonError(405, "POST a product page's HTML to /parse");
+  }
+  
+  const productUrl = url.searchParams.get("url") || "";
+  if (productUrl && !URL.canParse(productUrl)) {
+    return jsonError(400, `?url= must be a full product URL, e.g. https://www.amazon.com/dp/0765316994, not "${productUrl}"`);
+  }
+  
+  const html = await request.text();
+  if (!html.trim()) {
+    return jsonError(400, "Send the product page's HTML as the request body");
+  }
+  
+  const doc = parseDocument(html);
+  const blocked = classifyPage(productUrl || "https://www.amazon.com/", productUrl || "https://www.amazon.com/", null, readPageSignals(doc));
+  if (blocked) {
+    return codedErrorResponse(new CodedError('BOT_CHALLENGE', blocked.message, { blockedBy: blocked.kind }), "Not a product page");
+  }
+  
+  return Response.json(extractProduct(doc, productUrl));
+}
@@ -0,0 +1,42 @@
+// workers/metadata-worker/src/providers/merge.test.ts
+import { describe, expect, it } from 'vitest';
+import { mergeProviderResults, runProviders } from './merge';
+import type { MetadataProvider, ProviderResult } from '../types';
+
+const results = (entries: Record<string, ProviderResult>) => new Map(Object.entries(entries));
+
+describe('mergeProviderResults', () => {
+  it("prefers Amazon's edition year over Open Library's first publication", () => {
+    const merged = mergeProviderResults(
+      results({ amazon: { yearPublished: '2013' }, openlibrary: { yearPublished: '2012' } }),
+      ['openlibrary', 'amazon']
+    );
+
+    expect(merged.fields.yearPublished).toBe('2013');
+    expect(merged.sources.yearPublished).toBe('amazon');
+  });
+
+  it("falls back to Open Library's year when Amazon has none", () => {
+    const merged = mergeProviderResults(
+      results({ amazon: { yearPublished: 'Not found', title: 'Redshirts' }, openlibrary: { yearPublished: '2012', title: 'Redshirts: A Novel' } }),
+      ['amazon', 'openlibrary']
+    );
+
+    expect(merged.fields).toEqual({ yearPublished: '2012', title: 'Redshirts' });
+    expect(merged.sources).toEqual({ yearPublished: 'openlibrary', title: 'amazon' });
+  });
+});
+
+describe('runProviders', () => {
+  it('reports a failing provider without failing the lookup', async () => {
+    const providers: MetadataProvider[] = [
+      { name: 'amazon', lookup: async () => { throw new Error('blocked'); } },
+      { name: 'openlibrary', lookup: async () => ({ title: 'Redshirts', yearPublished: '2012' }) }
+    ];
+
+    const merged = await runProviders(providers, { title: 'Redshirts' });
+
+    expect(merged.fields).toEqual({ title: 'Redshirts', yearPublished: '2012' });
+    expect(merged.providers.map(report => report.status)).toEqual(['error', 'ok']);
+  });
+});
@@ -0,0 +1,110 @@
+// workers/metadata-worker/src/providers/merge.ts
+
+import type { MetadataField, MetadataProvider, ProviderQuery, ProviderResult } from '../types';
+import { CodedError, ErrorCode, errorCode, errorMessage } from '../../../shared/errors';
+
+export const METADATA_FIELDS: MetadataField[] = [
+  'asin',
+  'title',
+  'author',
+  'contributors',
+  'yearPublished',
+  'pageLength',
+  'publicationDate',
+  'publisher',
+  'language',
+  'isbn10',
+  'isbn13',
+  'coverUrl',
+  'listeningLength',
+  'narrator',
+  'audibleReleaseDate',
+  'description'
+];
+
+// Providers are consulted in the order they are passed to runProviders; these
+// fields prefer a different order when more than one provider has a value
+export const FIELD_PRECEDENCE: Partial<Record<MetadataField, string[]>> = {
+  // The post is about the edition that was read, so Amazon's year wins; Open
+  // Library's first_publish_year is the original release and only fills a gap
+  yearPublished: ['amazon', 'openlibrary']
+};
+
+export interface ProviderReport {
+  name: string;
+  status: 'ok' | 'empty' | 'error';
+  fields: MetadataField[];
+  error?: string;
+  code?: ErrorCode;
+  // Extra context from the provider's error, such as a diagnostics link
+  details?: Record<string, unknown>;
+}
+
+export interface MergedMetadata {
+  fields: ProviderResult;
+  // Which provider supplied each field in the merged result
+  sources: Partial<Record<MetadataField, string>>;
+  providers: ProviderReport[];
+}
+
+const hasValue = (value: unknown): boolean =>
+  Array.isArray(value)
+    ? value.length > 0
+    : typeof value === 'string' && Boolean(value.trim()) && value !== 'Not found';
+
+/**
+ * Merges provider results field by field. Each field is taken from the first
+ * provider in its precedence list that has a value for it.
+ */
+export function mergeProviderResults(
+  results: Map<string, ProviderResult>,
+  providerOrder: string[]
+): Pick<MergedMetadata, 'fields' | 'sources'> {
+  const fields: ProviderResult = {};
+  const sources: Partial<Record<MetadataField, string>> = {};
+
+  for (const field of METADATA_FIELDS) {
+    const preferred = FIELD_PRECEDENCE[field] || [];
+    const order = [...preferred, ...providerOrder.filter(name => !preferred.includes(name))];
+
+    for (const name of order) {
+      const value = results.get(name)?.[field];
+      if (hasValue(value)) {
+        (fields as Record<MetadataField, unknown>)[field] = value;
+        sources[field] = name;
+        break;
+      }
+    }
+  }
+
+  return { fields, sources };
+}
+
+/**
+ * Runs providers in order, handing each one the fields merged so far as hints.
+ * A failing provider is reported but never fails the whole lookup.
+ */
+export async function runProviders(providers: MetadataProvider[], query: ProviderQuery): Promise<MergedMetadata> {
+  const providerOrder = providers.map(provider => provider.name);
+  const results = new Map<string, ProviderResult>();
+  const reports: ProviderReport[] = [];
+
+  for (const provider of providers) {
+    const known = mergeProviderResults(results, providerOrder).fields;
+
+    try {
+      const result = await provider.lookup(query, known);
+      const found = METADATA_FIELDS.filter(field => hasValue(result[field]));
+      results.set(provider.name, result);
+      reports.push({ name: provider.name, status: found.length > 0 ? 'ok' : 'empty', fields: found });
+      console.log(`Provider ${provider.name} returned: ${found.join(', ') || 'nothing'}`);
+    } catch (error) {
+      const message = errorMessage(error);
+      const details = error instanceof CodedError && Object.keys(error.details).length > 0 ? error.details : undefined;
+      reports.push({ name: provider.name, status: 'error', fields: [], error: message, code: errorCode(error), details });
+      console.error(`Provider ${provider.name} failed: ${message}`);
+    }
+  }
+
+  return { ...mergeProviderResults(results, providerOrder), providers: reports };
+}
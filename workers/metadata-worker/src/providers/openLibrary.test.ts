@@ -0,0 +1,58 @@
+// workers/metadata-worker/src/providers/openLibrary.test.ts
+import type { AddressInfo } from 'node:net';
+import type { Server } from 'node:http';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+// @ts-expect-error the stand-in server is plain JavaScript
+import { createOpenLibraryServer } from '../../scripts/mock-open-library.js';
+import { OpenLibraryProvider } from './openLibrary';
+
+let server: Server;
+let provider: OpenLibraryProvider;
+
+beforeAll(async () => {
+  server = createOpenLibraryServer();
+  await new Promise<void>(resolve => server.listen(0, resolve));
+  // A trailing slash is trimmed, like a configured base URL's would be
+  provider = new OpenLibraryProvider(`http://localhost:${(server.address() as AddressInfo).port}/`);
+});
+
+afterAll(() => new Promise<void>(resolve => server.close(() => resolve())));
+
+const REDSHIRTS = {
+  title: 'Redshirts',
+  author: 'John Scalzi',
+  contributors: [{ name: 'John Scalzi', roles: ['author'] }],
+  yearPublished: '2012',
+  pageLength: '317 pages',
+  description: 'Ensign Andrew Dahl has just been assigned to the Universal Union Capital Ship Intrepid, flagship of the Universal Union since the year 2456.'
+};
+
+describe('OpenLibraryProvider', () => {
+  it('looks a book up by ISBN, with its work description', async () => {
+    expect(await provider.lookup({ isbn: '9780765316998' }, {})).toEqual(REDSHIRTS);
+  });
+
+  it("uses a print edition's ASIN as its ISBN", async () => {
+    expect(await provider.lookup({}, { asin: '0765316994' })).toEqual(REDSHIRTS);
+  });
+
+  it('searches by the scraped title and author when there is no ISBN', async () => {
+    const result = await provider.lookup({ title: 'something else' }, { title: 'The Hunt for Red October', author: 'Tom Clancy' });
+
+    expect(result.yearPublished).toBe('1984');
+    expect(result.description).toMatch(/^A Soviet submarine captain/);
+  });
+
+  it('joins several authors and skips a missing work description', async () => {
+    const result = await provider.lookup({ isbn: '0060853980' }, {});
+
+    expect(result.author).toBe('Terry Pratchett and Neil Gaiman');
+    expect(result.contributors).toHaveLength(2);
+    expect(result.description).toBeUndefined();
+  });
+
+  it('returns nothing for an unknown book, or with nothing to search for', async () => {
+    expect(await provider.lookup({ isbn: '9780000000002' }, {})).toEqual({});
+    expect(await provider.lookup({}, {})).toEqual({});
+  });
+});
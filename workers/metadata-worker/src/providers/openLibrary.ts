@@ -0,0 +1,100 @@
+// workers/metadata-worker/src/providers/openLibrary.ts
+
+import type { MetadataProvider, ProviderQuery, ProviderResult } from '../types';
+import { formatNameList } from '../extractors';
+
+const DEFAULT_BASE_URL = 'https://openlibrary.org';
+
+interface OpenLibrarySearchDoc {
+  key?: string;
+  title?: string;
+  author_name?: string[];
+  first_publish_year?: number;
+  number_of_pages_median?: number;
+}
+
+interface OpenLibraryWork {
+  description?: string | { value?: string };
+}
+
+/**
+ * Metadata provider backed by the Open Library search API. The base URL is
+ * configurable so the provider can be pointed at a local stand-in server.
+ */
+export class OpenLibraryProvider implements MetadataProvider {
+  name = 'openlibrary';
+  baseUrl: string;
+
+  constructor(baseUrl: string = DEFAULT_BASE_URL) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  async lookup(query: ProviderQuery, known: ProviderResult): Promise<ProviderResult> {
+    // Amazon uses the ISBN-10 as the ASIN for print editions
+    const asinIsbn = known.asin && /^\d{9}[\dX]$/.test(known.asin) ? known.asin : '';
+    const isbn = query.isbn || known.isbn13 || known.isbn10 || asinIsbn;
+    const title = known.title || query.title;
+    const author = known.author || query.author;
+
+    const params = new URLSearchParams({
+      fields: 'key,title,author_name,first_publish_year,number_of_pages_median',
+      limit: '1'
+    });
+    if (isbn) {
+      params.set('isbn', isbn);
+    } else if (title) {
+      params.set('title', title);
+      if (author) params.set('author', author);
+    } else {
+      console.log('Open Library lookup skipped: no ISBN or title available');
+      return {};
+    }
+
+    const searchUrl = `${this.baseUrl}/search.json?${params.toString()}`;
+    console.log(`Open Library search: ${searchUrl}`);
+
+    const response = await fetch(searchUrl, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Open Library search failed with HTTP ${response.status}`);
+    }
+
+    const data = await response.json() as { docs?: OpenLibrarySearchDoc[] };
+    const doc = data.docs?.[0];
+    if (!doc) {
+      console.log('Open Library search returned no results');
+      return {};
+    }
+
+    const result: ProviderResult = {};
+    if (doc.title) result.title = doc.title;
+    if (doc.author_name?.length) {
+      // Same "A and B" form as the Amazon extractor, so the author doesn't depend on which provider won
+      result.author = formatNameList(doc.author_name);
+      result.contributors = doc.author_name.map(name => ({ name, roles: ['author'] }));
+    }
+    if (doc.first_publish_year) result.yearPublished = String(doc.first_publish_year);
+    if (doc.number_of_pages_median) result.pageLength = `${doc.number_of_pages_median} pages`;
+
+    if (doc.key) {
+      const description = await this.fetchWorkDescription(doc.key);
+      if (description) result.description = description;
+    }
+
+    return result;
+  }
+
+  private async fetchWorkDescription(workKey: string): Promise<string> {
+    try {
+      const response = await fetch(`${this.baseUrl}${workKey}.json`, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) return '';
+
+      const work = await response.json() as OpenLibraryWork;
+      const description = typeof work.description === 'string' ? work.description : work.description?.value;
+      return description?.trim() || '';
+    } catch (error) {
+      // The description is a nice-to-have; the search result is still useful without it
+      console.error(`Error fetching Open Library work ${workKey}: ${error}`);
+      return '';
+    }
+  }
+}
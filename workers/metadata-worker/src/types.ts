@@ -0,0 +1,50 @@
+// workers/metadata-worker/src/types.ts
+
+export const CONTRIBUTOR_ROLES = ['author', 'translator', 'editor', 'narrator', 'illustrator'];
+
+export type ContributorRole = 'author' | 'translator' | 'editor' | 'narrator' | 'illustrator' | 'contributor';
+
+export interface Contributor {
+  name: string;
+  roles: ContributorRole[];
+}
+
+export interface AmazonProductData {
+  asin: string;
+  title: string;
+  // Authors joined for display, e.g. "A and B"
+  author: string;
+  contributors: Contributor[];
+  yearPublished: string;
+  pageLength: string;
+  publicationDate: string;
+  publisher: string;
+  language: string;
+  isbn10: string;
+  isbn13: string;
+  coverUrl: string;
+  listeningLength: string;
+  narrator: string;
+  audibleReleaseDate: string;
+  description: string;
+  url: string;
+}
+
+// Fields a metadata provider can supply; url always comes from the Amazon page
+export type MetadataField = Exclude<keyof AmazonProductData, 'url'>;
+
+// Partial result from a single provider; missing fields are simply absent
+export type ProviderResult = Partial<Pick<AmazonProductData, MetadataField>>;
+
+export interface ProviderQuery {
+  url?: string;
+  isbn?: string;
+  title?: string;
+  author?: string;
+}
+
+export interface MetadataProvider {
+  name: string;
+  // Receives the merged fields found so far so it can use them as lookup hints
+  lookup(query: ProviderQuery, known: ProviderResult): Promise<ProviderResult>;
+}
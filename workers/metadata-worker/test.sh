@@ -1,3 +1,19 @@
 curl "https://amazon-product-scraper.samrhea.workers.dev/?url=https://www.amazon.com/Hunt-October-Jack-Ryan-Novel-ebook/dp/B001PSEPLG/"
 
-curl "https://book-search-agent.samrhea.workers.dev/?url=https://www.amazon.com/Hunt-October-Jack-Ryan-Novel-ebook/dp/B001PSEPLG/"
\ No newline at end of file
+curl "https://book-search-agent.samrhea.workers.dev/?url=https://www.amazon.com/Hunt-October-Jack-Ryan-Novel-ebook/dp/B001PSEPLG/"
+
+curl "https://amazon-product-scraper.samrhea.workers.dev/scrape?isbn=9780765316998"
+
+curl "https://amazon-product-scraper.samrhea.workers.dev/scrape?isbn=9780765316998&refresh=1"
+
+curl -H "Authorization: Bearer $ADMIN_TOKEN" "https://amazon-product-scraper.samrhea.workers.dev/admin/cache"
+
+curl "https://amazon-product-scraper.samrhea.workers.dev/scrape?isbn=0000000000"
+
+curl -H "Authorization: Bearer $ADMIN_TOKEN" "https://amazon-product-scraper.samrhea.workers.dev/debug/diagnostics"
+
+# Open Library only, offline: run `node scripts/mock-open-library.js` and
+# `npx wrangler dev --var OPEN_LIBRARY_BASE_URL:http://localhost:8789`
+curl "http://localhost:8787/scrape?isbn=9780765316998&refresh=1"
+
+curl -X POST --data-binary @fixtures/kindle.html "https://amazon-product-scraper.samrhea.workers.dev/parse?url=https://www.amazon.com/Redshirts-Novel-Three-Codas-ebook/dp/B0064W66X8"
@@ -0,0 +1,72 @@
+// workers/shared/errors.ts
+// Machine-readable error codes returned by every worker as {error, code, message}.
+// The app maps each code to a remedy, so keep these in sync with
+// src/services/bookServiceError.js.
+
+export const ERROR_CODES = {
+  // The search or lookup found nothing for the query
+  NO_RESULTS: 404,
+  // Google or Amazon answered with a captcha or "unusual traffic" page
+  BOT_CHALLENGE: 503,
+  // The headless browser gave up waiting for a page
+  NAVIGATION_TIMEOUT: 504,
+  // The page loaded but key fields couldn't be extracted
+  PARSE_PARTIAL: 422,
+  // Workers AI failed or isn't bound
+  AI_UNAVAILABLE: 503,
+  // Missing or invalid credentials, or a disallowed origin
+  AUTH_FAILED: 401,
+  BAD_REQUEST: 400,
+  NOT_FOUND: 404,
+  INTERNAL: 500
+} as const;
+
+export type ErrorCode = keyof typeof ERROR_CODES;
+
+export class CodedError extends Error {
+  code: ErrorCode;
+  // Extra fields for the error response, e.g. where to find diagnostics
+  details: Record<string, unknown>;
+
+  constructor(code: ErrorCode, message: string, details: Record<string, unknown> = {}) {
+    super(message);
+    this.name = "CodedError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Works out the code for any thrown value. Puppeteer signals timeouts with a
+ * TimeoutError; anything unrecognized is INTERNAL.
+ */
+export function errorCode(error: unknown): ErrorCode {
+  if (error instanceof CodedError) return error.code;
+  if (error instanceof Error && (error.name === "TimeoutError" || /navigation timeout|timeout .* exceeded/i.test(error.message))) {
+    return "NAVIGATION_TIMEOUT";
+  }
+  return "INTERNAL";
+}
+
+export function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Code for a plain HTTP status, for errors raised by routing rather than lookups
+ */
+export function codeForStatus(status: number): ErrorCode {
+  if (status === 401 || status === 403) return "AUTH_FAILED";
+  if (status === 404) return "NOT_FOUND";
+  if (status >= 400 && status < 500) return "BAD_REQUEST";
+  return "INTERNAL";
+}
+
+/**
+ * Builds the JSON response for a failed lookup, with the status that fits its code
+ */
+export function codedErrorResponse(error: unknown, title: string, extra: Record<string, unknown> = {}): Response {
+  const code = errorCode(error);
+  const details = error instanceof CodedError ? error.details : {};
+  return Response.json({ error: title, code, message: errorMessage(error), ...details, ...extra }, { status: ERROR_CODES[code] });
+}
@@ -0,0 +1,11 @@
+// workers/shared/html.ts
+// Parses fetched or posted HTML without a browser, so the code that reads a
+// page can run on a live page's content and on saved fixtures alike.
+import { parseHTML } from 'linkedom';
+
+/**
+ * Parses an HTML string into a Document that supports querySelector
+ */
+export function parseDocument(html: string): Document {
+  return parseHTML(html).document as unknown as Document;
+}
@@ -0,0 +1,22 @@
+// workers/shared/http.test.ts
+import { describe, expect, it } from 'vitest';
+import { requireAdminToken } from './http';
+
+const request = (authorization?: string) =>
+  new Request('https://worker.example/admin/cache', authorization ? { headers: { Authorization: authorization } } : {});
+
+describe('requireAdminToken', () => {
+  it('lets the configured bearer token through', () => {
+    expect(requireAdminToken(request('Bearer s3cret'), 's3cret', 'cache admin')).toBeNull();
+  });
+
+  it('rejects a missing, wrong or differently sized token with a 401', () => {
+    for (const authorization of [undefined, 'Bearer s3cres', 'Bearer s3cret2', 's3cret']) {
+      expect(requireAdminToken(request(authorization), 's3cret', 'cache admin')?.status).toBe(401);
+    }
+  });
+
+  it('answers 404 when no admin token is configured', () => {
+    expect(requireAdminToken(request('Bearer '), undefined, 'cache admin')?.status).toBe(404);
+  });
+});
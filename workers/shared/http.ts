@@ -0,0 +1,245 @@
+// workers/shared/http.ts
+// CORS, authentication and JSON errors shared by every worker. Wrap a
+// worker's fetch handler with withMiddleware and return plain responses from
+// it: preflight, origin checks, auth and CORS headers are handled here.
+import { codeForStatus, codedErrorResponse } from "./errors";
+
+export interface HttpConfig {
+  // Comma-separated origins allowed to call the worker; a port of * matches any port (http://localhost:*)
+  ALLOWED_ORIGINS?: string;
+  // Cloudflare Access team domain and application audience tag; when both are set requests need a valid Access JWT
+  ACCESS_TEAM_DOMAIN?: string;
+  ACCESS_AUD?: string;
+  // Service token the worker accepts directly, for deployments without Access in front
+  SERVICE_TOKEN_CLIENT_ID?: string;
+  SERVICE_TOKEN_CLIENT_SECRET?: string;
+}
+
+export const DEFAULT_ALLOWED_ORIGINS = "https://read.samrhea.com";
+
+// Headers the app and other workers send; forwarded as-is by the lookup gateway
+export const AUTH_HEADERS = ["Cf-Access-Jwt-Assertion", "CF-Access-Client-Id", "CF-Access-Client-Secret", "Cookie"];
+
+const STATUS_ERRORS: Record<number, string> = {
+  400: "Bad request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not found",
+  405: "Method not allowed",
+  500: "Internal server error"
+};
+
+/**
+ * Builds a JSON error response: {error, code, message} plus any extra fields
+ */
+export function jsonError(status: number, message: string, extra: Record<string, unknown> = {}): Response {
+  return Response.json({ error: STATUS_ERRORS[status] || "Error", code: codeForStatus(status), message, ...extra }, { status });
+}
+
+/**
+ * Guards an admin or debug endpoint with ADMIN_TOKEN as a bearer token;
+ * without a token configured the endpoint is off
+ * @returns A 404/401 response, or null when the request may continue
+ */
+export function requireAdminToken(request: Request, adminToken: string | undefined, endpoint: string): Response | null {
+  if (!adminToken) {
+    return jsonError(404, `The ${endpoint} endpoint is disabled; set ADMIN_TOKEN to enable it`);
+  }
+  if (!timingSafeEqual(request.headers.get("Authorization") || "", `Bearer ${adminToken}`)) {
+    return jsonError(401, "Send the admin token as a bearer token");
+  }
+  return null;
+}
+
+/**
+ * Finds the request's origin in the allowlist
+ * @returns The origin to echo back, or null if it isn't allowed
+ */
+export function matchOrigin(origin: string, allowedOrigins: string = DEFAULT_ALLOWED_ORIGINS): string | null {
+  const allowed = allowedOrigins.split(",").map(entry => entry.trim()).filter(Boolean);
+
+  for (const entry of allowed) {
+    if (entry === "*" || entry === origin) return origin;
+    if (entry.endsWith(":*") && origin.startsWith(entry.slice(0, -1)) && /^\d+$/.test(origin.slice(entry.length - 1))) {
+      return origin;
+    }
+  }
+  return null;
+}
+
+function corsHeaders(origin: string): Record<string, string> {
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
+    "Access-Control-Allow-Credentials": "true",
+    "Vary": "Origin"
+  };
+}
+
+function withHeaders(response: Response, headers: Record<string, string>): Response {
+  // WebSocket upgrades from agent routing can't be copied
+  if (response.webSocket) return response;
+
+  // Responses from fetch() and Response.json() can have immutable headers
+  const copy = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    copy.headers.set(name, value);
+  }
+  return copy;
+}
+
+function base64UrlDecode(text: string) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Access signing keys rotate rarely; refetch at most every hour
+const ACCESS_KEYS_TTL_MS = 60 * 60 * 1000;
+let accessKeys: { teamDomain: string; fetchedAt: number; keys: (JsonWebKey & { kid?: string })[] } | null = null;
+
+async function getAccessKeys(teamDomain: string): Promise<(JsonWebKey & { kid?: string })[]> {
+  if (accessKeys && accessKeys.teamDomain === teamDomain && Date.now() - accessKeys.fetchedAt < ACCESS_KEYS_TTL_MS) {
+    return accessKeys.keys;
+  }
+
+  const response = await fetch(`${teamDomain}/cdn-cgi/access/certs`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Access signing keys: HTTP ${response.status}`);
+  }
+  const { keys } = await response.json() as { keys: (JsonWebKey & { kid?: string })[] };
+  accessKeys = { teamDomain, fetchedAt: Date.now(), keys };
+  return keys;
+}
+
+/**
+ * Verifies a Cloudflare Access JWT: signature, audience, issuer and expiry
+ * @returns Why the token was rejected, or null if it's valid
+ */
+async function verifyAccessJwt(token: string, teamDomain: string, audience: string): Promise<string | null> {
+  const [header, payload, signature] = token.split(".");
+  if (!header || !payload || !signature) return "Malformed Access token";
+
+  try {
+    const { kid, alg } = JSON.parse(new TextDecoder().decode(base64UrlDecode(header)));
+    if (alg !== "RS256") return "Unsupported Access token algorithm";
+
+    const jwk = (await getAccessKeys(teamDomain)).find(candidate => candidate.kid === kid);
+    if (!jwk) return "Access token signed with an unknown key";
+
+    const key = await crypto.subtle.importKey("jwk", jwk, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["verify"]);
+    const isValid = await crypto.subtle.verify(
+      "RSASSA-PKCS1-v1_5",
+      key,
+      base64UrlDecode(signature),
+      new TextEncoder().encode(`${header}.${payload}`)
+    );
+    if (!isValid) return "Invalid Access token signature";
+
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    const audiences: string[] = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) return "Access token is for a different application";
+    if (claims.iss !== teamDomain) return "Access token from a different team";
+    if (typeof claims.exp !== "number" || claims.exp * 1000 < Date.now()) return "Access token has expired";
+
+    return null;
+  } catch (error) {
+    console.error(`Access token verification failed: ${error instanceof Error ? error.message : String(error)}`);
+    return "Access token could not be verified";
+  }
+}
+
+// Compares every byte so the time taken doesn't reveal how much of a secret matched
+function timingSafeEqual(a: string, b: string): boolean {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+  if (left.byteLength !== right.byteLength) return false;
+
+  let difference = 0;
+  for (let i = 0; i < left.byteLength; i++) {
+    difference |= left[i] ^ right[i];
+  }
+  return difference === 0;
+}
+
+function accessToken(request: Request): string | null {
+  const header = request.headers.get("Cf-Access-Jwt-Assertion");
+  if (header) return header;
+  const cookie = (request.headers.get("Cookie") || "").match(/(?:^|;\s*)CF_Authorization=([^;]+)/);
+  return cookie ? cookie[1] : null;
+}
+
+/**
+ * Checks the request's credentials against whichever methods the worker has configured
+ * @returns A 401/403 response, or null when the request may continue
+ */
+async function authenticate(request: Request, config: HttpConfig): Promise<Response | null> {
+  const teamDomain = config.ACCESS_TEAM_DOMAIN?.replace(/\/+$/, "");
+  const checksJwt = Boolean(teamDomain && config.ACCESS_AUD);
+  const checksServiceToken = Boolean(config.SERVICE_TOKEN_CLIENT_ID && config.SERVICE_TOKEN_CLIENT_SECRET);
+  if (!checksJwt && !checksServiceToken) return null;
+
+  const token = accessToken(request);
+  const clientId = request.headers.get("CF-Access-Client-Id");
+  const clientSecret = request.headers.get("CF-Access-Client-Secret");
+
+  const problems: string[] = [];
+
+  if (checksJwt && token) {
+    const problem = await verifyAccessJwt(token, teamDomain!, config.ACCESS_AUD!);
+    if (!problem) return null;
+    problems.push(problem);
+  }
+
+  if (checksServiceToken && clientId && clientSecret) {
+    if (timingSafeEqual(clientId, config.SERVICE_TOKEN_CLIENT_ID!) && timingSafeEqual(clientSecret, config.SERVICE_TOKEN_CLIENT_SECRET!)) {
+      return null;
+    }
+    problems.push("Unknown service token");
+  }
+
+  if (problems.length === 0) {
+    return jsonError(401, checksJwt ? "Sign in through Cloudflare Access or send a service token" : "Send a service token");
+  }
+  return jsonError(403, problems.join("; "));
+}
+
+type Handler<E> = (request: Request, env: E, ctx: ExecutionContext) => Promise<Response>;
+
+/**
+ * Wraps a fetch handler with origin checks, preflight, authentication and CORS headers.
+ * Requests without an Origin header (curl, service bindings) skip the origin check.
+ */
+export function withMiddleware<E extends HttpConfig>(handler: Handler<E>): Handler<E> {
+  return async (request, env, ctx) => {
+    const requestOrigin = request.headers.get("Origin");
+    const allowedOrigins = env.ALLOWED_ORIGINS || DEFAULT_ALLOWED_ORIGINS;
+    const origin = requestOrigin ? matchOrigin(requestOrigin, allowedOrigins) : allowedOrigins.split(",")[0].trim();
+
+    if (!origin) {
+      console.warn(`Rejected request from origin ${requestOrigin}`);
+      return jsonError(403, `Origin ${requestOrigin} is not allowed`);
+    }
+
+    const headers = corsHeaders(origin);
+
+    if (request.method === "OPTIONS") {
+      return new Response(null, { status: 204, headers: { ...headers, "Access-Control-Max-Age": "86400" } });
+    }
+
+    try {
+      const authError = await authenticate(request, env);
+      if (authError) return withHeaders(authError, headers);
+
+      return withHeaders(await handler(request, env, ctx), headers);
+    } catch (error) {
+      console.error(`Unhandled error: ${error instanceof Error ? error.stack : String(error)}`);
+      return withHeaders(codedErrorResponse(error, STATUS_ERRORS[500]), headers);
+    }
+  };
+}
@@ -0,0 +1,170 @@
+// workers/shared/lookupCache.ts
+// Lookup cache kept in a Durable Object's SQLite storage, so repeat lookups
+// skip launching a headless browser. Used by book-finder and amazon-product-scraper.
+import { jsonError, requireAdminToken } from "./http";
+
+// A week: store links and product details rarely change faster than that
+export const DEFAULT_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+export const ADMIN_CACHE_PATH = "/admin/cache";
+
+export interface CacheInfo {
+  hit: boolean;
+  key: string;
+  cachedAt: string | null;
+  expiresAt: string | null;
+}
+
+export interface CacheEntrySummary {
+  key: string;
+  cachedAt: string;
+  expiresAt: string;
+  expired: boolean;
+  hits: number;
+  bytes: number;
+}
+
+type CacheRow = {
+  key: string;
+  value: string;
+  created_at: number;
+  expires_at: number;
+  hits: number;
+};
+
+/**
+ * Normalizes free text for use in a cache key, so "The Martian " and
+ * "the martian" share an entry
+ */
+export function normalizeCacheText(text: string): string {
+  return text
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Reads the TTL from a worker variable, falling back to the default
+ */
+export function parseCacheTtl(value: string | undefined): number {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_CACHE_TTL_SECONDS;
+}
+
+export class LookupCache {
+  private sql: SqlStorage;
+  private ttlSeconds: number;
+
+  constructor(sql: SqlStorage, ttlSeconds: number = DEFAULT_CACHE_TTL_SECONDS) {
+    this.sql = sql;
+    this.ttlSeconds = ttlSeconds;
+    this.sql.exec(`CREATE TABLE IF NOT EXISTS lookup_cache (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      hits INTEGER NOT NULL DEFAULT 0
+    )`);
+  }
+
+  /**
+   * Returns a cached value that hasn't expired, counting the hit
+   */
+  get<T>(key: string): { value: T; info: CacheInfo } | null {
+    const [row] = this.sql
+      .exec<CacheRow>("SELECT * FROM lookup_cache WHERE key = ? AND expires_at > ?", key, Date.now())
+      .toArray();
+    if (!row) return null;
+
+    this.sql.exec("UPDATE lookup_cache SET hits = hits + 1 WHERE key = ?", key);
+    return {
+      value: JSON.parse(row.value) as T,
+      info: { hit: true, key, cachedAt: new Date(row.created_at).toISOString(), expiresAt: new Date(row.expires_at).toISOString() }
+    };
+  }
+
+  /**
+   * Stores a value for the configured TTL, replacing any previous entry
+   */
+  set(key: string, value: unknown): CacheInfo {
+    const now = Date.now();
+    const expiresAt = now + this.ttlSeconds * 1000;
+    this.sql.exec(
+      "INSERT OR REPLACE INTO lookup_cache (key, value, created_at, expires_at, hits) VALUES (?, ?, ?, ?, 0)",
+      key,
+      JSON.stringify(value),
+      now,
+      expiresAt
+    );
+    return { hit: false, key, cachedAt: new Date(now).toISOString(), expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Lists entries, newest first, optionally limited to keys starting with a prefix
+   */
+  list(prefix: string = "", limit: number = 100): CacheEntrySummary[] {
+    const now = Date.now();
+    return this.sql
+      .exec<Omit<CacheRow, "value"> & { bytes: number }>(
+        "SELECT key, created_at, expires_at, hits, length(value) AS bytes FROM lookup_cache WHERE substr(key, 1, length(?)) = ? ORDER BY created_at DESC LIMIT ?",
+        prefix,
+        prefix,
+        limit
+      )
+      .toArray()
+      .map(row => ({
+        key: row.key,
+        cachedAt: new Date(row.created_at).toISOString(),
+        expiresAt: new Date(row.expires_at).toISOString(),
+        expired: row.expires_at <= now,
+        hits: row.hits,
+        bytes: row.bytes
+      }));
+  }
+
+  /**
+   * Deletes one entry, every entry under a prefix, only expired entries, or everything
+   * @returns Number of entries deleted
+   */
+  purge({ key, prefix, expiredOnly = false }: { key?: string; prefix?: string; expiredOnly?: boolean } = {}): number {
+    if (key) {
+      return this.sql.exec("DELETE FROM lookup_cache WHERE key = ?", key).rowsWritten;
+    }
+    if (expiredOnly) {
+      return this.sql.exec("DELETE FROM lookup_cache WHERE expires_at <= ?", Date.now()).rowsWritten;
+    }
+    const start = prefix || "";
+    return this.sql.exec("DELETE FROM lookup_cache WHERE substr(key, 1, length(?)) = ?", start, start).rowsWritten;
+  }
+}
+
+/**
+ * Handles the admin endpoint: GET lists entries (?prefix=, ?limit=), DELETE
+ * purges them (?key=, ?prefix=, ?expired=1, or everything). Requires
+ * ADMIN_TOKEN as a bearer token; without one configured the endpoint is off.
+ */
+export function handleCacheAdmin(request: Request, cache: LookupCache, adminToken: string | undefined): Response {
+  const authError = requireAdminToken(request, adminToken, "cache admin");
+  if (authError) return authError;
+
+  const params = new URL(request.url).searchParams;
+
+  if (request.method === "GET") {
+    const limit = Math.min(Number(params.get("limit")) || 100, 1000);
+    const entries = cache.list(params.get("prefix") || "", limit);
+    return Response.json({ count: entries.length, entries });
+  }
+
+  if (request.method === "DELETE") {
+    const deleted = cache.purge({
+      key: params.get("key") || undefined,
+      prefix: params.get("prefix") || undefined,
+      expiredOnly: params.get("expired") === "1"
+    });
+    console.log(`Purged ${deleted} cache entries`);
+    return Response.json({ deleted });
+  }
+
+  return jsonError(405, "Use GET to list entries or DELETE to purge them");
+}
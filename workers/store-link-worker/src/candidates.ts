@@ -0,0 +1,100 @@
+// workers/store-link-worker/src/candidates.ts
+// Turns the store links a search strategy found into ranked candidates. Kept
+// out of the worker so it can be tested on saved results pages without a browser.
+import type { BookLink } from "./searchStrategies";
+
+export interface BookCandidate extends BookLink {
+  asin: string | null;
+  score: number;
+}
+
+// Maximum number of candidates returned to the client
+const MAX_CANDIDATES = 10;
+
+// Words that carry no signal when comparing a query against a result title
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'and', 'by', 'to', 'in', 'on', 'for', 'book', 'amazon', 'com']);
+
+// Result titles containing these are rarely the book itself
+const DERIVATIVE_PATTERNS = [
+  /study guide/i,
+  /summary (of|and analysis)/i,
+  /\bsparknotes\b/i,
+  /\bcliffsnotes\b/i,
+  /\bworkbook\b/i,
+  /box(ed)? set/i,
+  /\bbooks? \d+\s*-\s*\d+/i,
+  /\bcollection\b/i,
+  /\bbundle\b/i
+];
+
+/**
+ * Parses the ASIN out of an Amazon product URL, if present
+ */
+function parseAsin(url: string): string | null {
+  const match = url.match(/\/(?:dp|gp\/product|exec\/obidos\/ASIN)\/([A-Z0-9]{10})(?:[/?]|$)/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Splits text into lowercase comparison tokens
+ */
+function tokenize(text: string): string[] {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Scores how well a result title matches the query, between 0 and 1
+ */
+function scoreCandidate(query: string, link: BookLink, storePreference: string): number {
+  const queryTokens = tokenize(query);
+  const titleTokens = new Set(tokenize(link.title));
+
+  let score = queryTokens.length > 0
+    ? queryTokens.filter(token => titleTokens.has(token)).length / queryTokens.length
+    : 0;
+
+  // Study guides, summaries and box sets usually echo the query word for word
+  if (DERIVATIVE_PATTERNS.some(pattern => pattern.test(link.title))) {
+    score -= 0.5;
+  }
+
+  if (storePreference !== "any" && link.storeType === storePreference) {
+    score += 0.1;
+  }
+
+  return Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100;
+}
+
+/**
+ * Turns a strategy's links into candidates: only the preferred store's links,
+ * one entry per product, best match first. Empty when the strategy found only
+ * other stores; pass "any" to rank those.
+ */
+export function rankCandidates(query: string, links: BookLink[], storePreference: string): BookCandidate[] {
+  const filteredLinks = storePreference === "any" ? links : links.filter(link => link.storeType === storePreference);
+  
+  // Search results often link the same product more than once, so keep one entry per product
+  const seen = new Set<string>();
+  const candidates: BookCandidate[] = [];
+  for (const link of filteredLinks) {
+    const asin = parseAsin(link.url);
+    const key = asin || link.url.split('?')[0];
+    if (seen.has(key)) continue;
+    seen.add(key);
+    
+    candidates.push({
+      ...link,
+      title: link.title.trim(),
+      asin,
+      score: scoreCandidate(query, link, storePreference)
+    });
+  }
+  
+  // Rank by match score; the sort is stable so the search's own order breaks ties
+  candidates.sort((a, b) => b.score - a.score);
+  return candidates.slice(0, MAX_CANDIDATES);
+}
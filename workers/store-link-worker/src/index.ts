@@ -2,11 +2,23 @@
 // deployed to https://book-finder.samrhea.workers.dev
 
 import { Agent, AgentNamespace } from 'agents-sdk';
-import puppeteer from "@cloudflare/puppeteer";
+import puppeteer, { type Browser } from "@cloudflare/puppeteer";
+import { ADMIN_CACHE_PATH, CacheInfo, LookupCache, handleCacheAdmin, normalizeCacheText, parseCacheTtl } from "../../shared/lookupCache";
+import { HttpConfig, jsonError, withMiddleware } from "../../shared/http";
+import { CodedError, ErrorCode, codedErrorResponse, errorCode, errorMessage } from "../../shared/errors";
+import { parseDocument } from "../../shared/html";
+import { BookLink, SEARCH_STRATEGIES, SearchStrategy, StrategyName, getStrategy, parseStrategyOrder, readResultsPage } from "./searchStrategies";
+import { BookCandidate, rankCandidates } from "./candidates";
 
-interface Env {
+interface Env extends HttpConfig {
   BookFinderAgent: AgentNamespace;
   BROWSER: Fetcher;
+  // Seconds a search result stays cached; defaults to a week
+  CACHE_TTL_SECONDS?: string;
+  // Bearer token for the cache admin endpoint, set with `wrangler secret put ADMIN_TOKEN`
+  ADMIN_TOKEN?: string;
+  // Comma-separated search strategies to try in order; defaults to google,amazon,duckduckgo
+  SEARCH_STRATEGIES?: string;
 }
 
 interface BookSearchState {
@@ -14,6 +26,7 @@ interface BookSearchState {
     query: string;
     bookUrl: string;
     storeType: string;
+    strategy: StrategyName;
     timestamp: string;
   }[];
   errors?: {
@@ -23,277 +36,288 @@ interface BookSearchState {
   }[];
 }
 
-interface BookLink {
-  url: string;
-  title: string;
-  storeType: string;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36';
+
+// The whole fallback chain shares this budget, so the search answers before
+// the app's 45 second search timeout gives up on it
+const SEARCH_DEADLINE_MS = 40_000;
+// Another strategy isn't started with less time than this left
+const MIN_STRATEGY_MS = 5_000;
+// How often a loading results page is checked for results or a captcha
+const RESULTS_POLL_MS = 500;
+
+// How one strategy failed, reported when every strategy does
+interface StrategyFailure {
+  strategy: StrategyName;
+  code: ErrorCode;
+  message: string;
+}
+
+/**
+ * The strategies to try for a request: just the one named by ?strategy=, or
+ * the configured order, minus any that can't search the preferred store
+ */
+function strategiesFor(store: string, requested: string | null, configured: string | undefined): SearchStrategy[] {
+  const names: string[] = requested ? [requested] : parseStrategyOrder(configured);
+  return names
+    .map(getStrategy)
+    .filter((strategy): strategy is SearchStrategy => Boolean(strategy?.supports(store)));
+}
+
+/**
+ * Runs a strategy's parser over a saved results page posted as the request
+ * body, with no browser involved. ?strategy= names the strategy and ?query=
+ * the search, which candidates are scored against.
+ */
+async function handleParse(request: Request, url: URL): Promise<Response> {
+  if (request.method !== "POST") {
+    return jsonError(405, "POST a search results page's HTML to /parse");
+  }
+  
+  const strategy = getStrategy(url.searchParams.get("strategy") || "");
+  if (!strategy) {
+    return jsonError(400, `strategy must be one of ${Object.keys(SEARCH_STRATEGIES).join(", ")}`);
+  }
+  
+  const query = url.searchParams.get("query") || "";
+  const store = url.searchParams.get("store") || "amazon";
+  const html = await request.text();
+  if (!html.trim()) {
+    return jsonError(400, "Send the results page's HTML as the request body");
+  }
+  
+  try {
+    // Relative links resolve against the page the strategy would have loaded
+    const links = readResultsPage(strategy, parseDocument(html), strategy.searchUrl(query, store));
+    // A live search would try the next strategy first; a single page falls back to the other stores' links
+    const ranked = rankCandidates(query, links, store);
+    return Response.json({ query, strategy: strategy.name, candidates: ranked.length > 0 ? ranked : rankCandidates(query, links, "any") });
+  } catch (error) {
+    return codedErrorResponse(error, "Couldn't read the results page");
+  }
 }
 
 export class BookFinder extends Agent<Env, BookSearchState> {
+  private lookupCache?: LookupCache;
+
+  // Created on first use so the table exists before any query runs
+  private get cache(): LookupCache {
+    if (!this.lookupCache) {
+      this.lookupCache = new LookupCache(this.ctx.storage.sql, parseCacheTtl(this.env.CACHE_TTL_SECONDS));
+    }
+    return this.lookupCache;
+  }
+
   async fetch(request: Request): Promise<Response> {
-    try {
-      // Handle CORS preflight requests
-      if (request.method === "OPTIONS") {
-        return new Response(null, {
-          status: 204,
-          headers: {
-            "Access-Control-Allow-Origin": "https://read.samrhea.com",
-            "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-            "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-            "Access-Control-Allow-Credentials": "true",
-            "Access-Control-Max-Age": "86400"
-          }
-        });
-      }
-      
-      const url = new URL(request.url);
+    // CORS and auth are handled by the worker's middleware before requests get here
+    const url = new URL(request.url);
+    
+    // Handle root path with a simple form
+    if (url.pathname === "/" || url.pathname === "") {
+      return new Response(
+        `
+        <html>
+          <head>
+            <title>Book Finder</title>
+            <style>
+              body { font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; }
+              h1 { color: #f38020; }
+              form { margin: 20px 0; }
+              input, button, select { padding: 8px; margin: 5px 0; }
+              input[type="text"] { width: 100%; }
+              button { background: #f38020; color: white; border: none; cursor: pointer; }
+            </style>
+          </head>
+          <body>
+            <h1>Book Finder</h1>
+            <p>Enter a book title to find its online store link:</p>
+            <form action="/search" method="get">
+              <input type="text" name="query" placeholder="e.g., The Hitchhiker's Guide to the Galaxy Douglas Adams" required>
+              <select name="store">
+                <option value="amazon">Amazon</option>
+                <option value="barnesnoble">Barnes & Noble</option>
+                <option value="any">Any Retailer</option>
+              </select>
+              <button type="submit">Find Book</button>
+            </form>
+          </body>
+        </html>
+        `,
+        { headers: { "Content-Type": "text/html" } }
+      );
+    }
+    
+    if (url.pathname === ADMIN_CACHE_PATH) {
+      return handleCacheAdmin(request, this.cache, this.env.ADMIN_TOKEN);
+    }
+    
+    // Handle search requests
+    if (url.pathname === "/search") {
+      const query = url.searchParams.get("query");
+      const store = url.searchParams.get("store") || "amazon";
+      // strategy= runs a single search strategy instead of falling back through them all
+      const strategy = url.searchParams.get("strategy");
+      // refresh=1 skips the cached result and replaces it with a fresh search
+      const refresh = url.searchParams.get("refresh") === "1";
       
-      // Handle root path with a simple form
-      if (url.pathname === "/" || url.pathname === "") {
-        return new Response(
-          `
-          <html>
-            <head>
-              <title>Book Finder</title>
-              <style>
-                body { font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; }
-                h1 { color: #f38020; }
-                form { margin: 20px 0; }
-                input, button, select { padding: 8px; margin: 5px 0; }
-                input[type="text"] { width: 100%; }
-                button { background: #f38020; color: white; border: none; cursor: pointer; }
-              </style>
-            </head>
-            <body>
-              <h1>Book Finder</h1>
-              <p>Enter a book title to find its online store link:</p>
-              <form action="/search" method="get">
-                <input type="text" name="query" placeholder="e.g., The Hitchhiker's Guide to the Galaxy Douglas Adams" required>
-                <select name="store">
-                  <option value="amazon">Amazon</option>
-                  <option value="barnesnoble">Barnes & Noble</option>
-                  <option value="any">Any Retailer</option>
-                </select>
-                <button type="submit">Find Book</button>
-              </form>
-            </body>
-          </html>
-          `,
-          {
-            headers: {
-              "Content-Type": "text/html",
-              "Access-Control-Allow-Origin": "https://read.samrhea.com",
-              "Access-Control-Allow-Credentials": "true"
-            },
-          }
-        );
+      if (!query) {
+        return jsonError(400, "Query parameter is required");
       }
       
-      // Handle search requests
-      if (url.pathname === "/search") {
-        const query = url.searchParams.get("query");
-        const store = url.searchParams.get("store") || "amazon";
-        
-        if (!query) {
-          return new Response(JSON.stringify({ error: "Query parameter is required" }), {
-            status: 400,
-            headers: { 
-              "Content-Type": "application/json",
-              "Access-Control-Allow-Origin": "https://read.samrhea.com",
-              "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-              "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-              "Access-Control-Allow-Credentials": "true"
-            },
-          });
-        }
-
-        try {
-          const bookLink = await this.findBookWithGoogleSearch(query, store);
-          
-          // Save to state (safely initialize if needed)
-          const currentState = this.state || {};
-          const recentSearches = currentState.recentSearches || [];
-          
-          this.setState({
-            ...currentState,
-            recentSearches: [
-              {
-                query,
-                bookUrl: bookLink.url,
-                storeType: bookLink.storeType,
-                timestamp: new Date().toISOString()
-              },
-              ...recentSearches.slice(0, 9)  // Keep last 10 searches
-            ]
-          });
-          
-          return Response.json({ 
-            query,
-            bookLink
-          }, {
-            headers: {
-              "Access-Control-Allow-Origin": "https://read.samrhea.com",
-              "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-              "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-              "Access-Control-Allow-Credentials": "true"
-            }
-          });
-        } catch (error) {
-          // Log the error
-          this.logError(query, error instanceof Error ? error.message : String(error));
-          
-          return Response.json(
-            { 
-              error: "Failed to find the book", 
-              message: error instanceof Error ? error.message : String(error) 
-            }, 
-            { 
-              status: 500,
-              headers: {
-                "Access-Control-Allow-Origin": "https://read.samrhea.com",
-                "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-                "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-                "Access-Control-Allow-Credentials": "true"
-              }
-            }
-          );
-        }
+      const strategies = strategiesFor(store, strategy, this.env.SEARCH_STRATEGIES);
+      if (strategies.length === 0) {
+        return jsonError(400, strategy
+          ? `Unknown strategy "${strategy}", or it can't search ${store}; use one of ${Object.keys(SEARCH_STRATEGIES).join(", ")}`
+          : `None of the configured search strategies can search ${store}`);
       }
 
-      // Handle other requests with a 404
-      return new Response("Not found", { 
-        status: 404,
-        headers: {
-          "Access-Control-Allow-Origin": "https://read.samrhea.com",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-          "Access-Control-Allow-Credentials": "true"
-        }
-      });
-    } catch (error) {
-      console.error(`Error in fetch: ${error instanceof Error ? error.stack : String(error)}`);
-      return Response.json({ 
-        error: "Internal server error", 
-        message: error instanceof Error ? error.message : String(error) 
-      }, { 
-        status: 500,
-        headers: {
-          "Access-Control-Allow-Origin": "https://read.samrhea.com",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-          "Access-Control-Allow-Credentials": "true"
+      try {
+        const cacheKey = strategy
+          ? `search:${store}:${strategy}:${normalizeCacheText(query)}`
+          : `search:${store}:${normalizeCacheText(query)}`;
+        const cached = refresh ? null : this.cache.get<BookCandidate[]>(cacheKey);
+        
+        let candidates: BookCandidate[];
+        let cacheInfo: CacheInfo;
+        if (cached) {
+          console.log(`Cache hit for ${cacheKey}`);
+          candidates = cached.value;
+          cacheInfo = cached.info;
+        } else {
+          candidates = await this.findBook(query, store, strategies);
+          cacheInfo = this.cache.set(cacheKey, candidates);
         }
-      });
+        const bookLink = candidates[0];
+        
+        // Save to state (safely initialize if needed)
+        const currentState = this.state || {};
+        const recentSearches = currentState.recentSearches || [];
+        
+        this.setState({
+          ...currentState,
+          recentSearches: [
+            {
+              query,
+              bookUrl: bookLink.url,
+              storeType: bookLink.storeType,
+              strategy: bookLink.strategy,
+              timestamp: new Date().toISOString()
+            },
+            ...recentSearches.slice(0, 9)  // Keep last 10 searches
+          ]
+        });
+        
+        return Response.json({ 
+          query,
+          bookLink,
+          candidates,
+          cache: cacheInfo
+        });
+      } catch (error) {
+        // Log the error
+        this.logError(query, errorMessage(error));
+        
+        return codedErrorResponse(error, "Failed to find the book");
+      }
     }
+
+    return jsonError(404, "Try GET /search?query=The Martian Andy Weir, or POST a results page's HTML to /parse?strategy=google&query=The Martian");
   }
 
-  private async findBookWithGoogleSearch(query: string, storePreference: string = "amazon"): Promise<BookLink> {
-    console.log(`Searching for book: ${query} on ${storePreference}`);
-    
-    // Create a search-friendly query with store preference
-    let searchQuery = encodeURIComponent(`${query} book`);
-    
-    if (storePreference === "amazon") {
-      searchQuery = encodeURIComponent(`${query} book amazon`);
-    } else if (storePreference === "barnesnoble") {
-      searchQuery = encodeURIComponent(`${query} book barnes noble`);
-    }
-    
-    const googleSearchUrl = `https://www.google.com/search?q=${searchQuery}`;
+  /**
+   * Tries each strategy in turn, in one browser session, and returns the first
+   * one's candidates that finds any for the preferred store. Links to other
+   * stores are only returned once every strategy has missed the preferred one.
+   */
+  private async findBook(query: string, storePreference: string, strategies: SearchStrategy[]): Promise<BookCandidate[]> {
+    console.log(`Searching for book: ${query} on ${storePreference} (${strategies.map(strategy => strategy.name).join(", ")})`);
     
+    const failures: StrategyFailure[] = [];
+    const deadline = Date.now() + SEARCH_DEADLINE_MS;
+    // Links from the first strategy that found only other stores
+    let otherStoreLinks: BookLink[] | null = null;
     try {
       // Launch a browser instance
       const browser = await puppeteer.launch(this.env.BROWSER);
       
       try {
-        const page = await browser.newPage();
-        
-        // Set a user agent to avoid bot detection
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36');
-        
-        // Navigate to Google search
-        console.log(`Navigating to: ${googleSearchUrl}`);
-        await page.goto(googleSearchUrl, { 
-          waitUntil: 'domcontentloaded',
-          timeout: 20000
-        });
-        
-        // Wait for a short time for the page to fully render
-        await page.waitForTimeout(3000);
-        
-        // Wait for search results to load
-        await page.waitForSelector('#search', { timeout: 15000 }).catch(() => null);
-        
-        // Extract book links
-        const bookLinks = await page.evaluate((storeType) => {
-          const links: Array<{url: string, title: string, storeType: string}> = [];
-          const resultElements = document.querySelectorAll('#search a');
+        for (const strategy of strategies) {
+          if (deadline - Date.now() < MIN_STRATEGY_MS) {
+            console.log(`Out of time, not trying ${strategy.label}`);
+            failures.push({ strategy: strategy.name, code: "NAVIGATION_TIMEOUT", message: `Ran out of time before trying ${strategy.label}` });
+            continue;
+          }
           
-          for (const element of resultElements) {
-            const href = element.getAttribute('href');
-            if (!href || !href.startsWith('http')) continue;
-            
-            const title = element.textContent || '';
-            let foundStoreType = 'unknown';
+          try {
+            const links = await this.runStrategy(browser, strategy, query, storePreference, deadline);
+            console.log(`${strategy.label} found ${links.length} potential book links`);
             
-            // Determine store type from URL
-            if (href.includes('amazon.com')) {
-              foundStoreType = 'amazon';
-            } else if (href.includes('barnesandnoble.com')) {
-              foundStoreType = 'barnesnoble';
-            } else if (href.includes('books.google.com')) {
-              foundStoreType = 'google';
-            } else if (href.includes('goodreads.com')) {
-              foundStoreType = 'goodreads';
-            } else if (href.includes('bookshop.org')) {
-              foundStoreType = 'bookshop';
-            } else {
-              // Skip links that aren't from book stores
-              continue;
+            const ranked = rankCandidates(query, links, storePreference);
+            if (ranked.length === 0) {
+              otherStoreLinks ??= links;
+              throw new CodedError("NO_RESULTS", `${strategy.label} found only links to stores other than ${storePreference}`);
             }
-            
-            // Skip ads and other non-relevant links
-            if (href.includes('/aclk?') || href.includes('/url?')) continue;
-            
-            links.push({
-              url: href,
-              title: title,
-              storeType: foundStoreType
-            });
+            console.log(`Best candidate: ${ranked[0].url} (${ranked[0].storeType} via ${strategy.name}, score ${ranked[0].score})`);
+            return ranked;
+          } catch (error) {
+            console.error(`${strategy.label} search failed: ${errorMessage(error)}`);
+            failures.push({ strategy: strategy.name, code: errorCode(error), message: errorMessage(error) });
           }
-          
-          return links;
-        }, storePreference);
-        
-        console.log(`Found ${bookLinks.length} potential book links`);
-        
-        if (bookLinks.length === 0) {
-          throw new Error("No book links found in search results");
         }
-        
-        // Filter by store preference if specified
-        let filteredLinks = bookLinks;
-        if (storePreference !== "any") {
-          filteredLinks = bookLinks.filter(link => link.storeType === storePreference);
-          
-          // If no matches for preferred store, use any available book link
-          if (filteredLinks.length === 0) {
-            filteredLinks = bookLinks;
-          }
-        }
-        
-        // Return the first matching link
-        const bestMatch = filteredLinks[0];
-        console.log(`Selected book link: ${bestMatch.url} (${bestMatch.storeType})`);
-        
-        return bestMatch;
       } finally {
         // Make sure browser is closed even if an error occurs
         await browser.close();
       }
+      
+      if (otherStoreLinks) {
+        const ranked = rankCandidates(query, otherStoreLinks, "any");
+        console.log(`No strategy found ${storePreference}; falling back to ${ranked[0].url} (${ranked[0].storeType})`);
+        return ranked;
+      }
+      
+      // A strategy that got through and found nothing means the book wasn't found;
+      // otherwise report why the first strategy failed (e.g. a captcha)
+      const code = failures.some(failure => failure.code === "NO_RESULTS") ? "NO_RESULTS" : failures[0].code;
+      throw new CodedError(code, failures.map(failure => failure.message).join("; "), { strategies: failures });
     } catch (error) {
       console.error(`Error searching for book: ${error instanceof Error ? error.stack : String(error)}`);
-      throw new Error(`Failed to search for book: ${error instanceof Error ? error.message : String(error)}`);
+      // Keep the code so the app can suggest the right remedy
+      throw new CodedError(errorCode(error), `Failed to search for book: ${errorMessage(error)}`, error instanceof CodedError ? error.details : {});
+    }
+  }
+  
+  /**
+   * Loads a strategy's results page and reads the store links off it, giving
+   * up on the page by the search's deadline
+   */
+  private async runStrategy(browser: Browser, strategy: SearchStrategy, query: string, storePreference: string, deadline: number): Promise<BookLink[]> {
+    const page = await browser.newPage();
+    // Each wait is cut short when the search's overall deadline comes first
+    const timeLeft = (limit: number) => Math.max(Math.min(limit, deadline - Date.now()), 1000);
+    
+    try {
+      // Set a user agent to avoid bot detection
+      await page.setUserAgent(USER_AGENT);
+      
+      const searchUrl = strategy.searchUrl(query, storePreference);
+      console.log(`Navigating to: ${searchUrl}`);
+      await page.goto(searchUrl, { 
+        waitUntil: 'domcontentloaded',
+        timeout: timeLeft(20000)
+      });
+      
+      // Wait for results to render, but stop as soon as the page turns out to be a
+      // captcha, which never shows them; readResultsPage reports whichever it was
+      const waitUntil = Date.now() + timeLeft(15000);
+      let doc = parseDocument(await page.content());
+      while (!doc.querySelector(strategy.resultSelector) && !strategy.isChallenge(doc, page.url()) && Date.now() < waitUntil) {
+        await new Promise(resolve => setTimeout(resolve, RESULTS_POLL_MS));
+        doc = parseDocument(await page.content());
+      }
+      
+      return readResultsPage(strategy, doc, page.url());
+    } finally {
+      await page.close();
     }
   }
 
@@ -322,44 +346,21 @@ export class BookFinder extends Agent<Env, BookSearchState> {
 
 // Export default with direct fetch to the agent
 export default {
-  async fetch(request: Request, env: Env): Promise<Response> {
-    try {
-      // Handle CORS preflight requests at the global level
-      if (request.method === "OPTIONS") {
-        return new Response(null, {
-          status: 204,
-          headers: {
-            "Access-Control-Allow-Origin": "https://read.samrhea.com",
-            "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-            "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-            "Access-Control-Allow-Credentials": "true",
-            "Access-Control-Max-Age": "86400"
-          }
-        });
-      }
-      
-      // Create a simple ID
-      const id = env.BookFinderAgent.idFromName("default");
-      
-      // Get the agent instance
-      const agent = env.BookFinderAgent.get(id);
-      
-      // Pass the request directly to the agent's fetch method
-      return await agent.fetch(request);
-    } catch (error) {
-      console.error(`Global error: ${error instanceof Error ? error.stack : String(error)}`);
-      return Response.json({
-        error: "An unexpected error occurred",
-        message: error instanceof Error ? error.message : String(error)
-      }, { 
-        status: 500,
-        headers: {
-          "Access-Control-Allow-Origin": "https://read.samrhea.com",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Pragma, Expires, Accept, Authorization, X-Requested-With, CF-Access-Client-Id, CF-Access-Client-Secret",
-          "Access-Control-Allow-Credentials": "true"
-        }
-      });
+  fetch: withMiddleware<Env>(async (request, env) => {
+    const url = new URL(request.url);
+    
+    // Parsing a saved results page needs neither the browser nor the cache
+    if (url.pathname === "/parse") {
+      return handleParse(request, url);
     }
-  }
-};
\ No newline at end of file
+    
+    // Create a simple ID
+    const id = env.BookFinderAgent.idFromName("default");
+    
+    // Get the agent instance
+    const agent = env.BookFinderAgent.get(id);
+    
+    // Pass the request directly to the agent's fetch method
+    return agent.fetch(request);
+  })
+};
@@ -0,0 +1,55 @@
+// workers/store-link-worker/src/searchStrategies.test.ts
+import { readFileSync, readdirSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { parseDocument } from '../../shared/html';
+import { getStrategy, readResultsPage } from './searchStrategies';
+import { rankCandidates } from './candidates';
+
+const FIXTURES = new URL('../fixtures/', import.meta.url);
+
+// Each saved results page is named after its strategy and sits next to the candidates it should give
+const pages = readdirSync(FIXTURES).filter(name => name.endsWith('.html')).map(name => name.replace(/\.html$/, ''));
+
+describe('readResultsPage and rankCandidates', () => {
+  it('have fixtures to check', () => {
+    expect(pages.length).toBeGreaterThan(0);
+  });
+
+  it.each(pages)('read the %s fixture', name => {
+    const expected = JSON.parse(readFileSync(new URL(`${name}.json`, FIXTURES), 'utf8'));
+    const strategy = getStrategy(name)!;
+    const doc = parseDocument(readFileSync(new URL(`${name}.html`, FIXTURES), 'utf8'));
+
+    // Relative links resolve against the page the strategy would have loaded, as in /parse
+    const links = readResultsPage(strategy, doc, strategy.searchUrl(expected.query, 'amazon'));
+    expect(rankCandidates(expected.query, links, 'amazon')).toEqual(expected.candidates);
+  });
+
+  it('leave out other stores, so the search moves on to the next strategy', () => {
+    const strategy = getStrategy('google')!;
+    const html = readFileSync(new URL('google.html', FIXTURES), 'utf8').replaceAll('amazon.com', 'goodreads.com');
+    const links = readResultsPage(strategy, parseDocument(html), strategy.searchUrl('Project Hail Mary Andy Weir', 'amazon'));
+
+    expect(links.length).toBeGreaterThan(0);
+    expect(rankCandidates('Project Hail Mary Andy Weir', links, 'amazon')).toEqual([]);
+    expect(rankCandidates('Project Hail Mary Andy Weir', links, 'any').map(candidate => candidate.storeType)).toContain('goodreads');
+  });
+});
+
+describe('readResultsPage', () => {
+  it.each([
+    ['google', '<form id="captcha-form"></form>'],
+    ['amazon', '<form action="/errors/validateCaptcha"></form>'],
+    ['duckduckgo', '<html><body><p>Unfortunately, bots use DuckDuckGo too.</p></body></html>']
+  ])('reports a captcha page from %s as BOT_CHALLENGE', (name, html) => {
+    const strategy = getStrategy(name)!;
+    expect(() => readResultsPage(strategy, parseDocument(html), strategy.searchUrl('Redshirts', 'amazon')))
+      .toThrow(expect.objectContaining({ code: 'BOT_CHALLENGE' }));
+  });
+
+  it('reports a page without store links as NO_RESULTS', () => {
+    const strategy = getStrategy('google')!;
+    expect(() => readResultsPage(strategy, parseDocument('<div id="search"></div>'), strategy.searchUrl('Redshirts', 'amazon')))
+      .toThrow(expect.objectContaining({ code: 'NO_RESULTS' }));
+  });
+});
@@ -0,0 +1,188 @@
+// workers/store-link-worker/src/searchStrategies.ts
+// Ways of turning a query into store links. Each strategy builds a search URL
+// and reads links out of the results page; the worker tries them in order and
+// stops at the first that finds something. Strategies read a parsed Document,
+// so they run the same on a live page and on saved result pages posted to /parse.
+import { CodedError } from "../../shared/errors";
+
+export type StrategyName = "google" | "amazon" | "duckduckgo";
+
+export interface BookLink {
+  url: string;
+  title: string;
+  storeType: string;
+  // The strategy whose results page the link came from
+  strategy: StrategyName;
+}
+
+export interface SearchStrategy {
+  name: StrategyName;
+  // Used in logs and error messages
+  label: string;
+  // Whether the strategy can find links for a store preference
+  supports(store: string): boolean;
+  searchUrl(query: string, store: string): string;
+  // Present once results have rendered; the worker waits for it instead of a fixed delay
+  resultSelector: string;
+  // A captcha or rate-limit page in place of results
+  isChallenge(doc: Document, pageUrl: string): boolean;
+  parseResults(doc: Document, pageUrl: string): BookLink[];
+}
+
+// Tried in this order unless SEARCH_STRATEGIES says otherwise
+export const DEFAULT_STRATEGY_ORDER: StrategyName[] = ["google", "amazon", "duckduckgo"];
+
+const textOf = (element: Element | null | undefined): string => (element?.textContent || "").replace(/\s+/g, " ").trim();
+
+/**
+ * Which store a result links to, or null for sites that aren't book stores
+ */
+export function storeTypeFor(url: string): string | null {
+  if (url.includes("amazon.com")) return "amazon";
+  if (url.includes("barnesandnoble.com")) return "barnesnoble";
+  if (url.includes("books.google.com")) return "google";
+  if (url.includes("goodreads.com")) return "goodreads";
+  if (url.includes("bookshop.org")) return "bookshop";
+  return null;
+}
+
+/**
+ * Web searches do better with a hint about the store we're after
+ */
+function webSearchTerms(query: string, store: string): string {
+  if (store === "amazon") return `${query} book amazon`;
+  if (store === "barnesnoble") return `${query} book barnes noble`;
+  return `${query} book`;
+}
+
+const google: SearchStrategy = {
+  name: "google",
+  label: "Google",
+  supports: () => true,
+  searchUrl: (query, store) => `https://www.google.com/search?q=${encodeURIComponent(webSearchTerms(query, store))}`,
+  resultSelector: "#search",
+
+  isChallenge: (doc, pageUrl) =>
+    pageUrl.includes("/sorry/") ||
+    Boolean(doc.querySelector("#captcha-form")) ||
+    /unusual traffic/i.test(doc.body?.textContent || ""),
+
+  parseResults(doc) {
+    const links: BookLink[] = [];
+    doc.querySelectorAll("#search a").forEach(element => {
+      const href = element.getAttribute("href");
+      // Ads and redirect links go through /aclk? and /url?
+      if (!href || !href.startsWith("http") || href.includes("/aclk?") || href.includes("/url?")) return;
+
+      const storeType = storeTypeFor(href);
+      if (!storeType) return;
+
+      // The anchor also wraps the breadcrumb under the heading
+      links.push({ url: href, title: textOf(element.querySelector("h3")) || textOf(element), storeType, strategy: "google" });
+    });
+    return links;
+  }
+};
+
+const amazon: SearchStrategy = {
+  name: "amazon",
+  label: "Amazon search",
+  supports: store => store === "amazon" || store === "any",
+  // Kindle editions are in their own department
+  searchUrl: query => `https://www.amazon.com/s?k=${encodeURIComponent(query)}&i=${/\bkindle\b/i.test(query) ? "digital-text" : "stripbooks"}`,
+  resultSelector: '[data-component-type="s-search-result"]',
+
+  isChallenge: doc => Boolean(doc.querySelector('form[action*="validateCaptcha"], #captchacharacters')),
+
+  parseResults(doc) {
+    const links: BookLink[] = [];
+    doc.querySelectorAll('[data-component-type="s-search-result"][data-asin]').forEach(element => {
+      const asin = element.getAttribute("data-asin");
+      if (!asin) return;
+      // Sponsored results are often other books entirely
+      if (element.classList.contains("AdHolder") || element.querySelector(".puis-sponsored-label-text, .s-sponsored-label-text")) return;
+
+      const heading = element.querySelector("h2");
+      const title = heading?.getAttribute("aria-label") || textOf(heading);
+      if (!title) return;
+
+      // Unlike web results, the title has no author in it, so add the byline's for scoring
+      const author = textOf(element.querySelector(".a-row.a-color-secondary a.a-link-normal"));
+
+      // Result links carry tracking parameters, so link the product page directly
+      links.push({ url: `https://www.amazon.com/dp/${asin}`, title: author ? `${title} by ${author}` : title, storeType: "amazon", strategy: "amazon" });
+    });
+    return links;
+  }
+};
+
+const duckduckgo: SearchStrategy = {
+  name: "duckduckgo",
+  label: "DuckDuckGo",
+  supports: () => true,
+  // The HTML-only version needs no JavaScript and has stable markup
+  searchUrl: (query, store) => `https://html.duckduckgo.com/html/?q=${encodeURIComponent(webSearchTerms(query, store))}`,
+  resultSelector: "#links",
+
+  isChallenge: doc =>
+    Boolean(doc.querySelector("#challenge-form, .anomaly-modal__modal")) ||
+    /bots use duckduckgo too/i.test(doc.body?.textContent || ""),
+
+  parseResults(doc, pageUrl) {
+    const links: BookLink[] = [];
+    doc.querySelectorAll(".result:not(.result--ad) a.result__a").forEach(element => {
+      const href = element.getAttribute("href");
+      if (!href) return;
+
+      // Results link through //duckduckgo.com/l/?uddg=<target>
+      const link = new URL(href, pageUrl);
+      const url = link.pathname === "/l/" ? link.searchParams.get("uddg") : link.href;
+      if (!url || !url.startsWith("http")) return;
+
+      const storeType = storeTypeFor(url);
+      if (!storeType) return;
+
+      links.push({ url, title: textOf(element), storeType, strategy: "duckduckgo" });
+    });
+    return links;
+  }
+};
+
+export const SEARCH_STRATEGIES: Record<StrategyName, SearchStrategy> = { google, amazon, duckduckgo };
+
+/**
+ * Looks a strategy up by name
+ */
+export function getStrategy(name: string): SearchStrategy | undefined {
+  return Object.hasOwn(SEARCH_STRATEGIES, name) ? SEARCH_STRATEGIES[name as StrategyName] : undefined;
+}
+
+/**
+ * Reads a comma-separated strategy order, e.g. "duckduckgo,google". Unknown
+ * names are skipped; an empty or unusable list falls back to the default order.
+ */
+export function parseStrategyOrder(value: string | undefined): StrategyName[] {
+  const names = (value || "").split(",").map(name => name.trim().toLowerCase()).filter(Boolean);
+  const order = names.filter((name): name is StrategyName => {
+    const known = Boolean(getStrategy(name));
+    if (!known) console.warn(`Ignoring unknown search strategy "${name}"`);
+    return known;
+  });
+  return order.length > 0 ? [...new Set(order)] : DEFAULT_STRATEGY_ORDER;
+}
+
+/**
+ * Reads store links off a strategy's results page
+ * @throws CodedError BOT_CHALLENGE for a captcha page, NO_RESULTS when there are no store links
+ */
+export function readResultsPage(strategy: SearchStrategy, doc: Document, pageUrl: string): BookLink[] {
+  if (strategy.isChallenge(doc, pageUrl)) {
+    throw new CodedError("BOT_CHALLENGE", `${strategy.label} asked for a captcha instead of returning search results`);
+  }
+
+  const links = strategy.parseResults(doc, pageUrl);
+  if (links.length === 0) {
+    throw new CodedError("NO_RESULTS", `No book links found in ${strategy.label} results`);
+  }
+  return links;
+}
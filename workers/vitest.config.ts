@@ -0,0 +1,9 @@
+// workers/vitest.config.ts
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    // Without its own config Vitest would pick up the app's vite.config.js
+    include: ['*/src/**/*.test.ts', 'shared/**/*.test.ts']
+  }
+});